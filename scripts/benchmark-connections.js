@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Benchmark triad validation on a large matrix. Each vote scores the triad against its
+ * neighbours, found through the persisted spatial grid, so throughput should hold steady
+ * as the matrix grows. Votes are timed on a tenth of the triads and again on all of them.
+ * Usage: node scripts/benchmark-connections.js [triadCount] [voteCount]
+ */
+// Per-triad info logs would dominate the timings
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TriadMatrix = require('../src/core/TriadMatrix');
+const Wallet = require('../src/core/Wallet');
+
+const TRIAD_COUNT = parseInt(process.argv[2], 10) || 100000;
+const VOTE_COUNT = parseInt(process.argv[3], 10) || 2000;
+const CREATE_BATCH_SIZE = 1000;
+
+function createWallet() {
+    const wallet = new Wallet();
+    wallet.generateKeyPair();
+    return wallet;
+}
+
+async function createTriads(matrix, creator, ids, count) {
+    const start = Date.now();
+    while (ids.length < count) {
+        const size = Math.min(CREATE_BATCH_SIZE, count - ids.length);
+        const dataList = Array.from({ length: size }, (_, i) => ({ reading: ids.length + i }));
+        const triads = await matrix.createTriads(dataList, creator);
+        ids.push(...triads.map(triad => triad.id));
+    }
+    console.log(`  ✓ ${count.toLocaleString()} signed triads in ${Date.now() - start} ms, matrix is ${matrix.sideLength}^${matrix.axes}`);
+}
+
+async function timeVotes(matrix, validator, ids) {
+    // Spread the votes over the triads created since the last round
+    const stride = Math.max(1, Math.floor(ids.length / VOTE_COUNT));
+    const targets = Array.from({ length: Math.min(VOTE_COUNT, ids.length) }, (_, i) => ids[i * stride]);
+
+    let accepted = 0;
+    const start = process.hrtime.bigint();
+    for (const triadId of targets) {
+        const triad = await matrix.validateTriad(triadId, validator);
+        if (triad.validated) accepted++;
+    }
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const perSecond = Math.round(targets.length / (elapsedMs / 1000));
+    console.log(`  ${matrix.getMatrixState().triadsCount.toLocaleString()} triads: ${targets.length} votes in ${elapsedMs.toFixed(1)} ms, ${accepted} accepted (${perSecond.toLocaleString()}/s)`);
+    return perSecond;
+}
+
+async function main() {
+    const dbPath = fs.mkdtempSync(path.join(os.tmpdir(), 'seirchain-bench-'));
+    const matrix = await TriadMatrix.open(dbPath, {
+        axes: parseInt(process.env.MATRIX_AXES, 10) || 3,
+        sideLength: parseInt(process.env.MATRIX_SIDE_LENGTH || process.env.MATRIX_DIMENSIONS, 10) || 3,
+        complexity: parseInt(process.env.TRIAD_COMPLEXITY, 10) || 4,
+        consensusThreshold: parseFloat(process.env.CONSENSUS_THRESHOLD) || 0.67,
+        groupCommitSize: CREATE_BATCH_SIZE
+    });
+    const creator = createWallet();
+    const validator = createWallet();
+    matrix.addValidator(validator.getAddress());
+
+    try {
+        const ids = [];
+        const firstRound = Math.max(1, Math.floor(TRIAD_COUNT / 10));
+
+        console.log(`🔧 Creating ${firstRound.toLocaleString()} triads...`);
+        await createTriads(matrix, creator, ids, firstRound);
+        console.log('\n📊 Validation throughput:');
+        const small = await timeVotes(matrix, validator, ids.slice());
+
+        console.log(`\n🔧 Growing to ${TRIAD_COUNT.toLocaleString()} triads...`);
+        await createTriads(matrix, creator, ids, TRIAD_COUNT);
+        console.log('\n📊 Validation throughput:');
+        const large = await timeVotes(matrix, validator, ids.slice(firstRound));
+
+        console.log(`\n  ${(TRIAD_COUNT / firstRound).toFixed(0)}x the triads keeps ${((large / small) * 100).toFixed(0)}% of the throughput`);
+    } finally {
+        await matrix.close();
+        fs.rmSync(dbPath, { force: true, recursive: true });
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Benchmark triad ingestion: one write per triad, concurrent writes coalesced by the group
+ * commit queue, and batched creation with `createTriads`.
+ * Usage: node scripts/benchmark-ingestion.js [triadCount] [batchSize]
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TriadMatrix = require('../src/core/TriadMatrix');
+const Wallet = require('../src/core/Wallet');
+
+const TRIAD_COUNT = parseInt(process.argv[2], 10) || 2000;
+const BATCH_SIZE = parseInt(process.argv[3], 10) || 100;
+
+async function timeIngestion(label, wallet, ingest) {
+    const dbPath = fs.mkdtempSync(path.join(os.tmpdir(), 'seirchain-bench-'));
+    const matrix = await TriadMatrix.open(dbPath, {
+        axes: parseInt(process.env.MATRIX_AXES, 10) || 3,
+        sideLength: parseInt(process.env.MATRIX_SIDE_LENGTH || process.env.MATRIX_DIMENSIONS, 10) || 3,
+        complexity: parseInt(process.env.TRIAD_COMPLEXITY, 10) || 4,
+        groupCommitSize: BATCH_SIZE
+    });
+    const batch = matrix.db.batch.bind(matrix.db);
+    let batches = 0;
+    matrix.db.batch = operations => {
+        batches++;
+        return batch(operations);
+    };
+
+    try {
+        const start = process.hrtime.bigint();
+        await ingest(matrix, wallet);
+        const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+        const perSecond = Math.round(TRIAD_COUNT / (elapsedMs / 1000));
+        console.log(`  ${label}: ${TRIAD_COUNT} triads in ${elapsedMs.toFixed(1)} ms, ${batches} batches (${perSecond.toLocaleString()}/s)`);
+        return perSecond;
+    } finally {
+        await matrix.close();
+        fs.rmSync(dbPath, { force: true, recursive: true });
+    }
+}
+
+function chunks(size) {
+    const result = [];
+    for (let start = 0; start < TRIAD_COUNT; start += size) {
+        result.push(Array.from({ length: Math.min(size, TRIAD_COUNT - start) }, (_, i) => ({ reading: start + i })));
+    }
+    return result;
+}
+
+async function main() {
+    const wallet = new Wallet();
+    wallet.generateKeyPair();
+
+    console.log(`🔧 Ingesting ${TRIAD_COUNT.toLocaleString()} triads, ${BATCH_SIZE} per batch...`);
+    const sequential = await timeIngestion('One at a time ', wallet, async (matrix, signer) => {
+        for (const [data] of chunks(1)) {
+            await matrix.createTriad(data, signer);
+        }
+    });
+    const concurrent = await timeIngestion('Concurrent    ', wallet, async (matrix, signer) => {
+        for (const chunk of chunks(BATCH_SIZE)) {
+            await Promise.all(chunk.map(data => matrix.createTriad(data, signer)));
+        }
+    });
+    const batched = await timeIngestion('createTriads  ', wallet, async (matrix, signer) => {
+        for (const chunk of chunks(BATCH_SIZE)) {
+            await matrix.createTriads(chunk, signer);
+        }
+    });
+    console.log(`  Speedup: ${(concurrent / sequential).toFixed(1)}x concurrent, ${(batched / sequential).toFixed(1)}x batched`);
+}
+
+main().catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+});
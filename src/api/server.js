@@ -8,6 +8,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
 const TriadMatrix = require('../core/TriadMatrix');
+const Tokenomics = require('../core/Tokenomics');
 const Wallet = require('../core/Wallet');
 const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
@@ -19,13 +20,35 @@ const RATE_LIMIT_POINTS = {
   development: 100
 };
 const RATE_LIMIT_DURATION = 15 * 60; // 15 minutes in seconds
+const MAX_NEIGHBOR_DEPTH = 5;
+const MAX_QUERY_LIMIT = 1000;
+// Statuses of the triads importTriad rejects for their content; other failures are server errors
+const IMPORT_ERROR_RESPONSES = {
+  [TriadMatrix.IMPORT_ERRORS.INVALID_TRIAD]: { status: 400, error: 'Invalid triad' },
+  [TriadMatrix.IMPORT_ERRORS.ID_MISMATCH]: { status: 400, error: 'Triad ID does not match its content' },
+  [TriadMatrix.IMPORT_ERRORS.UNKNOWN_PARENTS]: { status: 422, error: 'Unknown parent triads' }
+};
+const EVENT_STREAM_HEARTBEAT = 15 * 1000; // keeps idle event streams open through proxies
 
 class APIServer {
-  constructor() {
+  /**
+   * Create the API server. LevelDB lets one process at a time open a database, so a node
+   * process that already holds the matrix and ledger (the miner) passes them in; without
+   * them the server opens its own at DB_PATH and TOKENOMICS_DB_PATH when started.
+   * @param {Object} [options] - Server options
+   * @param {TriadMatrix} [options.matrix] - Open matrix to serve; the caller keeps closing it
+   * @param {Tokenomics} [options.tokenomics] - Loaded ledger to serve; the caller keeps closing it
+   * @param {number} [options.port] - Port to listen on instead of PORT
+   */
+  constructor(options = {}) {
     this.app = express();
-    this.port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    this.port = options.port || parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    this.matrix = options.matrix || null;
+    this.tokenomics = options.tokenomics || null;
+    this.ownsMatrix = !options.matrix;
+    this.ownsTokenomics = !options.tokenomics;
+    this.eventStreams = new Set();
     this.setupMiddleware();
-    this.setupMatrix();
     this.setupRoutes();
     this.setupErrorHandling();
   }
@@ -40,7 +63,7 @@ class APIServer {
     this.app.use(cors({
       origin: process.env.CORS_ORIGIN || '*',
       methods: ['GET', 'POST', 'PUT', 'DELETE'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID']
     }));
 
     // Body parsing middleware
@@ -71,24 +94,32 @@ class APIServer {
   }
 
   /**
-   * Initialize TriadMatrix
+   * Open the TriadMatrix
    * @private
+   * @returns {Promise<TriadMatrix>} Initialized matrix
    */
-  setupMatrix() {
+  async openMatrix() {
     const dbPath = process.env.DB_PATH || path.join(process.cwd(), 'data', 'triad.db');
-    this.matrix = new TriadMatrix(dbPath, {
-      dimensions: parseInt(process.env.MATRIX_DIMENSIONS, 10) || 3,
+    const matrix = await TriadMatrix.open(dbPath, {
+      tokenomics: this.tokenomics,
+      axes: parseInt(process.env.MATRIX_AXES, 10) || 3,
+      sideLength: parseInt(process.env.MATRIX_SIDE_LENGTH || process.env.MATRIX_DIMENSIONS, 10) || 3,
+      cellCapacity: parseInt(process.env.MATRIX_CELL_CAPACITY, 10) || 1,
+      cacheSize: parseInt(process.env.MATRIX_CACHE_SIZE, 10) || 10000,
+      maxPayloadSize: parseInt(process.env.MAX_TRIAD_PAYLOAD_SIZE, 10) || 65536,
+      expiryWindow: parseInt(process.env.TRIAD_EXPIRY_WINDOW, 10) || 86400000,
+      mode: process.env.NODE_MODE,
+      retention: {
+        days: parseFloat(process.env.RETENTION_DAYS) || 30,
+        keepUncheckpointed: process.env.RETENTION_KEEP_UNCHECKPOINTED !== 'false'
+      },
+      archiveDir: process.env.ARCHIVE_DIR,
       complexity: parseInt(process.env.TRIAD_COMPLEXITY, 10) || 4,
+      distanceMetric: process.env.MATRIX_DISTANCE_METRIC,
       consensusThreshold: parseFloat(process.env.CONSENSUS_THRESHOLD) || 0.67,
     });
-
-    this.matrix.on('initialized', (state) => {
-      console.log(`✅ TriadMatrix API ready. DB: ${dbPath}`);
-    });
-
-    this.matrix.on('error', (err) => {
-      console.error('❌ TriadMatrix API initialization error:', err.message);
-    });
+    console.log(`✅ TriadMatrix API ready. DB: ${dbPath}`);
+    return matrix;
   }
 
   /**
@@ -100,19 +131,126 @@ class APIServer {
     this.app.get('/', (req, res) => {
       res.json({
         message: 'SeirChain TriadMatrix API',
-        status: this.matrix.isInitialized ? 'operational' : 'initializing',
+        status: this.matrix && this.matrix.isInitialized ? 'operational' : 'initializing',
         timestamp: new Date().toISOString(),
         version: process.env.npm_package_version || '1.0.0'
       });
     });
 
     // Matrix status endpoint
-    this.app.get('/status', this.validateMatrixInitialization.bind(this), (req, res) => {
+    this.app.get('/status', (req, res) => {
       res.json(this.matrix.getMatrixState());
     });
 
+    // Latest checkpoint signed by a supermajority of validators, with its signatures
+    this.app.get('/checkpoints/latest', (req, res) => {
+      const checkpoint = this.matrix.getLatestCheckpoint();
+      if (!checkpoint) {
+        return res.status(404).json({ error: 'No checkpoint has been finalized' });
+      }
+      res.json(checkpoint);
+    });
+
+    // Current DAG tips that new triads should reference as parents
+    this.app.get('/tips', (req, res) => {
+      res.json({ tips: this.matrix.getTips() });
+    });
+
+    // Stream the matrix event log as Server-Sent Events: replay from fromSeq, then follow new events.
+    // A reconnecting EventSource sends Last-Event-ID and resumes after the last event it received.
+    this.app.get('/events', async (req, res) => {
+      const lastEventId = req.get('Last-Event-ID');
+      let fromSeq;
+      if (req.query.fromSeq !== undefined) {
+        fromSeq = Number(req.query.fromSeq);
+      } else if (lastEventId !== undefined) {
+        fromSeq = Number(lastEventId) + 1;
+      }
+      if (fromSeq !== undefined && (!Number.isInteger(fromSeq) || fromSeq < 1)) {
+        return res.status(400).json({ error: 'fromSeq must be a positive integer' });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      this.eventStreams.add(res);
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT);
+      let unsubscribe = null;
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        this.eventStreams.delete(res);
+        if (unsubscribe) {
+          unsubscribe();
+        }
+      });
+
+      try {
+        const stop = await this.matrix.subscribe({ fromSeq }, event => {
+          res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        });
+        if (res.writableEnded || req.destroyed) {
+          stop();
+        } else {
+          unsubscribe = stop;
+        }
+      } catch (error) {
+        clearInterval(heartbeat);
+        this.eventStreams.delete(res);
+        // The event-stream headers are already sent, so the error ends the stream instead of becoming a JSON response
+        res.end(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+      }
+    });
+
+    // Query triads by validator, status, lifecycle state and creation time, one page at a time
+    this.app.get('/triads', async (req, res, next) => {
+      const { validator, validated, state, since, until, limit, cursor, order } = req.query;
+      const query = { validator, cursor };
+
+      if (order !== undefined) {
+        if (order !== 'asc' && order !== 'desc') {
+          return res.status(400).json({ error: 'order must be asc or desc' });
+        }
+        query.reverse = order === 'desc';
+      }
+
+      if (validated !== undefined) {
+        if (validated !== 'true' && validated !== 'false') {
+          return res.status(400).json({ error: 'validated must be true or false' });
+        }
+        query.validated = validated === 'true';
+      }
+
+      if (state !== undefined) {
+        const states = Object.values(TriadMatrix.TRIAD_STATES);
+        if (!states.includes(state)) {
+          return res.status(400).json({ error: `state must be one of ${states.join(', ')}` });
+        }
+        query.state = state;
+      }
+
+      for (const [name, value] of Object.entries({ since, until, limit })) {
+        if (value === undefined) continue;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0 || (name === 'limit' && (number < 1 || number > MAX_QUERY_LIMIT))) {
+          return res.status(400).json({ error: `Invalid ${name}` });
+        }
+        query[name] = number;
+      }
+
+      try {
+        res.json(await this.matrix.queryTriads(query));
+      } catch (error) {
+        if (error.message.includes('Cursor does not belong')) {
+          return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        next(error);
+      }
+    });
+
     // Get triad by ID
-    this.app.get('/triads/:id', this.validateMatrixInitialization.bind(this), async (req, res, next) => {
+    this.app.get('/triads/:id', async (req, res, next) => {
       try {
         const triad = await this.matrix.getTriadById(req.params.id);
         if (!triad) {
@@ -124,21 +262,97 @@ class APIServer {
       }
     });
 
-    // Create new triad
-    this.app.post('/triads', this.validateMatrixInitialization.bind(this), async (req, res, next) => {
+    // Triad with its inclusion proof against the current triads root
+    this.app.get('/triads/:id/proof', async (req, res, next) => {
       try {
-        const { data, validatorId } = req.body;
+        const proof = await this.matrix.getTriadProof(req.params.id);
+        if (!proof) {
+          return res.status(404).json({ error: 'Triad not found' });
+        }
+        res.json(proof);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Account balance with its inclusion proof against the current balances root
+    this.app.get('/balances/:address/proof', (req, res) => {
+      const proof = this.tokenomics.getBalanceProof(req.params.address);
+      if (!proof) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+      res.json(proof);
+    });
 
-        if (!data || !validatorId) {
+    // Traverse the connection graph around a triad
+    this.app.get('/triads/:id/neighbors', async (req, res, next) => {
+      try {
+        const depth = req.query.depth === undefined ? 1 : Number(req.query.depth);
+        if (!Number.isInteger(depth) || depth < 1 || depth > MAX_NEIGHBOR_DEPTH) {
+          return res.status(400).json({ error: `depth must be an integer between 1 and ${MAX_NEIGHBOR_DEPTH}` });
+        }
+        if (!(await this.matrix.hasTriad(req.params.id))) {
+          return res.status(404).json({ error: 'Triad not found' });
+        }
+
+        const neighbors = await this.matrix.getTriadNeighbors(req.params.id, depth);
+        res.json({
+          id: req.params.id,
+          depth,
+          neighbors: neighbors.map(({ triad, depth: hops }) => ({
+            id: triad.id,
+            depth: hops,
+            position: triad.position,
+            validated: triad.validated
+          }))
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Submit a triad signed by the creator's wallet
+    this.app.post('/triads', async (req, res, next) => {
+      try {
+        const required = ['data', 'validator', 'publicKey', 'signature', 'timestamp', 'position', 'parents'];
+        const missing = required.filter(field => req.body[field] === undefined || req.body[field] === null);
+
+        if (missing.length > 0) {
           return res.status(400).json({ 
             error: 'Missing required fields',
-            required: ['data', 'validatorId']
+            required,
+            missing
+          });
+        }
+
+        try {
+          this.matrix.validateTriadData(req.body.data);
+        } catch (validationError) {
+          return res.status(400).json({
+            error: 'Invalid triad data',
+            message: validationError.message
           });
         }
 
-        const newTriad = await this.matrix.createTriad(data, validatorId);
+        try {
+          this.matrix.verifyTriadSignature(req.body);
+        } catch (verifyError) {
+          return res.status(400).json({
+            error: 'Invalid triad signature',
+            message: verifyError.message
+          });
+        }
+
+        const newTriad = await this.matrix.importTriad(req.body);
+        if (!newTriad) {
+          return res.status(409).json({ error: 'Triad already exists', id: this.matrix.generateTriadId(req.body) });
+        }
         res.status(201).json(newTriad);
       } catch (error) {
+        const response = IMPORT_ERROR_RESPONSES[error.code];
+        if (response) {
+          return res.status(response.status).json({ error: response.error, message: error.message });
+        }
         next(error);
       }
     });
@@ -173,39 +387,75 @@ class APIServer {
     });
   }
 
-  /**
-   * Middleware to validate matrix initialization
-   * @private
-   */
-  validateMatrixInitialization(req, res, next) {
-    if (!this.matrix.isInitialized) {
-      return res.status(503).json({ 
-        error: 'Service Unavailable',
-        message: 'TriadMatrix is not yet initialized'
-      });
-    }
-    next();
-  }
-
   /**
    * Start the server
    * @returns {Promise<void>}
    */
   async start() {
     try {
-      await this.matrix.init();
+      if (this.ownsTokenomics) {
+        this.tokenomics = new Tokenomics(process.env.TOKENOMICS_DB_PATH);
+        await this.tokenomics.loadLedger();
+      }
+      // The server only listens once the matrix is open, so no route sees it uninitialized
+      if (this.ownsMatrix) {
+        this.matrix = await this.openMatrix();
+      }
       this.server = this.app.listen(this.port, () => {
         console.log(`⚡️ SeirChain API server listening on port ${this.port}`);
         this.logEnvironmentInfo();
       });
 
-      this.setupGracefulShutdown();
+      // A node process serving its own matrix handles the signals itself
+      if (this.ownsMatrix) {
+        this.setupGracefulShutdown();
+      }
     } catch (error) {
       console.error('Failed to start server:', error);
+      if (!this.ownsMatrix) {
+        throw error;
+      }
       process.exit(1);
     }
   }
 
+  /**
+   * Stop serving: end the event streams, close the HTTP server and close the matrix and
+   * ledger if the server opened them
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    // Event streams never finish on their own and would hold the server open
+    this.eventStreams.forEach(res => res.end());
+    this.eventStreams.clear();
+
+    // Stop accepting new requests
+    if (this.server) {
+      console.log('Closing HTTP server...');
+      await new Promise((resolve, reject) => {
+        this.server.close((err) => {
+          if (err) {
+            console.error('Error closing HTTP server:', err);
+            reject(err);
+          } else {
+            console.log('HTTP server closed successfully');
+            resolve();
+          }
+        });
+      });
+    }
+
+    // Close database connections
+    if (this.matrix && this.ownsMatrix) {
+      console.log('Closing TriadMatrix database...');
+      await this.matrix.close();
+      console.log('Database connection closed successfully');
+    }
+    if (this.tokenomics && this.ownsTokenomics) {
+      await this.tokenomics.closeDB();
+    }
+  }
+
   /**
    * Log environment information
    * @private
@@ -239,28 +489,7 @@ class APIServer {
       }, SHUTDOWN_TIMEOUT);
 
       try {
-        // Stop accepting new requests
-        if (this.server) {
-          console.log('Closing HTTP server...');
-          await new Promise((resolve, reject) => {
-            this.server.close((err) => {
-              if (err) {
-                console.error('Error closing HTTP server:', err);
-                reject(err);
-              } else {
-                console.log('HTTP server closed successfully');
-                resolve();
-              }
-            });
-          });
-        }
-
-        // Close database connections
-        if (this.matrix) {
-          console.log('Closing TriadMatrix database...');
-          await this.matrix.closeDB();
-          console.log('Database connection closed successfully');
-        }
+        await this.stop();
 
         // Clear the timeout since shutdown was successful
         clearTimeout(shutdownTimer);
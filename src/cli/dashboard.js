@@ -18,8 +18,16 @@ const UPDATE_INTERVAL = 2000;
 const MINING_INTERVAL = 3000;
 const MATRIX_UPDATE_INTERVAL = 100;
 const MAX_HISTORY_POINTS = 30;
+const RECENT_TRIADS_LIMIT = 20;
 const NEW_TRIAD_PROBABILITY = 0.2;
 const WALLET_FILE = '.wallet';
+const TRIAD_STATE_COLORS = {
+  pending: 'yellow',
+  voting: 'cyan',
+  accepted: 'green',
+  rejected: 'red',
+  expired: 'gray'
+};
 
 class SeirChainDashboard {
   constructor() {
@@ -40,6 +48,7 @@ class SeirChainDashboard {
     this.matrix = null;
     this.wallet = new Wallet();
     this.consensusHistory = {};
+    this.recentTriads = [];
     this._miningInterval = null;
     this.lastError = null;
   }
@@ -260,9 +269,9 @@ class SeirChainDashboard {
    * @private
    */
   drawMatrix() {
-    if (!this.matrix?.getMatrixState()?.triads) return;
+    if (!this.matrix?.isInitialized) return;
 
-    const triads = this.matrix.getMatrixState().triads;
+    const triads = this.recentTriads;
     
     // Update consensus history
     triads.forEach(triad => {
@@ -342,13 +351,22 @@ class SeirChainDashboard {
    * @private
    */
   async initializeMatrix() {
-    this.matrix = new TriadMatrix(this.dbPath, {
-      dimensions: parseInt(process.env.MATRIX_DIMENSIONS, 10) || 3,
+    this.matrix = await TriadMatrix.open(this.dbPath, {
+      axes: parseInt(process.env.MATRIX_AXES, 10) || 3,
+      sideLength: parseInt(process.env.MATRIX_SIDE_LENGTH || process.env.MATRIX_DIMENSIONS, 10) || 3,
+      cellCapacity: parseInt(process.env.MATRIX_CELL_CAPACITY, 10) || 1,
+      cacheSize: parseInt(process.env.MATRIX_CACHE_SIZE, 10) || 10000,
+      maxPayloadSize: parseInt(process.env.MAX_TRIAD_PAYLOAD_SIZE, 10) || 65536,
+      expiryWindow: parseInt(process.env.TRIAD_EXPIRY_WINDOW, 10) || 86400000,
       complexity: parseInt(process.env.TRIAD_COMPLEXITY, 10) || 4,
+      distanceMetric: process.env.MATRIX_DISTANCE_METRIC,
       consensusThreshold: parseFloat(process.env.CONSENSUS_THRESHOLD) || 0.67,
     });
-
-    await this.matrix.init();
+    this.matrix.on('triadStateChanged', ({ triadId, to, cause }) => {
+      if (to !== TriadMatrix.TRIAD_STATES.VOTING) {
+        this.miningLog.log(`{${TRIAD_STATE_COLORS[to]}-fg}●{/${TRIAD_STATE_COLORS[to]}-fg} Triad ${triadId.substring(0, 8)} ${to} (${cause})`);
+      }
+    });
   }
 
   /**
@@ -390,11 +408,11 @@ class SeirChainDashboard {
   updateMatrixStatus() {
     const state = this.matrix.getMatrixState();
     this.matrixStatus.setContent(
-      `{bold}Dimensions:{/bold} ${state.dimensions}x${state.dimensions}x${state.dimensions}\n` +
+      `{bold}Dimensions:{/bold} ${Array(state.axes).fill(state.sideLength).join('x')}\n` +
       `{bold}Complexity:{/bold} ${state.complexity}\n` +
       `{bold}Consensus Threshold:{/bold} ${(state.consensusThreshold * 100).toFixed(2)}%\n` +
       `{bold}Total Triads:{/bold} ${state.triadsCount}\n` +
-      `{bold}Validated Triads:{/bold} ${state.triads.filter(t => t.validated).length}\n` +
+      `{bold}Validated Triads:{/bold} ${state.validatedTriadsCount}\n` +
       `{bold}Validators:{/bold} ${state.validators.length}\n` +
       `{bold}Mining Status:{/bold} ${this._miningInterval ? '{green-fg}Active{/green-fg}' : '{yellow-fg}Inactive{/yellow-fg}'}`
     );
@@ -419,14 +437,15 @@ class SeirChainDashboard {
    * Update triads table
    * @private
    */
-  updateTriadsTable() {
-    const state = this.matrix.getMatrixState();
-    const tableData = state.triads.map(triad => [
+  async updateTriadsTable() {
+    const { triads } = await this.matrix.queryTriads({ limit: RECENT_TRIADS_LIMIT, reverse: true });
+    this.recentTriads = triads;
+    const tableData = triads.map(triad => [
       triad.id.substring(0, 8),
       JSON.stringify(triad.data).substring(0, 35),
       triad.validator.substring(0, 8),
       (triad.consensus * 100).toFixed(2) + '%',
-      triad.validated ? '{green-fg}Validated{/green-fg}' : '{yellow-fg}Pending{/yellow-fg}'
+      `{${TRIAD_STATE_COLORS[triad.state]}-fg}${triad.state}{/${TRIAD_STATE_COLORS[triad.state]}-fg}`
     ]);
 
     this.triadsTable.setData({
@@ -481,8 +500,12 @@ class SeirChainDashboard {
       this.miningLog.log(`{green-fg}✓{/green-fg} Registered as validator`);
     }
 
-    const state = this.matrix.getMatrixState();
-    const unvalidatedTriads = state.triads.filter(t => !t.validated && t.validator !== walletAddress);
+    const unvalidatedTriads = [];
+    for await (const { triad } of this.matrix.streamOpenTriads()) {
+      if (triad.validator !== walletAddress && !(await this.matrix.hasVoted(triad.id, walletAddress))) {
+        unvalidatedTriads.push(triad);
+      }
+    }
 
     if (unvalidatedTriads.length > 0) {
       await this.validateRandomTriad(unvalidatedTriads);
@@ -505,7 +528,7 @@ class SeirChainDashboard {
     const randomTriad = unvalidatedTriads[Math.floor(Math.random() * unvalidatedTriads.length)];
     try {
       this.miningLog.log(`{cyan-fg}⚡{/cyan-fg} Validating triad ${randomTriad.id}`);
-      const updatedTriad = await this.matrix.validateTriad(randomTriad.id, this.wallet.getAddress());
+      const updatedTriad = await this.matrix.validateTriad(randomTriad.id, this.wallet);
       
       if (updatedTriad.validated) {
         this.miningLog.log(`{green-fg}✓{/green-fg} Validated triad ${randomTriad.id} (${(updatedTriad.consensus * 100).toFixed(2)}%)`);
@@ -540,7 +563,7 @@ class SeirChainDashboard {
         message: `Triad created at ${new Date().toISOString()}`,
         creator: this.wallet.getAddress()
       };
-      const triad = await this.matrix.createTriad(data, this.wallet.getAddress());
+      const triad = await this.matrix.createTriad(data, this.wallet);
       this.miningLog.log(`{green-fg}✓{/green-fg} Created new triad: ${triad.id}`);
       this.refreshData();
     } catch (error) {
@@ -615,7 +638,7 @@ class SeirChainDashboard {
     if (this.matrix) {
       this.miningLog.log('Closing database connection...');
       this.screen.render();
-      await this.matrix.closeDB();
+      await this.matrix.close();
     }
 
     // Clear screen state
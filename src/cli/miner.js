@@ -8,12 +8,14 @@
 const TriadMatrix = require('../core/TriadMatrix');
 const Wallet = require('../core/Wallet');
 const Tokenomics = require('../core/Tokenomics');
+const APIServer = require('../api/server');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
 
 // Constants
 const DEFAULT_MINING_INTERVAL = 5000;
+const DEFAULT_CHECKPOINT_INTERVAL = 10 * 60 * 1000;
 const WALLET_FILE = '.wallet';
 const STATS_UPDATE_INTERVAL = 1000;
 
@@ -33,9 +35,12 @@ class SeirMiner {
   initializeState() {
     this.matrix = null;
     this.wallet = new Wallet();
-    this.tokenomics = new Tokenomics();
+    this.tokenomics = new Tokenomics(process.env.TOKENOMICS_DB_PATH);
+    this.apiServer = null;
     this.dbPath = process.env.DB_PATH || path.join(process.cwd(), 'data', 'triad.db');
     this.miningInterval = parseInt(process.env.MINING_INTERVAL, 10) || DEFAULT_MINING_INTERVAL;
+    this.checkpointInterval = parseInt(process.env.CHECKPOINT_INTERVAL, 10) || DEFAULT_CHECKPOINT_INTERVAL;
+    this.lastCheckpointProposal = 0;
     this.isRunning = false;
     this.lastError = null;
     this.stats = this.initializeStats();
@@ -56,7 +61,9 @@ class SeirMiner {
       failedValidations: 0,
       averageConsensus: 0,
       highestConsensus: 0,
-      totalAttempts: 0
+      totalAttempts: 0,
+      rejectedTriads: 0,
+      expiredTriads: 0
     };
   }
 
@@ -115,6 +122,7 @@ class SeirMiner {
       await this.initializeDataDirectory();
       await this.initializeComponents();
       await this.registerValidator();
+      await this.startApiServer();
       
       this.printWelcomeMessage();
     } catch (error) {
@@ -140,14 +148,50 @@ class SeirMiner {
    * @private
    */
   async initializeComponents() {
-    this.matrix = new TriadMatrix(this.dbPath, {
-      dimensions: parseInt(process.env.MATRIX_DIMENSIONS, 10) || 3,
+    // The matrix records the ledger's balances root while opening, so the ledger is loaded first
+    await this.tokenomics.loadLedger();
+    this.matrix = await TriadMatrix.open(this.dbPath, {
+      axes: parseInt(process.env.MATRIX_AXES, 10) || 3,
+      sideLength: parseInt(process.env.MATRIX_SIDE_LENGTH || process.env.MATRIX_DIMENSIONS, 10) || 3,
+      cellCapacity: parseInt(process.env.MATRIX_CELL_CAPACITY, 10) || 1,
+      cacheSize: parseInt(process.env.MATRIX_CACHE_SIZE, 10) || 10000,
+      maxPayloadSize: parseInt(process.env.MAX_TRIAD_PAYLOAD_SIZE, 10) || 65536,
+      expiryWindow: parseInt(process.env.TRIAD_EXPIRY_WINDOW, 10) || 86400000,
+      mode: process.env.NODE_MODE,
+      retention: {
+        days: parseFloat(process.env.RETENTION_DAYS) || 30,
+        keepUncheckpointed: process.env.RETENTION_KEEP_UNCHECKPOINTED !== 'false'
+      },
+      archiveDir: process.env.ARCHIVE_DIR,
       complexity: parseInt(process.env.TRIAD_COMPLEXITY, 10) || 4,
+      distanceMetric: process.env.MATRIX_DISTANCE_METRIC,
       consensusThreshold: parseFloat(process.env.CONSENSUS_THRESHOLD) || 0.67,
+      tokenomics: this.tokenomics,
+      minValidatorStake: parseFloat(process.env.MIN_VALIDATOR_STAKE) || 0,
+    });
+    this.matrix.on('triadRejected', () => this.stats.rejectedTriads++);
+    this.matrix.on('triadExpired', () => this.stats.expiredTriads++);
+    this.matrix.on('checkpointSigned', checkpoint => this.signCheckpoint(checkpoint));
+    this.matrix.on('checkpointFinalized', checkpoint => {
+      console.log(`🏁 Checkpoint ${checkpoint.sequence} finalized over ${checkpoint.triadCount} accepted triads`);
     });
+    this.matrix.on('checkpointConflict', checkpoint => {
+      console.warn(`⚠️  Checkpoint ${checkpoint.sequence} was signed by a supermajority but covers ${checkpoint.triadCount} triads where this node accepted ${checkpoint.localTriadCount}; not finalized`);
+    });
+  }
 
-    await this.matrix.init();
-    await this.tokenomics.loadLedger();
+  /**
+   * Serve the API from this process when MINER_API_PORT is set. The server shares the
+   * miner's matrix and ledger, as a separate API process cannot open the same databases.
+   * @private
+   */
+  async startApiServer() {
+    const port = parseInt(process.env.MINER_API_PORT, 10);
+    if (!port) {
+      return;
+    }
+    this.apiServer = new APIServer({ matrix: this.matrix, tokenomics: this.tokenomics, port });
+    await this.apiServer.start();
   }
 
   /**
@@ -173,6 +217,7 @@ class SeirMiner {
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
    🔑 Address: ${walletAddress}
    💰 Current Balance: ${this.tokenomics.getBalance(walletAddress)} WAC
+   🔒 Staked: ${this.tokenomics.getStake(walletAddress)} WAC
    🎁 Mining Reward: ${this.tokenomics.MINING_REWARD} WAC
    ⏱️  Mining Interval: ${this.miningInterval}ms
    🎯 Consensus Threshold: ${this.matrix.consensusThreshold * 100}%
@@ -217,7 +262,8 @@ class SeirMiner {
    Total Supply: ${this.tokenomics.getTotalSupply()} WAC
    Your Share: ${((currentBalance / this.tokenomics.getTotalSupply()) * 100).toFixed(2)}%
    Active Validators: ${this.matrix.validators.size}
-   Total Triads: ${this.matrix.triads.size}
+   Total Triads: ${this.matrix.getMatrixState().triadsCount}
+   Rejected/Expired This Session: ${this.stats.rejectedTriads}/${this.stats.expiredTriads}
 
 ⚙️  System Status
    Mining: ${this.isRunning ? '🟢 Active' : '🔴 Stopped'}
@@ -235,14 +281,18 @@ Press Ctrl+C to stop mining...
   async miningCycle() {
     try {
       const walletAddress = this.wallet.getAddress();
-      const state = this.matrix.getMatrixState();
-      const unvalidatedTriads = state.triads.filter(t => !t.validated && t.validator !== walletAddress);
+      const unvalidatedTriads = [];
+      for await (const { triad } of this.matrix.streamOpenTriads()) {
+        if (triad.validator !== walletAddress && !(await this.matrix.hasVoted(triad.id, walletAddress))) {
+          unvalidatedTriads.push(triad);
+        }
+      }
 
       if (unvalidatedTriads.length > 0) {
         for (const triad of unvalidatedTriads) {
           try {
             this.stats.totalAttempts++;
-            const updatedTriad = await this.matrix.validateTriad(triad.id, walletAddress);
+            const updatedTriad = await this.matrix.validateTriad(triad.id, this.wallet);
             
             // Update consensus statistics
             const consensusPercent = updatedTriad.consensus * 100;
@@ -266,6 +316,7 @@ Press Ctrl+C to stop mining...
         }
       }
 
+      await this.proposeCheckpoint();
       this.printStats();
     } catch (error) {
       this.lastError = error.message;
@@ -273,6 +324,43 @@ Press Ctrl+C to stop mining...
     }
   }
 
+  /**
+   * Propose a checkpoint once the latest checkpoint and this miner's last proposal are older
+   * than the checkpoint interval
+   * @private
+   */
+  async proposeCheckpoint() {
+    const latest = this.matrix.getLatestCheckpoint();
+    const now = Date.now();
+    const lastCheckpoint = Math.max(latest ? latest.until : 0, this.lastCheckpointProposal);
+    if (!this.matrix.validators.has(this.wallet.getAddress()) || now - lastCheckpoint < this.checkpointInterval) {
+      return;
+    }
+    this.lastCheckpointProposal = now;
+    try {
+      await this.matrix.proposeCheckpoint(this.wallet, { until: now });
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('Error proposing checkpoint:', error.message);
+    }
+  }
+
+  /**
+   * Co-sign a checkpoint gossiped by another validator
+   * @private
+   * @param {Object} checkpoint - Pending checkpoint
+   */
+  signCheckpoint(checkpoint) {
+    const walletAddress = this.wallet.getAddress();
+    if (!this.matrix.validators.has(walletAddress) ||
+        checkpoint.signatures.some(signature => signature.validator === walletAddress)) {
+      return;
+    }
+    this.matrix.signCheckpoint(checkpoint.hash, this.wallet).catch(error => {
+      console.error(`Not signing checkpoint ${checkpoint.sequence}:`, error.message);
+    });
+  }
+
   /**
    * Update statistics after successful validation
    * @private
@@ -315,8 +403,12 @@ Press Ctrl+C to stop mining...
       clearInterval(this.statsInterval);
     }
 
+    if (this.apiServer) {
+      await this.apiServer.stop();
+    }
+
     if (this.matrix) {
-      await this.matrix.closeDB();
+      await this.matrix.close();
     }
 
     console.log('\n✨ Mining stopped. Final stats:');
@@ -9,7 +9,16 @@ const minimist = require('minimist');
 const TriadMatrix = require('../core/TriadMatrix');
 const Wallet = require('../core/Wallet');
 const Tokenomics = require('../core/Tokenomics');
-const { handleTokenInfo, handleTokenTransfer } = require('./token-handlers');
+const MigrationRunner = require('../core/MigrationRunner');
+const LevelStorage = require('../core/LevelStorage');
+const { MATRIX_MIGRATIONS } = require('../core/migrations');
+const {
+  handleTokenInfo,
+  handleTokenTransfer,
+  handleStake,
+  handleUnstake,
+  handleWithdrawStake
+} = require('./token-handlers');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config({ path: path.resolve(process.cwd(), '.env') });
@@ -18,6 +27,13 @@ require('dotenv').config({ path: path.resolve(process.cwd(), '.env') });
 const WALLET_FILE = path.resolve(process.cwd(), 'data', '.wallet');
 const DEFAULT_TRIAD_LIST_LIMIT = 10;
 const WALLET_FILE_PERMISSIONS = 0o600;
+const TRIAD_STATE_LABELS = {
+  pending: '⏳ Pending',
+  voting: '🗳️ Voting',
+  accepted: '✅ Accepted',
+  rejected: '❌ Rejected',
+  expired: '⌛ Expired'
+};
 
 class SeirChainCLI {
   /**
@@ -70,7 +86,7 @@ class SeirChainCLI {
     try {
       if (this.matrix) {
         console.log('Closing TriadMatrix database...');
-        await this.matrix.closeDB();
+        await this.matrix.close();
       }
 
       if (this.tokenomics) {
@@ -101,18 +117,24 @@ class SeirChainCLI {
    * @returns {Promise<void>}
    */
   async initMatrix() {
-    if (this.matrix?.isInitialized) return;
+    if (this.matrix) return;
 
     try {
       await this.ensureDirectories();
       
-      this.matrix = new TriadMatrix(this.dbPath, {
-        dimensions: parseInt(process.env.MATRIX_DIMENSIONS, 10) || 3,
+      this.matrix = await TriadMatrix.open(this.dbPath, {
+        axes: parseInt(process.env.MATRIX_AXES, 10) || 3,
+        sideLength: parseInt(process.env.MATRIX_SIDE_LENGTH || process.env.MATRIX_DIMENSIONS, 10) || 3,
+        cellCapacity: parseInt(process.env.MATRIX_CELL_CAPACITY, 10) || 1,
+        cacheSize: parseInt(process.env.MATRIX_CACHE_SIZE, 10) || 10000,
+        maxPayloadSize: parseInt(process.env.MAX_TRIAD_PAYLOAD_SIZE, 10) || 65536,
+        expiryWindow: parseInt(process.env.TRIAD_EXPIRY_WINDOW, 10) || 86400000,
         complexity: parseInt(process.env.TRIAD_COMPLEXITY, 10) || 4,
+        distanceMetric: process.env.MATRIX_DISTANCE_METRIC,
         consensusThreshold: parseFloat(process.env.CONSENSUS_THRESHOLD) || 0.67,
+        tokenomics: this.tokenomics,
+        minValidatorStake: parseFloat(process.env.MIN_VALIDATOR_STAKE) || 0,
       });
-
-      await this.matrix.init();
       console.log('✅ TriadMatrix initialized.');
     } catch (error) {
       this.lastError = error.message;
@@ -226,7 +248,7 @@ class SeirChainCLI {
 
     try {
       console.log('Attempting to create triad with data:', data);
-      const triad = await this.matrix.createTriad(data, this.wallet.getAddress());
+      const triad = await this.matrix.createTriad(data, this.wallet);
       console.log('✅ Triad created successfully:');
       console.log(JSON.stringify(triad, null, 2));
     } catch (error) {
@@ -243,15 +265,14 @@ class SeirChainCLI {
    */
   async getStatus() {
     const state = this.matrix.getMatrixState();
-    const validatedTriads = state.triads.filter(t => t.validated).length;
 
     console.log('\n📊 TriadMatrix Status:');
     console.log(`   Initialized: ${state.isInitialized ? '✅' : '❌'}`);
-    console.log(`   Dimensions: ${state.dimensions}x${state.dimensions}x${state.dimensions}`);
+    console.log(`   Dimensions: ${Array(state.axes).fill(state.sideLength).join('x')}`);
     console.log(`   Complexity Factor: ${state.complexity}`);
     console.log(`   Consensus Threshold: ${(state.consensusThreshold * 100).toFixed(2)}%`);
     console.log(`   Total Triads in DB: ${state.triadsCount}`);
-    console.log(`   Validated Triads: ${validatedTriads} / ${state.triads.length}`);
+    console.log(`   Validated Triads: ${state.validatedTriadsCount} / ${state.triadsCount}`);
     console.log(`   Registered Validators: ${state.validators.length}`);
     
     if (state.validators.length > 0) {
@@ -264,24 +285,94 @@ class SeirChainCLI {
     }
   }
 
+  /**
+   * Write a snapshot of the matrix to a file
+   * @param {string} filePath - Snapshot file to write
+   */
+  async createSnapshot(filePath) {
+    try {
+      const summary = await this.matrix.createSnapshot(filePath);
+      console.log(`✅ Snapshot written to ${filePath}`);
+      console.log(`   Triads: ${summary.triads}, Votes: ${summary.votes}, Evidence: ${summary.evidence}`);
+      console.log(`   Checksum: ${summary.checksum}`);
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('❌ Failed to create snapshot:', error.message);
+    }
+  }
+
+  /**
+   * Replace the matrix with the contents of a snapshot file
+   * @param {string} filePath - Snapshot file to restore
+   */
+  async restoreSnapshot(filePath) {
+    try {
+      const summary = await this.matrix.restoreSnapshot(filePath);
+      console.log(`✅ Snapshot restored from ${filePath}`);
+      console.log(`   Triads: ${summary.triads}, Votes: ${summary.votes}, Evidence: ${summary.evidence}`);
+      if (summary.rejectedCount > 0) {
+        console.log(`⚠️  ${summary.rejectedCount} records failed verification and were skipped`);
+      }
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('❌ Failed to restore snapshot:', error.message);
+    }
+  }
+
+  /**
+   * Show the schema migrations that opening the databases would run, without running them
+   */
+  async showPendingMigrations() {
+    // Opening the matrix runs its migrations, so its database is inspected directly
+    const matrixDb = fs.existsSync(this.dbPath) ? new LevelStorage(this.dbPath) : null;
+    try {
+      const matrixPlan = matrixDb ?
+        await new MigrationRunner(matrixDb, MATRIX_MIGRATIONS, { name: 'matrix' }).run({ dryRun: true }) :
+        null;
+      const plans = [
+        ['TriadMatrix', this.dbPath, matrixPlan],
+        ['Tokenomics', this.tokenomics.dbPath, await this.tokenomics.migrations.run({ dryRun: true })]
+      ];
+
+      console.log('\n🗂️  Schema Migrations:');
+      plans.forEach(([name, dbPath, plan]) => {
+        console.log(`\n   ${name} (${dbPath})`);
+        if (!plan) {
+          console.log('   No database yet; it will be created at the latest schema version.');
+        } else if (plan.migrations.length === 0) {
+          console.log(`   Up to date at schema version ${plan.toVersion}.`);
+        } else {
+          console.log(`   Schema version ${plan.fromVersion} → ${plan.toVersion}, pending:`);
+          plan.migrations.forEach(m => console.log(`   - ${m.version}: ${m.description}`));
+        }
+      });
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('❌ Failed to read pending migrations:', error.message);
+    } finally {
+      if (matrixDb) {
+        await matrixDb.close();
+      }
+    }
+  }
+
   /**
    * List triads
    * @param {number} limit - Maximum number of triads to list
    */
   async listTriads(limit = DEFAULT_TRIAD_LIST_LIMIT) {
-    const state = this.matrix.getMatrixState();
+    const { triads, cursor } = await this.matrix.queryTriads({ limit });
     
-    console.log('\n📋 Triads List (Snapshot):');
-    if (state.triads.length === 0) {
-      console.log('   No triads found in the current matrix snapshot.');
+    console.log('\n📋 Triads List:');
+    if (triads.length === 0) {
+      console.log('   No triads found in the matrix.');
       return;
     }
 
-    const triadsToDisplay = state.triads.slice(0, limit);
-    this.displayTriadsList(triadsToDisplay);
+    this.displayTriadsList(triads);
 
-    if (state.triads.length > limit) {
-      console.log(`\n   ... and ${state.triads.length - limit} more. Use --limit <num> to see more.`);
+    if (cursor) {
+      console.log(`\n   ... and ${this.matrix.getMatrixState().triadsCount - triads.length} more. Use --limit <num> to see more.`);
     }
   }
 
@@ -294,9 +385,9 @@ class SeirChainCLI {
     triads.forEach((triad, index) => {
       console.log(`\n${index + 1}. Triad ID: ${triad.id}`);
       console.log(`   Validator: ${triad.validator}`);
-      console.log(`   Status: ${triad.validated ? '✅ Validated' : '⏳ Pending'}`);
+      console.log(`   Status: ${TRIAD_STATE_LABELS[triad.state]}`);
       console.log(`   Consensus: ${(triad.consensus * 100).toFixed(2)}%`);
-      console.log(`   Position: (X:${triad.position.x}, Y:${triad.position.y}, Z:${triad.position.z})`);
+      console.log(`   Position: (${triad.position.join(', ')})`);
       console.log(`   Created: ${new Date(triad.timestamp).toLocaleString()}`);
       
       if (typeof triad.data === 'object') {
@@ -315,7 +406,7 @@ class SeirChainCLI {
 
     const walletAddress = this.wallet.getAddress();
     await this.displayMiningStart(walletAddress);
-    await this.ensureValidatorRegistration(walletAddress);
+    if (!await this.ensureValidatorRegistration(walletAddress)) return;
     await this.performMiningCycle(walletAddress);
   }
 
@@ -330,6 +421,7 @@ class SeirChainCLI {
    Validator Address: ${walletAddress}
    Mining Reward: ${this.tokenomics.MINING_REWARD} ${this.tokenomics.tokenSymbol}
    Current Balance: ${this.tokenomics.getBalance(walletAddress)} ${this.tokenomics.tokenSymbol}
+   Staked: ${this.tokenomics.getStake(walletAddress)} ${this.tokenomics.tokenSymbol}
     `);
   }
 
@@ -337,12 +429,21 @@ class SeirChainCLI {
    * Ensure validator registration
    * @private
    * @param {string} walletAddress - Wallet address
+   * @returns {boolean} True if the wallet is a registered validator
    */
   async ensureValidatorRegistration(walletAddress) {
     if (!this.matrix.validators.has(walletAddress)) {
-      this.matrix.addValidator(walletAddress);
+      try {
+        this.matrix.addValidator(walletAddress);
+      } catch (error) {
+        this.lastError = error.message;
+        console.error(`❌ Cannot register as validator: ${error.message}`);
+        console.error('   Lock WAC as stake first with --stake <amount>.');
+        return false;
+      }
       console.log(`📬 Successfully registered ${walletAddress} as a validator.`);
     }
+    return true;
   }
 
   /**
@@ -351,8 +452,12 @@ class SeirChainCLI {
    * @param {string} walletAddress - Wallet address
    */
   async performMiningCycle(walletAddress) {
-    const state = this.matrix.getMatrixState();
-    const unvalidatedTriads = state.triads.filter(t => !t.validated && t.validator !== walletAddress);
+    const unvalidatedTriads = [];
+    for await (const { triad } of this.matrix.streamOpenTriads()) {
+      if (triad.validator !== walletAddress && !(await this.matrix.hasVoted(triad.id, walletAddress))) {
+        unvalidatedTriads.push(triad);
+      }
+    }
 
     if (unvalidatedTriads.length === 0) {
       console.log('✅ No triads available for validation in current snapshot.');
@@ -361,7 +466,7 @@ class SeirChainCLI {
 
     console.log(`
 📊 Mining Status:
-   Total Triads: ${state.triads.length}
+   Total Triads: ${this.matrix.getMatrixState().triadsCount}
    Unvalidated Triads: ${unvalidatedTriads.length}
    Consensus Threshold: ${(this.matrix.consensusThreshold * 100).toFixed(2)}%
     `);
@@ -391,7 +496,7 @@ class SeirChainCLI {
     try {
       console.log(`\n🔍 Validating Triad ${triad.id}...`);
       
-      const updatedTriad = await this.matrix.validateTriad(triad.id, walletAddress);
+      const updatedTriad = await this.matrix.validateTriad(triad.id, this.wallet);
       
       if (updatedTriad.validated) {
         try {
@@ -488,10 +593,16 @@ Triad & Matrix Commands:
   --status                       Show current TriadMatrix status and statistics.
   --list [--limit <number>]      List triads in the matrix (default limit 10).
   --mine                         Run the validation process for unvalidated triads.
+  --create-snapshot <file>       Write the matrix, validators and votes to a snapshot file.
+  --restore-snapshot <file>      Replace the matrix with the contents of a snapshot file.
+  --pending-migrations           Show schema migrations the next start would run, without running them.
 
 Token Commands:
   --token-info                   Display WAC token info for your wallet.
   --transfer-tokens <recipient> <amount>  Transfer WAC tokens to another wallet.
+  --stake <amount>               Lock WAC as validator stake.
+  --unstake <amount>             Start unbonding staked WAC.
+  --withdraw-stake               Return stake whose unbonding period has passed.
 
 General Options:
   --help                         Show this help message.
@@ -499,9 +610,17 @@ General Options:
 Environment Variables:
   DEBUG=true                     Enable debug mode with stack traces
   VERBOSE_LOGGING=true          Enable verbose logging
-  MATRIX_DIMENSIONS=3           Set matrix dimensions (default: 3)
+  MATRIX_AXES=3                 Number of matrix axes (default: 3)
+  MATRIX_SIDE_LENGTH=3          Cells along each axis (default: 3)
+  MATRIX_CELL_CAPACITY=1        Triads per matrix cell (default: 1)
+  MATRIX_CACHE_SIZE=10000       Triads kept in memory (default: 10000)
+  MAX_TRIAD_PAYLOAD_SIZE=65536  Largest triad data in bytes (default: 65536)
+  TRIAD_EXPIRY_WINDOW=86400000  Milliseconds a triad has to reach consensus (default: 24h)
   TRIAD_COMPLEXITY=4           Set triad complexity (default: 4)
+  MATRIX_DISTANCE_METRIC=euclidean Connection metric: euclidean, manhattan, chebyshev, toroidal
   CONSENSUS_THRESHOLD=0.67     Set consensus threshold (default: 0.67)
+  MIN_VALIDATOR_STAKE=0        Stake required to register as a validator (default: 0)
+  UNBONDING_PERIOD=604800000   Unbonding period in ms (default: 7 days)
 
 Examples:
   node ${path.basename(process.argv[1])} --create-wallet
@@ -510,6 +629,7 @@ Examples:
   node ${path.basename(process.argv[1])} --status
   node ${path.basename(process.argv[1])} --list --limit 5
   node ${path.basename(process.argv[1])} --mine
+  node ${path.basename(process.argv[1])} --create-snapshot backups/matrix.snapshot
   node ${path.basename(process.argv[1])} --token-info
   node ${path.basename(process.argv[1])} --transfer-tokens RECIPIENT_ADDRESS AMOUNT
     `);
@@ -552,11 +672,14 @@ async function main() {
 
   try {
     cli.loadWallet();
-    await cli.tokenomics.loadLedger();
+    // Loading the ledger migrates it, so the migration report reads the databases untouched
+    if (!args['pending-migrations']) {
+      await cli.tokenomics.loadLedger();
+    }
 
     // Initialize matrix for commands that need it
     if (args['create-triad'] || args.status || args.list || args.mine || 
-        args['get-triad'] || args['token-info']) {
+        args['get-triad'] || args['token-info'] || args['create-snapshot'] || args['restore-snapshot']) {
       await cli.initMatrix();
     }
 
@@ -617,6 +740,22 @@ async function handleCommand(cli, args) {
     await cli.listTriads(limit);
   } else if (args.mine) {
     await cli.mine();
+  } else if (args['pending-migrations']) {
+    await cli.showPendingMigrations();
+  } else if (args['create-snapshot']) {
+    if (typeof args['create-snapshot'] !== 'string') {
+      console.error("❌ A file path must be provided for the snapshot.");
+      cli.showHelp();
+    } else {
+      await cli.createSnapshot(args['create-snapshot']);
+    }
+  } else if (args['restore-snapshot']) {
+    if (typeof args['restore-snapshot'] !== 'string') {
+      console.error("❌ A snapshot file path must be provided for restore.");
+      cli.showHelp();
+    } else {
+      await cli.restoreSnapshot(args['restore-snapshot']);
+    }
   } else if (args['token-info']) {
     await handleTokenInfo(cli);
   } else if (args['transfer-tokens']) {
@@ -627,6 +766,12 @@ async function handleCommand(cli, args) {
     }
     const [recipient, amountStr] = args._;
     await handleTokenTransfer(cli, recipient, parseFloat(amountStr));
+  } else if (args.stake !== undefined) {
+    await handleStake(cli, parseFloat(args.stake));
+  } else if (args.unstake !== undefined) {
+    await handleUnstake(cli, parseFloat(args.unstake));
+  } else if (args['withdraw-stake']) {
+    await handleWithdrawStake(cli);
   }
 }
 
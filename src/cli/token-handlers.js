@@ -8,12 +8,17 @@ async function handleTokenInfo(cli) {
   const address = cli.wallet.getAddress();
   const balance = cli.tokenomics.getBalance(address);
   const totalSupply = cli.tokenomics.getTotalSupply();
+  const staked = cli.tokenomics.getStake(address);
+  const unbonding = cli.tokenomics.getUnbonding(address)
+    .reduce((sum, entry) => sum + entry.amount, 0);
   
   console.log(`
 💰 Token Information:
    Symbol: ${cli.tokenomics.tokenSymbol}
    Your Address: ${address}
    Your Balance: ${balance} ${cli.tokenomics.tokenSymbol}
+   Staked: ${staked} ${cli.tokenomics.tokenSymbol}
+   Unbonding: ${unbonding} ${cli.tokenomics.tokenSymbol}
    Total Supply: ${totalSupply} ${cli.tokenomics.tokenSymbol}
   `);
 }
@@ -41,7 +46,57 @@ async function handleTokenTransfer(cli, recipient, amount) {
   }
 }
 
+/**
+ * Handle stake command
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {number} amount - Amount to lock as stake
+ */
+async function handleStake(cli, amount) {
+  if (!cli.validateWalletState()) return;
+
+  try {
+    await cli.tokenomics.stake(cli.wallet.getAddress(), amount);
+  } catch (error) {
+    console.error(`❌ Staking failed: ${error.message}`);
+  }
+}
+
+/**
+ * Handle unstake command
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {number} amount - Amount to unbond
+ */
+async function handleUnstake(cli, amount) {
+  if (!cli.validateWalletState()) return;
+
+  try {
+    await cli.tokenomics.unstake(cli.wallet.getAddress(), amount);
+  } catch (error) {
+    console.error(`❌ Unstaking failed: ${error.message}`);
+  }
+}
+
+/**
+ * Handle withdraw-stake command
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ */
+async function handleWithdrawStake(cli) {
+  if (!cli.validateWalletState()) return;
+
+  try {
+    const amount = await cli.tokenomics.withdrawUnbonded(cli.wallet.getAddress());
+    if (amount === 0) {
+      console.log('⏳ No unbonded stake is withdrawable yet.');
+    }
+  } catch (error) {
+    console.error(`❌ Withdrawal failed: ${error.message}`);
+  }
+}
+
 module.exports = {
   handleTokenInfo,
-  handleTokenTransfer
+  handleTokenTransfer,
+  handleStake,
+  handleUnstake,
+  handleWithdrawStake
 };
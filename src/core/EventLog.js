@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Persisted event log for the TriadMatrix
+ * Every logged matrix event gets the next sequence number and is stored under
+ * `event:{seq}`, so consumers that restart can resume from the last event they handled.
+ * An event is stored in the same batch as the change it records, so the log has it exactly
+ * when the change is stored; subscribers see it once that batch is written, replaying the
+ * stored events before following new ones.
+ */
+
+const { createChildLogger } = require('../utils/logger');
+
+const EVENT_PREFIX = 'event:';
+// Zero-padded so LevelDB orders the records by sequence number
+const SEQUENCE_WIDTH = 16;
+const DEFAULT_READ_LIMIT = 100;
+const REPLAY_BATCH_SIZE = 1000;
+
+class EventLog {
+  /**
+   * Create an event log. Nothing is read until `open()` is called.
+   * @param {StorageAdapter} db - Database holding the `event:` records
+   */
+  constructor(db) {
+    this.db = db;
+    this.logger = createChildLogger('EventLog');
+    this.lastSeq = 0;
+    this.writing = Promise.resolve();
+    this.subscribers = new Set();
+    this.isOpen = false;
+  }
+
+  /**
+   * Read the last stored sequence number and start accepting events
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.lastSeq = 0;
+    for await (const key of this.db.keys({ gte: EVENT_PREFIX, lte: `${EVENT_PREFIX}~`, reverse: true, limit: 1 })) {
+      this.lastSeq = parseInt(key.slice(EVENT_PREFIX.length), 10);
+    }
+    this.isOpen = true;
+  }
+
+  /**
+   * Number events and store them with the change they record. `write` gets the puts of the
+   * `event:{seq}` records and writes them in the same batch as the change. Writes with events
+   * run one at a time, so sequence numbers follow the order in which events are stored, and
+   * the numbers of a failed write are used by the next one.
+   * @param {Array<{type: string, payload: *}>} events - Events to log; payloads must be
+   *   JSON-compatible and are copied, so later changes are not logged
+   * @param {Function} write - Async function called with the event operations
+   * @returns {Promise<void>} Resolves once the batch is written and the subscribers have the events
+   * @throws {Error} If the log is not open or the write fails
+   */
+  write(events, write) {
+    const writing = this.writing.then(async () => {
+      if (!this.isOpen) {
+        throw new Error('Event log is not open');
+      }
+      const at = Date.now();
+      const stored = events.map(({ type, payload }, i) => ({
+        seq: this.lastSeq + i + 1,
+        type,
+        at,
+        payload: payload === undefined ? null : JSON.parse(JSON.stringify(payload))
+      }));
+      await write(stored.map(event => ({ type: 'put', key: this.getKey(event.seq), value: event })));
+
+      this.lastSeq += stored.length;
+      this.subscribers.forEach(subscriber => {
+        if (!subscriber.replaying) {
+          stored.forEach(event => this.deliver(subscriber, event));
+        }
+      });
+    });
+    this.writing = writing.catch(() => {});
+    return writing;
+  }
+
+  /**
+   * Read stored events in sequence order
+   * @param {Object} [options] - Read options
+   * @param {number} [options.fromSeq=1] - First sequence number to return
+   * @param {number} [options.limit=100] - Maximum number of events
+   * @returns {Promise<Array<Object>>} `{seq, type, at, payload}` events
+   */
+  async read({ fromSeq = 1, limit = DEFAULT_READ_LIMIT } = {}) {
+    this.validateSeq(fromSeq);
+    const events = [];
+    for await (const event of this.db.values({ gte: this.getKey(fromSeq), lte: this.getKey(this.lastSeq), limit })) {
+      events.push(event);
+    }
+    return events;
+  }
+
+  /**
+   * Subscribe to the log: the stored events from `fromSeq` on are replayed, then new events
+   * are passed on as they are stored. Every event is delivered once, in sequence order.
+   * @param {Object} [options] - Subscription options
+   * @param {number} [options.fromSeq] - First sequence number to deliver; defaults to the next new event
+   * @param {Function} listener - Called with each `{seq, type, at, payload}` event
+   * @returns {Promise<Function>} Resolves once the replay is done, with a function that ends the subscription
+   */
+  async subscribe({ fromSeq } = {}, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Event listener must be a function');
+    }
+    if (fromSeq !== undefined) {
+      this.validateSeq(fromSeq);
+    }
+
+    const subscriber = { nextSeq: fromSeq === undefined ? this.lastSeq + 1 : fromSeq, listener, replaying: true };
+    this.subscribers.add(subscriber);
+    const unsubscribe = () => {
+      this.subscribers.delete(subscriber);
+    };
+
+    try {
+      // Events stored while replaying are picked up by the next round, so none is missed or repeated
+      while (subscriber.nextSeq <= this.lastSeq && this.subscribers.has(subscriber)) {
+        const events = await this.read({ fromSeq: subscriber.nextSeq, limit: REPLAY_BATCH_SIZE });
+        if (events.length === 0) {
+          break;
+        }
+        events.forEach(event => this.deliver(subscriber, event));
+      }
+    } catch (error) {
+      unsubscribe();
+      throw error;
+    }
+    subscriber.replaying = false;
+    return unsubscribe;
+  }
+
+  /**
+   * Wait for the write in progress and end every subscription
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.writing;
+    this.isOpen = false;
+    this.subscribers.clear();
+  }
+
+  /**
+   * Pass an event to a subscriber unless it already has it
+   * @private
+   * @param {Object} subscriber - Subscriber record
+   * @param {Object} event - Stored event
+   */
+  deliver(subscriber, event) {
+    if (event.seq < subscriber.nextSeq) {
+      return;
+    }
+    subscriber.nextSeq = event.seq + 1;
+    try {
+      subscriber.listener(event);
+    } catch (error) {
+      this.logger.error('Event listener failed', { seq: event.seq, type: event.type, error: error.message });
+    }
+  }
+
+  /**
+   * Build the record key of an event
+   * @private
+   * @param {number} seq - Sequence number
+   * @returns {string} Record key
+   */
+  getKey(seq) {
+    return `${EVENT_PREFIX}${String(seq).padStart(SEQUENCE_WIDTH, '0')}`;
+  }
+
+  /**
+   * @private
+   * @param {number} seq - Sequence number to check
+   * @throws {Error} If it is not a positive integer
+   */
+  validateSeq(seq) {
+    if (!Number.isInteger(seq) || seq < 1) {
+      throw new Error('Event sequence numbers are positive integers');
+    }
+  }
+}
+
+module.exports = EventLog;
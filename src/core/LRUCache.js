@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Bounded least-recently-used cache
+ * Keeps the most recently read records in memory and evicts the oldest once the
+ * capacity is reached, so memory stays constant no matter how large the store grows
+ */
+
+const DEFAULT_CAPACITY = 10000;
+
+class LRUCache {
+  /**
+   * Create a new cache
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.capacity] - Maximum number of entries kept in memory
+   */
+  constructor(options = {}) {
+    this.capacity = Number.isInteger(options.capacity) && options.capacity > 0 ?
+      options.capacity :
+      DEFAULT_CAPACITY;
+    // Map iteration follows insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get an entry and mark it as recently used
+   * @param {string} key - Entry key
+   * @returns {*} Cached value, or undefined if the key is not cached
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Check whether a key is cached without changing its recency
+   * @param {string} key - Entry key
+   * @returns {boolean} True if the key is cached
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Add or replace an entry, evicting the least recently used entry if the cache is full
+   * @param {string} key - Entry key
+   * @param {*} value - Value to cache
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.capacity) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Entry key
+   * @returns {boolean} True if the entry was cached
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = LRUCache;
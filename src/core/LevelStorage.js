@@ -0,0 +1,76 @@
+/**
+ * @fileoverview LevelDB storage adapter
+ * The default backend: a LevelDB database on disk with JSON values. Every operation is
+ * passed to the native implementation.
+ */
+
+const { Level } = require('level');
+const path = require('path');
+const fs = require('fs');
+const StorageAdapter = require('./StorageAdapter');
+
+class LevelStorage extends StorageAdapter {
+  /**
+   * Open (and create if missing) a LevelDB database
+   * @param {string} dbPath - Database directory; its parent is created if needed
+   */
+  constructor(dbPath) {
+    super();
+    const dbDir = path.dirname(dbPath);
+    if (!fs.existsSync(dbDir)) {
+      fs.mkdirSync(dbDir, { recursive: true });
+    }
+    this.dbPath = dbPath;
+    this.db = new Level(dbPath, {
+      valueEncoding: 'json',
+      createIfMissing: true,
+      errorIfExists: false
+    });
+  }
+
+  async open() {
+    await this.db.open();
+  }
+
+  async get(key) {
+    return this.db.get(key);
+  }
+
+  async getMany(keys) {
+    return this.db.getMany(keys);
+  }
+
+  async put(key, value) {
+    await this.db.put(key, value);
+  }
+
+  async del(key) {
+    await this.db.del(key);
+  }
+
+  async batch(operations) {
+    await this.db.batch(operations);
+  }
+
+  iterator(range = {}) {
+    return this.db.iterator(range);
+  }
+
+  keys(range = {}) {
+    return this.db.keys(range);
+  }
+
+  values(range = {}) {
+    return this.db.values(range);
+  }
+
+  async clear(range = {}) {
+    await this.db.clear(range);
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+module.exports = LevelStorage;
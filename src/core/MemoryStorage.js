@@ -0,0 +1,140 @@
+/**
+ * @fileoverview In-memory storage adapter
+ * Keeps records in a sorted key list and a map of JSON-encoded values, for tests and
+ * simulations that should not touch disk. Values are encoded on write and decoded on read,
+ * so callers never share objects with the store, just as with LevelDB. Closing keeps the
+ * records, so a store can be closed and opened again to simulate a restart.
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+
+class MemoryStorage extends StorageAdapter {
+  /**
+   * Create an empty, open store
+   */
+  constructor() {
+    super();
+    this.sortedKeys = [];
+    this.records = new Map();
+    this.isOpen = true;
+  }
+
+  async open() {
+    this.isOpen = true;
+  }
+
+  async get(key) {
+    this.assertOpen();
+    if (!this.records.has(key)) {
+      const error = new Error(`Key ${key} was not found`);
+      error.code = 'LEVEL_NOT_FOUND';
+      error.notFound = true;
+      throw error;
+    }
+    return JSON.parse(this.records.get(key));
+  }
+
+  async put(key, value) {
+    await this.batch([{ type: 'put', key, value }]);
+  }
+
+  async batch(operations) {
+    this.assertOpen();
+    // Encode everything first so an invalid operation leaves the store untouched
+    const encoded = operations.map(operation => {
+      if (typeof operation.key !== 'string') {
+        throw new Error('Storage keys must be strings');
+      }
+      if (operation.type === 'put') {
+        if (operation.value === undefined || operation.value === null) {
+          throw new Error('Storage values cannot be null or undefined');
+        }
+        return { ...operation, value: JSON.stringify(operation.value) };
+      }
+      if (operation.type === 'del') {
+        return operation;
+      }
+      throw new Error(`Unknown batch operation type ${operation.type}`);
+    });
+
+    encoded.forEach(({ type, key, value }) => {
+      const index = this.findIndex(key);
+      const exists = this.sortedKeys[index] === key;
+      if (type === 'put') {
+        if (!exists) {
+          this.sortedKeys.splice(index, 0, key);
+        }
+        this.records.set(key, value);
+      } else if (exists) {
+        this.sortedKeys.splice(index, 1);
+        this.records.delete(key);
+      }
+    });
+  }
+
+  iterator(range = {}) {
+    this.assertOpen();
+    // Copy the matching entries now, as a LevelDB iterator reads from a snapshot
+    const start = range.gte !== undefined ? this.findIndex(range.gte) :
+      range.gt !== undefined ? this.findIndex(range.gt, true) :
+        0;
+    const entries = [];
+    for (let i = start; i < this.sortedKeys.length; i++) {
+      const key = this.sortedKeys[i];
+      if ((range.lte !== undefined && key > range.lte) || (range.lt !== undefined && key >= range.lt)) {
+        break;
+      }
+      entries.push([key, this.records.get(key)]);
+    }
+    if (range.reverse) {
+      entries.reverse();
+    }
+    const limit = Number.isInteger(range.limit) && range.limit >= 0 ? range.limit : Infinity;
+
+    return (async function* () {
+      for (const [key, value] of entries.slice(0, limit)) {
+        yield [key, JSON.parse(value)];
+      }
+    })();
+  }
+
+  async close() {
+    this.isOpen = false;
+  }
+
+  /**
+   * Find where a key is or would be inserted in the sorted key list
+   * @private
+   * @param {string} key - Key to look up
+   * @param {boolean} [after=false] - Return the position after the key if it exists
+   * @returns {number} Index into `sortedKeys`
+   */
+  findIndex(key, after = false) {
+    let low = 0;
+    let high = this.sortedKeys.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      const current = this.sortedKeys[middle];
+      if (current < key || (after && current === key)) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * @private
+   * @throws {Error} If the store has been closed
+   */
+  assertOpen() {
+    if (!this.isOpen) {
+      const error = new Error('Database is not open');
+      error.code = 'LEVEL_DATABASE_NOT_OPEN';
+      throw error;
+    }
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Schema migrations for LevelDB stores
+ * Each database records the schema version of its records under `schema:version`. Opening a
+ * database runs, in order, every migration newer than that version and records each version
+ * as soon as its migration has finished, so an interrupted run resumes where it stopped.
+ */
+
+const { createChildLogger } = require('../utils/logger');
+
+const SCHEMA_VERSION_KEY = 'schema:version';
+
+class MigrationRunner {
+  /**
+   * Create a new migration runner
+   * @param {StorageAdapter} db - Database to migrate
+   * @param {Array<Object>} migrations - Migrations with `version`, `description` and `up(db)`;
+   *   `up` must be safe to run again if it was interrupted
+   * @param {Object} [options] - Runner options
+   * @param {string} [options.name] - Database name used in log messages
+   * @throws {Error} If the migration versions are not 1, 2, 3, ...
+   */
+  constructor(db, migrations, options = {}) {
+    migrations.forEach((migration, i) => {
+      if (migration.version !== i + 1 || typeof migration.up !== 'function') {
+        throw new Error(`Migration ${i + 1} of ${options.name || 'database'} is out of order or has no up function`);
+      }
+    });
+    this.db = db;
+    this.migrations = migrations;
+    this.name = options.name || 'database';
+    this.logger = createChildLogger('MigrationRunner');
+  }
+
+  /**
+   * Schema version written by the newest migration
+   * @returns {number} Latest schema version
+   */
+  get latestVersion() {
+    return this.migrations.length;
+  }
+
+  /**
+   * Read the schema version stored in the database. Databases written before schema
+   * versions existed have no version record and are at version 0.
+   * @returns {Promise<number>} Stored schema version
+   */
+  async getVersion() {
+    try {
+      return await this.db.get(SCHEMA_VERSION_KEY);
+    } catch (error) {
+      if (error.notFound) {
+        return 0;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record the schema version of the database's records
+   * @param {number} version - Schema version
+   * @returns {Promise<void>}
+   */
+  async setVersion(version) {
+    await this.db.put(SCHEMA_VERSION_KEY, version);
+  }
+
+  /**
+   * List the migrations that opening the database would run
+   * @returns {Promise<Array<{version: number, description: string}>>} Pending migrations, oldest first
+   */
+  async getPending() {
+    const version = await this.getVersion();
+    if (version === 0 && await this.isEmpty()) {
+      return [];
+    }
+    return this.migrations
+      .filter(migration => migration.version > version)
+      .map(({ version, description }) => ({ version, description }));
+  }
+
+  /**
+   * Bring the database to the latest schema version. A new, empty database is stamped with
+   * the latest version without running anything.
+   * @param {Object} [options] - Run options
+   * @param {boolean} [options.dryRun] - Only report the migrations that would run
+   * @returns {Promise<Object>} `{fromVersion, toVersion, migrations, dryRun}`
+   * @throws {Error} If the database was written by a newer schema version
+   */
+  async run({ dryRun = false } = {}) {
+    const fromVersion = await this.getVersion();
+    if (fromVersion > this.latestVersion) {
+      throw new Error(`The ${this.name} schema version ${fromVersion} is newer than the latest supported version ${this.latestVersion}`);
+    }
+
+    const pending = await this.getPending();
+    const result = { fromVersion, toVersion: this.latestVersion, migrations: pending, dryRun };
+    if (dryRun || fromVersion === this.latestVersion) {
+      return result;
+    }
+
+    for (const { version, description } of pending) {
+      this.logger.info('Running migration', { database: this.name, version, description });
+      await this.migrations[version - 1].up(this.db);
+      await this.setVersion(version);
+    }
+    if (pending.length === 0) {
+      await this.setVersion(this.latestVersion);
+    }
+
+    this.logger.info('Database schema is up to date', {
+      database: this.name,
+      fromVersion,
+      toVersion: this.latestVersion,
+      applied: pending.length
+    });
+    return result;
+  }
+
+  /**
+   * Check whether the database holds no records at all
+   * @private
+   * @returns {Promise<boolean>} True if the database is empty
+   */
+  async isEmpty() {
+    for await (const key of this.db.keys({ limit: 1 })) {
+      return false;
+    }
+    return true;
+  }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Grid-bucket spatial index for the TriadMatrix
+ * Buckets triad positions into fixed-size grid cells so that neighbour lookups only
+ * visit the cells that overlap the search box instead of every triad in the matrix.
+ * The bucket keys are also used by the TriadMatrix to lay out its persisted grid.
+ */
+
+const DEFAULT_CELL_SIZE = 4;
+
+class SpatialIndex {
+  /**
+   * Create a new spatial index
+   * @param {Object} [options] - Index options
+   * @param {number} [options.cellSize] - Edge length of a grid bucket; best set to the usual query radius
+   */
+  constructor(options = {}) {
+    this.cellSize = Number.isFinite(options.cellSize) && options.cellSize > 0 ?
+      options.cellSize :
+      DEFAULT_CELL_SIZE;
+    this.buckets = new Map();
+    this.size = 0;
+  }
+
+  /**
+   * Add an entry to the index
+   * @param {string} id - Entry ID
+   * @param {Array<number>} coordinates - Entry coordinates
+   */
+  insert(id, coordinates) {
+    const key = this.getEntryBucketKey(coordinates);
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new Map());
+    }
+    const bucket = this.buckets.get(key);
+    if (!bucket.has(id)) {
+      this.size++;
+    }
+    bucket.set(id, coordinates);
+  }
+
+  /**
+   * Remove an entry from the index
+   * @param {string} id - Entry ID
+   * @param {Array<number>} coordinates - Coordinates the entry was inserted with
+   * @returns {boolean} True if the entry was removed
+   */
+  remove(id, coordinates) {
+    const key = this.getEntryBucketKey(coordinates);
+    const bucket = this.buckets.get(key);
+    if (!bucket || !bucket.delete(id)) {
+      return false;
+    }
+    if (bucket.size === 0) {
+      this.buckets.delete(key);
+    }
+    this.size--;
+    return true;
+  }
+
+  /**
+   * Find the entries whose coordinates lie within `radius` of a point along every axis.
+   * The box is a superset of any distance ball of the same radius, so callers filter
+   * the candidates with their own distance function.
+   * @param {Array<number>} coordinates - Query point
+   * @param {number} radius - Search radius
+   * @returns {Array<{id: string, coordinates: Array<number>}>} Candidate entries
+   */
+  queryBox(coordinates, radius) {
+    const candidates = [];
+    this.getBucketKeysInBox(coordinates, radius).forEach(key => {
+      const bucket = this.buckets.get(key);
+      if (!bucket) return;
+      bucket.forEach((entryCoordinates, id) => {
+        if (entryCoordinates.every((value, i) => Math.abs(value - coordinates[i]) <= radius)) {
+          candidates.push({ id, coordinates: entryCoordinates });
+        }
+      });
+    });
+    return candidates;
+  }
+
+  /**
+   * Get the key of the bucket an entry falls into
+   * @param {Array<number>} coordinates - Entry coordinates
+   * @returns {string} Bucket key
+   */
+  getEntryBucketKey(coordinates) {
+    return this.getBucketKey(coordinates.map(value => this.getBucketCoordinate(value)));
+  }
+
+  /**
+   * Get the keys of every bucket that overlaps the box of `radius` around a point
+   * @param {Array<number>} coordinates - Query point
+   * @param {number} radius - Search radius
+   * @returns {Array<string>} Bucket keys
+   */
+  getBucketKeysInBox(coordinates, radius) {
+    const ranges = coordinates.map(value => [
+      this.getBucketCoordinate(value - radius),
+      this.getBucketCoordinate(value + radius)
+    ]);
+    const keys = [];
+
+    const visit = (axis, bucketCoordinates) => {
+      if (axis === ranges.length) {
+        keys.push(this.getBucketKey(bucketCoordinates));
+        return;
+      }
+      for (let cell = ranges[axis][0]; cell <= ranges[axis][1]; cell++) {
+        bucketCoordinates[axis] = cell;
+        visit(axis + 1, bucketCoordinates);
+      }
+    };
+
+    visit(0, new Array(ranges.length));
+    return keys;
+  }
+
+  /**
+   * Remove every entry from the index
+   */
+  clear() {
+    this.buckets.clear();
+    this.size = 0;
+  }
+
+  /**
+   * Get the grid bucket coordinate of a single axis value
+   * @private
+   * @param {number} value - Axis value
+   * @returns {number} Bucket coordinate
+   */
+  getBucketCoordinate(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  /**
+   * Build the map key of a bucket
+   * @private
+   * @param {Array<number>} bucketCoordinates - Bucket coordinates
+   * @returns {string} Bucket key
+   */
+  getBucketKey(bucketCoordinates) {
+    return bucketCoordinates.join(':');
+  }
+}
+
+module.exports = SpatialIndex;
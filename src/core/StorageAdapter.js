@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Storage adapter interface for SeirChain stores
+ * TriadMatrix and Tokenomics keep their records in an ordered key-value store behind this
+ * interface, so a deployment can choose the backend and tests can run without touching disk.
+ * Implementations provide `get`, `put`, `batch`, `iterator` and `close` with LevelDB
+ * semantics: JSON values, keys ordered lexicographically, and a `get` of a missing key
+ * rejecting with an error whose `notFound` is true. Everything else is derived from those
+ * and may be overridden where the backend has a faster native version.
+ */
+
+class StorageAdapter {
+  /**
+   * Open the store. Stores open themselves on construction; this reopens a closed store.
+   * @returns {Promise<void>}
+   */
+  async open() {}
+
+  /**
+   * Read a record
+   * @param {string} key - Record key
+   * @returns {Promise<*>} Stored value
+   * @throws {Error} With `notFound` set if the key does not exist
+   */
+  async get() {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  /**
+   * Write a record
+   * @param {string} key - Record key
+   * @param {*} value - JSON-compatible value
+   * @returns {Promise<void>}
+   */
+  async put() {
+    throw new Error(`${this.constructor.name} does not implement put`);
+  }
+
+  /**
+   * Apply puts and deletes atomically
+   * @param {Array<{type: string, key: string, value: *}>} operations - `put` and `del` operations
+   * @returns {Promise<void>}
+   */
+  async batch() {
+    throw new Error(`${this.constructor.name} does not implement batch`);
+  }
+
+  /**
+   * Iterate over a key range, seeing the records as they were when the iterator was created
+   * @param {Object} [range] - `gt`, `gte`, `lt`, `lte`, `reverse` and `limit`
+   * @returns {AsyncIterable<Array>} `[key, value]` entries in key order
+   */
+  iterator() {
+    throw new Error(`${this.constructor.name} does not implement iterator`);
+  }
+
+  /**
+   * Close the store
+   * @returns {Promise<void>}
+   */
+  async close() {
+    throw new Error(`${this.constructor.name} does not implement close`);
+  }
+
+  /**
+   * Read several records
+   * @param {Array<string>} keys - Record keys
+   * @returns {Promise<Array<*>>} Stored values, undefined for missing keys
+   */
+  async getMany(keys) {
+    return Promise.all(keys.map(async key => {
+      try {
+        return await this.get(key);
+      } catch (error) {
+        if (error.notFound) {
+          return undefined;
+        }
+        throw error;
+      }
+    }));
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   */
+  async del(key) {
+    await this.batch([{ type: 'del', key }]);
+  }
+
+  /**
+   * Iterate over the keys of a range
+   * @param {Object} [range] - As for `iterator`
+   * @returns {AsyncIterable<string>} Keys in key order
+   */
+  async *keys(range) {
+    for await (const [key] of this.iterator(range)) {
+      yield key;
+    }
+  }
+
+  /**
+   * Iterate over the values of a range
+   * @param {Object} [range] - As for `iterator`
+   * @returns {AsyncIterable<*>} Values in key order
+   */
+  async *values(range) {
+    for await (const [, value] of this.iterator(range)) {
+      yield value;
+    }
+  }
+
+  /**
+   * Delete every record in a range, or the whole store without one
+   * @param {Object} [range] - As for `iterator`
+   * @returns {Promise<void>}
+   */
+  async clear(range = {}) {
+    const operations = [];
+    for await (const key of this.keys(range)) {
+      operations.push({ type: 'del', key });
+    }
+    await this.batch(operations);
+  }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Sparse Merkle tree kept in the database
+ * Holds the same tree as `SparseMerkleTree` in `src/utils/merkle.js`, with the same root and
+ * proofs, but stores every node as a record keyed by its position: the path of key bits from
+ * the root, so the root is `{prefix}` and its children `{prefix}0` and `{prefix}1`. A leaf is
+ * stored as `{key, hash}`, a branch as `{hash}`, and empty subtrees are not stored. Opening
+ * reads only the root record; an insert reads and rewrites the nodes on one path.
+ * The tree does not write: `set` returns the batch operations, so the caller commits them
+ * together with the record they cover.
+ */
+
+const {
+  EMPTY_ROOT,
+  SPARSE_KEY_PATTERN,
+  getKeyBit,
+  hashNode,
+  hashSparseLeaf,
+  validateSparseKey
+} = require('../utils/merkle');
+
+class StoredMerkleTree {
+  /**
+   * Create a tree over the node records under a key prefix. Nothing is read until `load()`.
+   * @param {Object} options - Tree options
+   * @param {string} options.prefix - Key prefix of the node records
+   * @param {Function} options.read - Async function reading several records by key; missing
+   *   records read as undefined. Reads must see operations returned by `set` that are not yet
+   *   committed.
+   */
+  constructor({ prefix, read }) {
+    this.prefix = prefix;
+    this.read = read;
+    this.root = EMPTY_ROOT;
+  }
+
+  /**
+   * Read the root from the stored root node
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const [rootNode] = await this.read([this.prefix]);
+    this.root = this.getHash(rootNode);
+  }
+
+  /**
+   * Forget the root. The caller deletes the node records.
+   */
+  clear() {
+    this.root = EMPTY_ROOT;
+  }
+
+  /**
+   * Insert or replace a record and update the root
+   * @param {string} key - 64-character hex key
+   * @param {string} value - Record value
+   * @returns {Promise<Array<Object>>} Batch operations writing the changed nodes
+   */
+  async set(key, value) {
+    validateSparseKey(key);
+    const leaf = { key, hash: hashSparseLeaf(key, value) };
+    // Nodes written by this insert, read back before the stored ones
+    const writes = new Map();
+    const readNode = async position => {
+      if (writes.has(position)) {
+        return writes.get(position);
+      }
+      const [node] = await this.read([this.prefix + position]);
+      return node || null;
+    };
+
+    const branches = [];
+    let position = '';
+    let node = await readNode(position);
+    while (node && !node.key) {
+      branches.push(position);
+      position += getKeyBit(key, position.length);
+      node = await readNode(position);
+    }
+    if (node && node.key !== key) {
+      // Two keys share this subtree: branch until their bits differ
+      while (getKeyBit(key, position.length) === getKeyBit(node.key, position.length)) {
+        branches.push(position);
+        position += getKeyBit(key, position.length);
+      }
+      branches.push(position);
+      writes.set(position + getKeyBit(node.key, position.length), node);
+      position += getKeyBit(key, position.length);
+    }
+    writes.set(position, leaf);
+
+    for (let i = branches.length - 1; i >= 0; i--) {
+      const [left, right] = await Promise.all([readNode(`${branches[i]}0`), readNode(`${branches[i]}1`)]);
+      writes.set(branches[i], { hash: hashNode(this.getHash(left), this.getHash(right)) });
+    }
+    this.root = writes.get('').hash;
+
+    return Array.from(writes, ([nodePosition, value]) => ({ type: 'put', key: this.prefix + nodePosition, value }));
+  }
+
+  /**
+   * Check whether a key is in the tree
+   * @param {string} key - 64-character hex key
+   * @returns {Promise<boolean>} True if the key has a record
+   */
+  async has(key) {
+    return typeof key === 'string' && SPARSE_KEY_PATTERN.test(key) && (await this.getProof(key)) !== null;
+  }
+
+  /**
+   * Build the inclusion proof of a key against the current root
+   * @param {string} key - 64-character hex key
+   * @returns {Promise<{key: string, siblings: Array<string>}|null>} Sibling hashes from the root
+   *   down to the key's leaf, or null if the key is not in the tree
+   */
+  async getProof(key) {
+    validateSparseKey(key);
+    const siblings = [];
+    let position = '';
+    let [node] = await this.read([this.prefix]);
+    while (node && !node.key) {
+      const bit = getKeyBit(key, position.length);
+      const [sibling, child] = await this.read([`${this.prefix}${position}${1 - bit}`, `${this.prefix}${position}${bit}`]);
+      siblings.push(this.getHash(sibling));
+      position += bit;
+      node = child;
+    }
+    return node && node.key === key ? { key, siblings } : null;
+  }
+
+  /**
+   * @private
+   * @param {Object|undefined|null} node - Stored node
+   * @returns {string} Hash of the subtree
+   */
+  getHash(node) {
+    return node ? node.hash : EMPTY_ROOT;
+  }
+}
+
+module.exports = StoredMerkleTree;
@@ -3,33 +3,49 @@
  * Handles token minting, transfers, and ledger state management using LevelDB
  */
 
-const { Level } = require('level');
 const path = require('path');
-const fs = require('fs');
+const LevelStorage = require('./LevelStorage');
+const { SparseMerkleTree } = require('../utils/merkle');
+const { getBalanceKey, getBalanceLeaf } = require('../utils/proofs');
+const MigrationRunner = require('./MigrationRunner');
+const { TOKENOMICS_MIGRATIONS } = require('./migrations');
 
 // Constants for validation and configuration
 const DEFAULT_MINING_REWARD = 10;
 const MIN_TRANSFER_AMOUNT = 0.000001;
+const DEFAULT_UNBONDING_PERIOD = 7 * 24 * 60 * 60 * 1000; // 7 days in ms
 
 class Tokenomics {
+  /**
+   * Create a new token ledger; call `loadLedger` before use
+   * @param {string} [dbPath] - Path to the LevelDB database; unused when `options.storage` is given
+   * @param {Object} [options] - Ledger options
+   * @param {StorageAdapter} [options.storage] - Store to use instead of a LevelDB database at `dbPath`
+   * @param {string} [options.tokenName] - Token name
+   * @param {string} [options.tokenSymbol] - Token symbol
+   * @param {number} [options.unbondingPeriod] - Time in ms before unstaked tokens can be withdrawn
+   */
   constructor(dbPath, options = {}) {
     this.dbPath = dbPath || path.join(process.cwd(), 'data', 'tokenomics.db');
-    const dbDir = path.dirname(this.dbPath);
-    if (!fs.existsSync(dbDir)) {
-      fs.mkdirSync(dbDir, { recursive: true });
-    }
+    this.db = options.storage || new LevelStorage(this.dbPath);
     
-    this.db = new Level(this.dbPath, { 
-      valueEncoding: 'json',
-      createIfMissing: true,
-      errorIfExists: false
-    });
+    this.migrations = new MigrationRunner(this.db, TOKENOMICS_MIGRATIONS, { name: 'tokenomics' });
+    this.schemaVersion = 0;
     
     this.tokenName = options.tokenName || 'Wacłaium';
     this.tokenSymbol = options.tokenSymbol || 'WAC';
     this.totalSupply = 0;
     this.ledger = new Map();
+    this.balanceTree = new SparseMerkleTree();
+    this.stakes = new Map();
     this.lastError = null;
+
+    const unbondingPeriod = options.unbondingPeriod !== undefined ?
+      options.unbondingPeriod :
+      parseInt(process.env.UNBONDING_PERIOD, 10);
+    this.unbondingPeriod = Number.isFinite(unbondingPeriod) && unbondingPeriod >= 0 ?
+      unbondingPeriod :
+      DEFAULT_UNBONDING_PERIOD;
     
     // Enhanced mining reward initialization with validation
     const miningReward = parseFloat(process.env.MINING_REWARD);
@@ -43,14 +59,32 @@ class Tokenomics {
 
   async loadLedger() {
     try {
+      await this.db.open();
+      // Bring records written by older versions into the current shape before reading them
+      this.schemaVersion = (await this.migrations.run()).toVersion;
+
       // Load account balances
       for await (const [key, value] of this.db.iterator({ gt: 'acct:', lt: 'acct:~' })) {
         const address = key.replace('acct:', '');
         if (this.validateBalance(value.balance)) {
-          this.ledger.set(address, value.balance);
+          this.setBalance(address, value.balance);
         } else {
           console.warn(`Invalid balance found for address ${address}. Setting to 0.`);
-          this.ledger.set(address, 0);
+          this.setBalance(address, 0);
+        }
+      }
+      
+      // Load validator stakes
+      for await (const [key, value] of this.db.iterator({ gt: 'stake:', lt: 'stake:~' })) {
+        const address = key.replace('stake:', '');
+        const unbonding = Array.isArray(value.unbonding) ?
+          value.unbonding.filter(entry => this.validateBalance(entry.amount) && Number.isFinite(entry.releaseAt)) :
+          [];
+        if (this.validateBalance(value.staked)) {
+          this.stakes.set(address, { staked: value.staked, unbonding });
+        } else {
+          console.warn(`Invalid stake found for address ${address}. Setting to 0.`);
+          this.stakes.set(address, { staked: 0, unbonding });
         }
       }
       
@@ -108,7 +142,7 @@ class Tokenomics {
     try {
       // Update ledger and total supply
       const newBalance = currentBalance + amount;
-      this.ledger.set(address, newBalance);
+      this.setBalance(address, newBalance);
       this.totalSupply += amount;
 
       // Persist changes atomically
@@ -130,7 +164,7 @@ class Tokenomics {
     } catch (error) {
       // Revert memory state on DB failure
       if (this.ledger.has(address)) {
-        this.ledger.set(address, currentBalance);
+        this.setBalance(address, currentBalance);
       }
       this.totalSupply = previousTotalSupply;
       this.lastError = error.message;
@@ -156,8 +190,8 @@ class Tokenomics {
 
     try {
       // Update ledger
-      this.ledger.set(fromAddress, fromBalance - amount);
-      this.ledger.set(toAddress, toBalance + amount);
+      this.setBalance(fromAddress, fromBalance - amount);
+      this.setBalance(toAddress, toBalance + amount);
 
       // Persist changes atomically
       await Promise.all([
@@ -177,13 +211,268 @@ class Tokenomics {
       return true;
     } catch (error) {
       // Revert memory state on DB failure
-      this.ledger.set(fromAddress, fromBalance);
-      this.ledger.set(toAddress, toBalance);
+      this.setBalance(fromAddress, fromBalance);
+      this.setBalance(toAddress, toBalance);
       this.lastError = error.message;
       throw new Error(`Failed to complete transfer: ${error.message}`);
     }
   }
 
+  /**
+   * Lock part of an account balance as validator stake
+   * @param {string} address - Validator address
+   * @param {number} amount - Amount of WAC to lock
+   * @returns {Promise<boolean>} True if the stake was locked
+   */
+  async stake(address, amount) {
+    if (!this.validateAddress(address)) {
+      throw new Error('Invalid address provided for staking.');
+    }
+
+    if (!this.validateAmount(amount)) {
+      throw new Error('Stake amount must be a positive number.');
+    }
+
+    const balance = this.ledger.get(address) || 0;
+    if (balance < amount) {
+      throw new Error(`Insufficient balance in account ${address}. Required: ${amount}, Available: ${balance}`);
+    }
+
+    const previousStake = this.getStakeRecord(address);
+    const stake = { ...previousStake, staked: previousStake.staked + amount };
+
+    try {
+      this.setBalance(address, balance - amount);
+      this.stakes.set(address, stake);
+
+      await this.db.batch([
+        { type: 'put', key: `acct:${address}`, value: { balance: balance - amount } },
+        { type: 'put', key: `stake:${address}`, value: stake }
+      ]);
+
+      console.log(`
+🔒 Stake Locked Successfully:
+   Address: ${address}
+   Amount: ${amount} ${this.tokenSymbol}
+   Staked: ${previousStake.staked} → ${stake.staked} ${this.tokenSymbol}
+   Available Balance: ${balance} → ${balance - amount} ${this.tokenSymbol}
+      `);
+
+      return true;
+    } catch (error) {
+      // Revert memory state on DB failure
+      this.setBalance(address, balance);
+      this.stakes.set(address, previousStake);
+      this.lastError = error.message;
+      throw new Error(`Failed to stake tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start unbonding part of a validator's stake. The amount stops counting as stake
+   * immediately and becomes withdrawable once the unbonding period has passed.
+   * @param {string} address - Validator address
+   * @param {number} amount - Amount of WAC to unbond
+   * @returns {Promise<Object>} Unbonding entry with amount and releaseAt
+   */
+  async unstake(address, amount) {
+    if (!this.validateAddress(address)) {
+      throw new Error('Invalid address provided for unstaking.');
+    }
+
+    if (!this.validateAmount(amount)) {
+      throw new Error('Unstake amount must be a positive number.');
+    }
+
+    const previousStake = this.getStakeRecord(address);
+    if (previousStake.staked < amount) {
+      throw new Error(`Insufficient stake for ${address}. Required: ${amount}, Staked: ${previousStake.staked}`);
+    }
+
+    const entry = { amount, releaseAt: Date.now() + this.unbondingPeriod };
+    const stake = {
+      staked: previousStake.staked - amount,
+      unbonding: [...previousStake.unbonding, entry]
+    };
+
+    try {
+      this.stakes.set(address, stake);
+      await this.db.put(`stake:${address}`, stake);
+
+      console.log(`
+🔓 Unbonding Started:
+   Address: ${address}
+   Amount: ${amount} ${this.tokenSymbol}
+   Staked: ${previousStake.staked} → ${stake.staked} ${this.tokenSymbol}
+   Withdrawable: ${new Date(entry.releaseAt).toISOString()}
+      `);
+
+      return entry;
+    } catch (error) {
+      this.stakes.set(address, previousStake);
+      this.lastError = error.message;
+      throw new Error(`Failed to unstake tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Return stake whose unbonding period has passed to the account balance
+   * @param {string} address - Validator address
+   * @returns {Promise<number>} Amount returned to the balance
+   */
+  async withdrawUnbonded(address) {
+    if (!this.validateAddress(address)) {
+      throw new Error('Invalid address provided for withdrawal.');
+    }
+
+    const previousStake = this.getStakeRecord(address);
+    const now = Date.now();
+    const released = previousStake.unbonding.filter(entry => entry.releaseAt <= now);
+    const amount = released.reduce((sum, entry) => sum + entry.amount, 0);
+
+    if (amount === 0) {
+      return 0;
+    }
+
+    const balance = this.ledger.get(address) || 0;
+    const stake = {
+      staked: previousStake.staked,
+      unbonding: previousStake.unbonding.filter(entry => entry.releaseAt > now)
+    };
+
+    try {
+      this.setBalance(address, balance + amount);
+      this.stakes.set(address, stake);
+
+      await this.db.batch([
+        { type: 'put', key: `acct:${address}`, value: { balance: balance + amount } },
+        { type: 'put', key: `stake:${address}`, value: stake }
+      ]);
+
+      console.log(`
+💰 Unbonded Stake Withdrawn:
+   Address: ${address}
+   Amount: ${amount} ${this.tokenSymbol}
+   Balance: ${balance} → ${balance + amount} ${this.tokenSymbol}
+      `);
+
+      return amount;
+    } catch (error) {
+      this.setBalance(address, balance);
+      this.stakes.set(address, previousStake);
+      this.lastError = error.message;
+      throw new Error(`Failed to withdraw unbonded stake: ${error.message}`);
+    }
+  }
+
+  /**
+   * Slash part of a validator's stake, including stake that is still unbonding.
+   * Slashed tokens are burned, or credited to a beneficiary when one is given.
+   * @param {string} address - Offending validator address
+   * @param {number} fraction - Fraction of the stake to slash, in (0, 1]
+   * @param {string|null} [beneficiary] - Address receiving the slashed tokens
+   * @returns {Promise<Object>} Slashed amount and how much was burned or redistributed
+   */
+  async slash(address, fraction, beneficiary = null) {
+    if (!this.validateAddress(address)) {
+      throw new Error('Invalid address provided for slashing.');
+    }
+
+    if (!Number.isFinite(fraction) || fraction <= 0 || fraction > 1) {
+      throw new Error('Slash fraction must be a number in (0, 1].');
+    }
+
+    if (beneficiary !== null && !this.validateAddress(beneficiary)) {
+      throw new Error('Invalid beneficiary address provided for slashing.');
+    }
+
+    const previousStake = this.getStakeRecord(address);
+    const unbondingTotal = previousStake.unbonding.reduce((sum, entry) => sum + entry.amount, 0);
+    const amount = (previousStake.staked + unbondingTotal) * fraction;
+
+    if (amount === 0) {
+      return { amount: 0, burned: 0, redistributed: 0 };
+    }
+
+    // Take from active stake first, then from the unbonding queue
+    let remaining = amount;
+    const staked = Math.max(0, previousStake.staked - remaining);
+    remaining -= previousStake.staked - staked;
+    const unbonding = previousStake.unbonding.map(entry => {
+      const taken = Math.min(entry.amount, remaining);
+      remaining -= taken;
+      return { ...entry, amount: entry.amount - taken };
+    }).filter(entry => entry.amount > 0);
+    const stake = { staked, unbonding };
+
+    const previousTotalSupply = this.totalSupply;
+    const beneficiaryBalance = beneficiary ? (this.ledger.get(beneficiary) || 0) : 0;
+    const batch = [{ type: 'put', key: `stake:${address}`, value: stake }];
+
+    try {
+      this.stakes.set(address, stake);
+      if (beneficiary) {
+        this.setBalance(beneficiary, beneficiaryBalance + amount);
+        batch.push({ type: 'put', key: `acct:${beneficiary}`, value: { balance: beneficiaryBalance + amount } });
+      } else {
+        this.totalSupply -= amount;
+        batch.push({ type: 'put', key: 'totalSupply', value: this.totalSupply });
+      }
+
+      await this.db.batch(batch);
+
+      console.log(`
+⚔️  Validator Slashed:
+   Address: ${address}
+   Amount: ${amount} ${this.tokenSymbol}
+   ${beneficiary ? `Redistributed To: ${beneficiary}` : `Burned (Total Supply: ${previousTotalSupply} → ${this.totalSupply} ${this.tokenSymbol})`}
+      `);
+
+      return {
+        amount,
+        burned: beneficiary ? 0 : amount,
+        redistributed: beneficiary ? amount : 0
+      };
+    } catch (error) {
+      // Revert memory state on DB failure
+      this.stakes.set(address, previousStake);
+      this.totalSupply = previousTotalSupply;
+      if (beneficiary) {
+        this.setBalance(beneficiary, beneficiaryBalance);
+      }
+      this.lastError = error.message;
+      throw new Error(`Failed to slash stake: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the active (locked, not unbonding) stake of an address
+   * @param {string} address - Validator address
+   * @returns {number} Active stake
+   */
+  getStake(address) {
+    return this.getStakeRecord(address).staked;
+  }
+
+  /**
+   * Get the pending unbonding entries of an address
+   * @param {string} address - Validator address
+   * @returns {Array<Object>} Entries with amount and releaseAt
+   */
+  getUnbonding(address) {
+    return this.getStakeRecord(address).unbonding.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Get the stake record of an address
+   * @private
+   * @param {string} address - Validator address
+   * @returns {Object} Record with staked amount and unbonding entries
+   */
+  getStakeRecord(address) {
+    return this.stakes.get(address) || { staked: 0, unbonding: [] };
+  }
+
   getBalance(address) {
     if (!this.validateAddress(address)) {
       console.warn(`Invalid address format: ${address}`);
@@ -192,6 +481,63 @@ class Tokenomics {
     return this.ledger.get(address) || 0;
   }
 
+  /**
+   * Set an account balance in memory, keeping the balances Merkle tree in step
+   * @private
+   * @param {string} address - Account address
+   * @param {number} balance - New balance
+   */
+  setBalance(address, balance) {
+    this.ledger.set(address, balance);
+    this.balanceTree.set(this.getBalanceKey(address), this.getBalanceLeaf(address, balance));
+  }
+
+  /**
+   * Get the sparse Merkle tree key of an account
+   * @param {string} address - Account address
+   * @returns {string} SHA-256 of the address
+   */
+  getBalanceKey(address) {
+    return getBalanceKey(address);
+  }
+
+  /**
+   * Encode the balances Merkle tree record of an account
+   * @param {string} address - Account address
+   * @param {number} balance - Account balance
+   * @returns {string} Canonical `{address, balance}`
+   */
+  getBalanceLeaf(address, balance) {
+    return getBalanceLeaf(address, balance);
+  }
+
+  /**
+   * Get the Merkle root over every account balance
+   * @returns {string} Hex sparse Merkle root
+   */
+  getBalancesRoot() {
+    return this.balanceTree.root;
+  }
+
+  /**
+   * Build the inclusion proof of an account balance against the current balances root. Check
+   * the result with `verifyBalanceProof` from `src/utils/proofs.js`.
+   * @param {string} address - Account address
+   * @returns {{address: string, balance: number, root: string, proof: Object}|null} Balance,
+   *   proof and the root it verifies against, or null if the account has no balance record
+   */
+  getBalanceProof(address) {
+    if (!this.validateAddress(address) || !this.ledger.has(address)) {
+      return null;
+    }
+    return {
+      address,
+      balance: this.ledger.get(address),
+      root: this.balanceTree.root,
+      proof: this.balanceTree.getProof(this.getBalanceKey(address))
+    };
+  }
+
   getTotalSupply() {
     return this.totalSupply;
   }
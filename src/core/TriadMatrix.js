@@ -3,81 +3,258 @@
  * Manages the creation, validation, and consensus of triads in a 3D matrix structure
  */
 
-const { Level } = require('level');
-const { EventEmitter } = require('events');
+const { EventEmitter, once } = require('events');
 const crypto = require('crypto');
+const Joi = require('joi');
 const path = require('path');
 const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
 const { createChildLogger } = require('../utils/logger');
 const ErrorHandler = require('../utils/errorHandler');
+const { canonicalize } = require('../utils/canonicalJson');
+const { MerkleAccumulator } = require('../utils/merkle');
+const { computeTriadId, getSignedPosition, getTriadBody } = require('../utils/proofs');
+const Wallet = require('./Wallet');
+const SpatialIndex = require('./SpatialIndex');
+const TriadStore = require('./TriadStore');
+const StoredMerkleTree = require('./StoredMerkleTree');
+const EventLog = require('./EventLog');
+const LevelStorage = require('./LevelStorage');
+const MigrationRunner = require('./MigrationRunner');
+const { MATRIX_MIGRATIONS } = require('./migrations');
+const { DEFAULT_DISTANCE_METRIC, DISTANCE_METRICS, getDistanceMetric } = require('./distanceMetrics');
 
 // Constants for validation and configuration
-const DEFAULT_DIMENSIONS = 3;
+const DEFAULT_AXES = 3;
+const DEFAULT_SIDE_LENGTH = 3;
 const DEFAULT_COMPLEXITY = 4;
 const DEFAULT_CONSENSUS_THRESHOLD = 0.67;
+const MAX_TRIAD_PARENTS = 2;
+const DEFAULT_SLASH_FRACTION = 0.5;
+const DEFAULT_CELL_CAPACITY = 1;
+const DEFAULT_MAX_PAYLOAD_SIZE = 64 * 1024; // bytes of JSON-encoded triad data
+const MATRIX_GROWTH_FACTOR = 2;
+const MAX_MATRIX_LOAD = 0.75;
+// Version 2 triads store positions as coordinate vectors; version 1 triads signed `{x, y, z}`
+const TRIAD_VERSION = 2;
+const LEGACY_AXIS_NAMES = ['x', 'y', 'z'];
+// Secondary index keys embed zero-padded timestamps so LevelDB orders them by time.
+// Version 2 adds the slot, grid, tip and per-direction connection records that let
+// the matrix run from the store instead of holding every triad in memory; version 3
+// adds the lifecycle state index; version 4 stores the nodes of the triads Merkle tree.
+const INDEX_VERSION = 4;
+const INDEX_TIMESTAMP_WIDTH = 16;
+const DEFAULT_QUERY_LIMIT = 100;
+const REBUILD_BATCH_SIZE = 1000;
+// Most triad writes queued while a batch is being written that the next batch takes
+const DEFAULT_GROUP_COMMIT_SIZE = 256;
+// Snapshots are NDJSON: a header line, one line per record and a trailing SHA-256 checksum line
+const SNAPSHOT_FORMAT = 'seirchain-matrix-snapshot';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_RECORD_PREFIXES = {
+  triad: 'triad:',
+  vote: 'vote:',
+  evidence: 'evidence:',
+  checkpoint: 'checkpoint:'
+};
+// A triad is open for votes while pending or voting, and stays accepted, rejected or expired
+const TRIAD_STATES = {
+  PENDING: 'pending',
+  VOTING: 'voting',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+const TRIAD_STATE_TRANSITIONS = {
+  pending: ['voting', 'accepted', 'rejected', 'expired'],
+  voting: ['accepted', 'rejected', 'expired'],
+  accepted: [],
+  rejected: [],
+  expired: []
+};
+// Codes of the import errors caused by the received triad rather than by this node
+const IMPORT_ERRORS = {
+  INVALID_TRIAD: 'INVALID_TRIAD',
+  ID_MISMATCH: 'TRIAD_ID_MISMATCH',
+  UNKNOWN_PARENTS: 'UNKNOWN_PARENT_TRIADS'
+};
+const DEFAULT_EXPIRY_WINDOW = 24 * 60 * 60 * 1000; // 24 hours in ms
+const EXPIRY_CHECK_INTERVAL = 60 * 1000;
+// An archive node keeps every triad payload; a pruned node replaces old payloads with their digest
+const NODE_MODES = {
+  ARCHIVE: 'archive',
+  PRUNED: 'pruned'
+};
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_CHECK_INTERVAL = 60 * 60 * 1000;
+// Share of the validator weight whose signatures make a checkpoint final
+const CHECKPOINT_FINALITY_THRESHOLD = 2 / 3;
+const EQUIVOCATION_TYPES = {
+  DOUBLE_VOTE: 'double-vote',
+  SLOT_CONFLICT: 'slot-conflict'
+};
 
 class TriadMatrix extends EventEmitter {
   /**
-   * Create a new TriadMatrix instance
-   * @param {string} dbPath - Path to the LevelDB database
+   * Open a matrix and wait until it has loaded its state
+   * @param {string} dbPath - Path to the LevelDB database; unused when `options.storage` is given
+   * @param {Object} [options] - Configuration options, as for the constructor
+   * @returns {Promise<TriadMatrix>} Initialized matrix
+   * @throws {Error} If the database cannot be opened, migrated or loaded; the store is closed again
+   */
+  static async open(dbPath, options = {}) {
+    const matrix = new TriadMatrix(dbPath, options);
+    try {
+      await matrix.init();
+    } catch (error) {
+      await matrix.close().catch(() => {});
+      throw error;
+    }
+    return matrix;
+  }
+
+  /**
+   * Create a new TriadMatrix instance. Nothing is read until `init()` is called; use
+   * `TriadMatrix.open` to get a ready instance.
+   * @param {string} dbPath - Path to the LevelDB database; unused when `options.storage` is given
    * @param {Object} options - Configuration options
+   * @param {StorageAdapter} [options.storage] - Store to use instead of a LevelDB database at `dbPath`
+   * @param {number} [options.axes] - Number of matrix axes
+   * @param {number} [options.sideLength] - Number of cells along each axis (`dimensions` is accepted as an alias)
+   * @param {Tokenomics} [options.tokenomics] - Ledger whose locked stake weights validator votes
+   * @param {number} [options.minValidatorStake] - Stake required to register as a validator
+   * @param {number} [options.slashFraction] - Fraction of stake slashed for equivocation
+   * @param {string} [options.slashBeneficiary] - Address receiving slashed stake; burned if omitted
+   * @param {number} [options.cellCapacity] - Number of triads (slots) a single matrix cell can hold
+   * @param {string} [options.distanceMetric] - Metric used for connections: euclidean, manhattan, chebyshev or toroidal
+   * @param {number} [options.cacheSize] - Maximum number of triads kept in memory
+   * @param {number} [options.maxPayloadSize] - Maximum size of triad data in bytes, JSON-encoded
+   * @param {Object<string, Joi.Schema>} [options.schemas] - Payload schemas to register, by data `type`
+   * @param {number} [options.expiryWindow] - Time in ms after creation at which an open triad expires
+   * @param {number} [options.groupCommitSize] - Most queued triad writes committed in one batch
+   * @param {string} [options.mode] - `archive` (default) keeps every payload; `pruned` prunes them by `retention`
+   * @param {Object} [options.retention] - Retention policy of a pruned node
+   * @param {number} [options.retention.days] - Days a triad keeps its payload
+   * @param {boolean} [options.retention.keepUncheckpointed] - Also keep the payloads of triads not yet
+   *   covered by the latest final checkpoint (default true)
+   * @param {string} [options.archiveDir] - Directory receiving the pruned payloads; discarded without one
    */
   constructor(dbPath, options = {}) {
     super();
     this.logger = createChildLogger('TriadMatrix');
-    this.dimensions = this.validateDimensions(options.dimensions);
+    this.axes = this.validateAxes(options.axes);
+    this.sideLength = this.validateSideLength(options.sideLength !== undefined ? options.sideLength : options.dimensions);
     this.complexity = this.validateComplexity(options.complexity);
     this.consensusThreshold = this.validateConsensusThreshold(options.consensusThreshold);
-    this.matrix = [];
-    this.triads = new Map();
+    this.distanceMetric = this.validateDistanceMetric(options.distanceMetric);
+    this.distanceMetricOverride = options.distanceMetric === this.distanceMetric;
+    this.tokenomics = options.tokenomics || null;
+    this.minValidatorStake = Number.isFinite(options.minValidatorStake) && options.minValidatorStake > 0 ?
+      options.minValidatorStake :
+      0;
+    this.slashFraction = Number.isFinite(options.slashFraction) && options.slashFraction > 0 && options.slashFraction <= 1 ?
+      options.slashFraction :
+      DEFAULT_SLASH_FRACTION;
+    this.slashBeneficiary = options.slashBeneficiary || null;
+    this.cellCapacity = Number.isInteger(options.cellCapacity) && options.cellCapacity > 0 ?
+      options.cellCapacity :
+      DEFAULT_CELL_CAPACITY;
+    this.maxPayloadSize = this.validateMaxPayloadSize(options.maxPayloadSize);
+    this.expiryWindow = this.validateExpiryWindow(options.expiryWindow);
+    this.expiryTimer = null;
+    this.mode = this.validateNodeMode(options.mode);
+    this.retention = this.validateRetention(options.retention);
+    this.archiveDir = options.archiveDir || null;
+    this.prunedUntil = 0;
+    this.pruneTimer = null;
+    this.schemas = new Map();
+    Object.entries(options.schemas || {}).forEach(([type, schema]) => this.registerSchema(type, schema));
+    this.triadsCount = 0;
+    this.validatedTriadsCount = 0;
+    this.occupiedSlots = 0;
+    this.tips = new Set();
+    this.spatialIndex = new SpatialIndex({ cellSize: this.complexity });
+    this.connectionsStale = false;
+    this.writeQueue = Promise.resolve();
+    this.groupCommitQueue = [];
+    // Writes of the current group whose records are staged, the events they cause, and the
+    // in-memory state matching the records on disk
+    this.stagedWrites = [];
+    this.stagedEvents = [];
+    this.committedState = null;
+    this.groupCommitSize = Number.isInteger(options.groupCommitSize) && options.groupCommitSize > 0 ?
+      options.groupCommitSize :
+      DEFAULT_GROUP_COMMIT_SIZE;
+    this.evidence = new Map();
+    this.latestCheckpoint = null;
+    this.pendingCheckpoints = new Map();
+    this.conflictingCheckpoints = new Map();
     this.validators = new Set();
+    this.slashedValidators = new Set();
     this.isInitialized = false;
+    this.initPromise = null;
+    this.closePromise = null;
+    // Settles with the first initialization, whoever started it
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+    this.ready.catch(() => {});
     this.dbPath = dbPath;
     this.lastError = null;
 
-    this.ensureDbDirectory();
-    
-    // Initialize database
-    this.db = new Level(this.dbPath, {
-      valueEncoding: 'json',
-      createIfMissing: true,
-      errorIfExists: false
-    });
-
-    // Initialize the matrix
-    this.init().catch(err => {
-      this.lastError = err.message;
-      this.logger.error('Failed to initialize matrix', { error: err.message });
-      ErrorHandler.handleError(err, 'Matrix initialization');
-      this.emit('error', err);
+    this.db = options.storage || new LevelStorage(this.dbPath);
+    this.migrations = new MigrationRunner(this.db, MATRIX_MIGRATIONS, { name: 'matrix' });
+    this.schemaVersion = 0;
+    this.store = new TriadStore(this.db, {
+      cacheSize: options.cacheSize,
+      verify: (triad, triadId) => {
+        if (this.generateTriadId(triad) !== triadId) {
+          throw new Error(`Triad ${triadId} failed integrity check: stored record does not match its content hash`);
+        }
+      }
     });
+    // Commits to the set of triad IDs; its nodes are written in the batch of each triad
+    this.triadTree = new StoredMerkleTree({ prefix: 'tree:triads:', read: keys => this.store.getMany(keys) });
+    this.eventLog = new EventLog(this.db);
   }
 
   /**
-   * Ensure the database directory exists
-   * @private
+   * Initialize the TriadMatrix: open the store, run migrations and load the matrix state.
+   * Safe to call more than once; every call returns the same initialization.
+   * @returns {Promise<void>}
+   * @throws {Error} If the matrix has been closed
    */
-  ensureDbDirectory() {
-    const dbDir = path.dirname(this.dbPath);
-    if (!fs.existsSync(dbDir)) {
-      fs.mkdirSync(dbDir, { recursive: true });
+  init() {
+    if (this.closePromise) {
+      return Promise.reject(new Error('TriadMatrix has been closed'));
     }
+    if (!this.initPromise) {
+      this.initPromise = this.initialize();
+      this.initPromise.then(this.resolveReady, this.rejectReady);
+    }
+    return this.initPromise;
   }
 
   /**
-   * Initialize the TriadMatrix
+   * Run the initialization started by `init`
+   * @private
    * @returns {Promise<void>}
    */
-  async init() {
-    if (this.isInitialized) {
-      this.logger.debug('Matrix already initialized, skipping initialization');
-      return;
-    }
-    
+  async initialize() {
     try {
       this.logger.info('Initializing TriadMatrix...');
+      await this.db.open();
+      this.schemaVersion = (await this.migrations.run()).toVersion;
+      await this.eventLog.open();
       await this.loadMatrixState();
       this.isInitialized = true;
+      this.startExpiryTimer();
+      if (this.mode === NODE_MODES.PRUNED) {
+        this.startPruneTimer();
+      }
       const state = this.getMatrixState();
       this.logger.info('Matrix initialized successfully', {
         triadsCount: state.triadsCount,
@@ -90,460 +267,2958 @@ class TriadMatrix extends EventEmitter {
         error: error.message,
         stack: error.stack
       });
-      this.emit('error', error);
+      ErrorHandler.handleError(error, 'Matrix initialization');
       throw error;
     }
   }
 
   /**
-   * Create a new triad in the matrix
+   * Create a new triad in the matrix, signed by the creator's wallet
    * @param {Object|string} data - Triad data
-   * @param {string} validator - Validator ID
+   * @param {Wallet} wallet - Initialized wallet of the triad creator
    * @returns {Promise<Object>} Created triad
    */
-  async createTriad(data, validator) {
+  async createTriad(data, wallet) {
+    const validator = wallet && typeof wallet.getAddress === 'function' ? wallet.getAddress() : wallet;
+
     try {
       this.validateInitialization();
       this.validateTriadData(data);
-      this.validateValidator(validator);
+      this.validateSigner(wallet);
 
-      this.logger.debug('Creating new triad', { validator });
+      const triad = await this.enqueueTriadWrite(() => this.stageNewTriad(data, wallet));
 
-      const triad = {
-        id: this.generateTriadId(),
-        data,
+      this.logger.info('Triad created successfully', {
+        triadId: triad.id,
         validator,
-        timestamp: Date.now(),
-        position: this.calculateOptimalPosition(),
+        position: triad.position,
+        slot: triad.slot
+      });
+
+      return triad;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to create triad', {
+        error: error.message,
+        validator,
+        stack: error.stack
+      });
+      ErrorHandler.handleError(error, 'Triad creation');
+      throw new Error(`Failed to create triad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a batch of triads signed by one wallet. The triads are placed in order, each one
+   * referencing the tips left by the ones before it, and written in as few batches as the
+   * group commit size allows.
+   * @param {Array<Object|string>} dataList - Data of each triad
+   * @param {Wallet} wallet - Initialized wallet of the triads' creator
+   * @returns {Promise<Array<Object>>} Created triads, in the order of `dataList`
+   * @throws {Error} If any data is invalid, before anything is written, or if any triad could
+   *   not be stored; the others are still stored and announced
+   */
+  async createTriads(dataList, wallet) {
+    const validator = wallet && typeof wallet.getAddress === 'function' ? wallet.getAddress() : wallet;
+
+    try {
+      this.validateInitialization();
+      if (!Array.isArray(dataList) || dataList.length === 0) {
+        throw new Error('Triad data must be a non-empty array');
+      }
+      dataList.forEach(data => this.validateTriadData(data));
+      this.validateSigner(wallet);
+
+      // Queued together, so the whole list lands in the same group commits
+      const results = await Promise.allSettled(
+        dataList.map(data => this.enqueueTriadWrite(() => this.stageNewTriad(data, wallet)))
+      );
+      const triads = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+      this.logger.info('Triads created successfully', { validator, count: triads.length });
+
+      const failed = results.find(result => result.status === 'rejected');
+      if (failed) {
+        throw new Error(`${results.length - triads.length} of ${results.length} triads were not stored: ${failed.reason.message}`);
+      }
+      return triads;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to create triads', {
+        error: error.message,
+        validator,
+        stack: error.stack
+      });
+      ErrorHandler.handleError(error, 'Triad creation');
+      throw new Error(`Failed to create triads: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build, place and sign a new triad and stage its records
+   * @private
+   * @param {Object|string} data - Validated triad data
+   * @param {Wallet} wallet - Initialized wallet of the triad creator
+   * @returns {Promise<Object>} Staged triad
+   */
+  async stageNewTriad(data, wallet) {
+    const validator = wallet.getAddress();
+    this.logger.debug('Creating new triad', { validator });
+
+    const triad = {
+      id: null,
+      version: TRIAD_VERSION,
+      data,
+      validator,
+      publicKey: wallet.getPublicKey(),
+      signature: null,
+      timestamp: Date.now(),
+      position: null,
+      slot: 0,
+      parents: this.selectParents(),
+      connections: [],
+      validated: false,
+      consensus: 0,
+      connectivity: 0,
+      validationAttempts: 0,
+      state: TRIAD_STATES.PENDING,
+      transitions: []
+    };
+    triad.transitions.push({ from: null, to: TRIAD_STATES.PENDING, at: triad.timestamp, cause: 'created' });
+    Object.assign(triad, await this.calculateOptimalPosition(triad));
+    triad.id = this.generateTriadId(triad);
+    triad.signature = wallet.signData(this.getTriadSigningPayload(triad));
+    this.verifyTriadSignature(triad);
+
+    if (await this.hasTriad(triad.id)) {
+      throw new Error(`Triad ${triad.id} already exists`);
+    }
+
+    await this.persistTriad(triad);
+    return triad;
+  }
+
+  /**
+   * Import a triad that was created and signed elsewhere (peer or API client)
+   * @param {Object} signedTriad - Triad with data, validator, publicKey, signature, timestamp, position and parents
+   * @returns {Promise<Object|null>} Stored triad, or null if the triad is already known
+   * @throws {Error} If the triad cannot be stored; a triad rejected for its content has one of
+   *   the `TriadMatrix.IMPORT_ERRORS` codes
+   */
+  async importTriad(signedTriad) {
+    try {
+      this.validateInitialization();
+
+      if (!signedTriad || typeof signedTriad !== 'object') {
+        const error = new Error('Invalid triad provided for import');
+        error.code = IMPORT_ERRORS.INVALID_TRIAD;
+        throw error;
+      }
+
+      // Only the signed fields are taken from the sender; local validation state starts fresh
+      const triad = {
+        id: null,
+        version: signedTriad.version,
+        data: signedTriad.data,
+        validator: signedTriad.validator,
+        publicKey: signedTriad.publicKey,
+        signature: signedTriad.signature,
+        timestamp: signedTriad.timestamp,
+        position: signedTriad.position,
+        slot: signedTriad.slot,
+        parents: signedTriad.parents,
         connections: [],
         validated: false,
         consensus: 0,
-        validationAttempts: 0
+        connectivity: 0,
+        validationAttempts: 0,
+        state: TRIAD_STATES.PENDING,
+        transitions: [{ from: null, to: TRIAD_STATES.PENDING, at: Date.now(), cause: 'received' }]
       };
 
-      // Use batch operations for atomic updates
-      const batch = [
-        { type: 'put', key: `triad:${triad.id}`, value: triad }
-      ];
+      try {
+        this.validateTriadData(triad.data);
+        this.verifyTriadSignature(triad);
+        triad.id = this.generateTriadId(triad);
+        triad.position = this.normalizePosition(triad.position);
+      } catch (error) {
+        error.code = IMPORT_ERRORS.INVALID_TRIAD;
+        throw error;
+      }
 
-      this.matrix.push(triad);
-      this.triads.set(triad.id, triad);
-      
-      await this.db.batch(batch);
-      await this.saveMatrixState();
+      if (signedTriad.id !== undefined && signedTriad.id !== triad.id) {
+        const error = new Error(`Triad ID ${signedTriad.id} does not match its content hash ${triad.id}`);
+        error.code = IMPORT_ERRORS.ID_MISMATCH;
+        throw error;
+      }
 
-      this.logger.info('Triad created successfully', {
+      const stored = await this.enqueueTriadWrite(async () => {
+        if (await this.hasTriad(triad.id)) {
+          return false;
+        }
+
+        const missingParents = [];
+        for (const parentId of triad.parents) {
+          if (!(await this.hasTriad(parentId))) {
+            missingParents.push(parentId);
+          }
+        }
+        if (missingParents.length > 0) {
+          const error = new Error(`Unknown parent triads: ${missingParents.join(', ')}`);
+          error.code = IMPORT_ERRORS.UNKNOWN_PARENTS;
+          throw error;
+        }
+
+        await this.persistTriad(triad);
+        return true;
+      });
+
+      if (!stored) {
+        this.logger.debug('Triad already known, skipping import', { triadId: triad.id });
+        return null;
+      }
+
+      this.logger.info('Triad imported successfully', {
         triadId: triad.id,
-        validator,
-        position: triad.position
+        validator: triad.validator
       });
 
-      this.emit('triadCreated', triad);
       return triad;
     } catch (error) {
       this.lastError = error.message;
-      this.logger.error('Failed to create triad', {
+      this.logger.error('Failed to import triad', {
         error: error.message,
-        validator,
-        stack: error.stack
+        triadId: signedTriad?.id,
+        validator: signedTriad?.validator
       });
-      ErrorHandler.handleError(error, 'Triad creation');
-      throw new Error(`Failed to create triad: ${error.message}`);
+      const importError = new Error(`Failed to import triad: ${error.message}`);
+      importError.code = error.code;
+      throw importError;
+    }
+  }
+
+  /**
+   * Run a write after every write queued before it. Placement and voting read the store
+   * before writing to it, so concurrent writes would otherwise act on stale occupancy or votes.
+   * @private
+   * @param {Function} task - Async function performing the write
+   * @returns {Promise<*>} Result of the task
+   */
+  runExclusive(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Queue a triad write for the next group commit. Writes queued while a batch is being
+   * written are staged one after another, each seeing the records of the ones before it,
+   * and then committed in one batch together with the state metadata.
+   * @private
+   * @param {Function} stage - Async function staging the triad's records; its result is the result of the write
+   * @returns {Promise<*>} Result of `stage`, once its records are committed
+   */
+  enqueueTriadWrite(stage) {
+    return new Promise((resolve, reject) => {
+      this.groupCommitQueue.push({ stage, resolve, reject });
+      if (this.groupCommitQueue.length === 1) {
+        this.runExclusive(() => this.commitTriadGroup());
+      }
+    });
+  }
+
+  /**
+   * Stage the next group of queued triad writes and commit them in one batch
+   * @private
+   * @returns {Promise<void>}
+   */
+  async commitTriadGroup() {
+    const group = this.groupCommitQueue.splice(0, this.groupCommitSize);
+    if (this.groupCommitQueue.length > 0) {
+      this.runExclusive(() => this.commitTriadGroup());
+    }
+
+    this.committedState = this.captureStagingState();
+    for (const write of group) {
+      try {
+        this.stagedWrites.push({ write, result: await write.stage() });
+      } catch (error) {
+        write.reject(error);
+      }
+    }
+
+    try {
+      await this.commitStagedWrites();
+      this.logger.debug('Committed triad group', { size: group.length });
+    } catch {
+      // commitStagedWrites already rejected the writes
+    }
+  }
+
+  /**
+   * Write the staged records and events with the state metadata and settle the writes that
+   * staged them.
+   * A failed batch drops the staged records, so the in-memory state goes back to the last
+   * commit and those writes are rejected.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async commitStagedWrites() {
+    const writes = this.stagedWrites.splice(0);
+    const events = this.stagedEvents.splice(0);
+    try {
+      if (this.store.pendingCount > 0 || events.length > 0) {
+        await this.writeWithEvents([{ type: 'put', key: 'matrix:state_metadata', value: this.getStateMetadata() }], events);
+      }
+    } catch (error) {
+      this.restoreStagingState(this.committedState);
+      writes.forEach(({ write }) => write.reject(error));
+      throw error;
+    }
+    this.committedState = this.captureStagingState();
+    this.emitEvents(events);
+    writes.forEach(({ write, result }) => write.resolve(result));
+  }
+
+  /**
+   * Add a verified triad to the matrix and stage it together with its index, placement
+   * and connection records and its `triadCreated` event for the current group commit
+   * @private
+   * @param {Object} triad - Placed, signed triad with its ID
+   * @returns {Promise<void>}
+   */
+  async persistTriad(triad) {
+    const before = this.captureStagingState();
+    let batch;
+    try {
+      batch = [
+        { type: 'put', key: `triad:${triad.id}`, value: triad },
+        ...this.getTriadIndexOperations(triad),
+        ...(await this.addTriadToMatrix(triad))
+      ];
+      // Growing a matrix with a wrapping metric moves its edges, so every link is recomputed instead
+      if (!this.connectionsStale) {
+        batch.push(...(await this.linkTriadConnections(triad)));
+      }
+    } catch (error) {
+      this.restoreStagingState(before);
+      throw error;
+    }
+    this.store.stage(batch, {
+      triads: [triad],
+      connections: triad.connections.map(neighborId => [triad.id, neighborId])
+    });
+
+    if (this.connectionsStale) {
+      // The rebuild reads every placement record, so the group so far is committed first
+      await this.commitStagedWrites();
+      await this.rebuildConnections();
+      triad.connections = await this.store.getConnections(triad.id);
+    }
+    this.stagedEvents.push(['triadCreated', triad]);
+  }
+
+  /**
+   * Capture the in-memory state that staging a triad changes, so it can be restored when the
+   * staged records are not written
+   * @private
+   * @returns {Object} State for `restoreStagingState`
+   */
+  captureStagingState() {
+    return {
+      tips: new Set(this.tips),
+      triadsRoot: this.triadTree.root,
+      triadsCount: this.triadsCount,
+      validatedTriadsCount: this.validatedTriadsCount,
+      occupiedSlots: this.occupiedSlots,
+      sideLength: this.sideLength,
+      connectionsStale: this.connectionsStale,
+      stagedEventCount: this.stagedEvents.length
+    };
+  }
+
+  /**
+   * Put back the in-memory state captured by `captureStagingState`
+   * @private
+   * @param {Object} state - Captured state
+   */
+  restoreStagingState(state) {
+    this.tips = new Set(state.tips);
+    this.triadTree.root = state.triadsRoot;
+    this.triadsCount = state.triadsCount;
+    this.validatedTriadsCount = state.validatedTriadsCount;
+    this.occupiedSlots = state.occupiedSlots;
+    this.sideLength = state.sideLength;
+    this.connectionsStale = state.connectionsStale;
+    this.stagedEvents = this.stagedEvents.slice(0, state.stagedEventCount);
+  }
+
+  /**
+   * Build the canonical payload covered by a triad's signature
+   * @param {Object} triad - Triad to encode
+   * @returns {string} Canonical encoding of `{version, data, timestamp, position, slot, parents}`
+   */
+  getTriadSigningPayload(triad) {
+    return canonicalize({
+      version: triad.version,
+      data: triad.data,
+      timestamp: triad.timestamp,
+      position: this.getSignedPosition(triad),
+      slot: triad.slot,
+      parents: triad.parents
+    });
+  }
+
+  /**
+   * Build the canonical triad body that the triad ID commits to.
+   * The payload is included by digest so the ID stays checkable from the body alone.
+   * @param {Object} triad - Triad to encode
+   * @returns {Object} Triad body
+   */
+  getTriadBody(triad) {
+    return getTriadBody(triad);
+  }
+
+  /**
+   * Get a triad position in the form its creator signed.
+   * Version 1 triads signed `{x, y, z}` objects, so their vectors are converted back.
+   * @private
+   * @param {Object} triad - Triad with a vector or legacy object position
+   * @returns {Array<number>|Object} Signed position
+   */
+  getSignedPosition(triad) {
+    return getSignedPosition(triad);
+  }
+
+  /**
+   * Convert a position to a coordinate vector, accepting legacy `{x, y, z}` objects
+   * @private
+   * @param {Array<number>|Object} position - Position to convert
+   * @returns {Array<number>} Coordinate vector
+   */
+  normalizePosition(position) {
+    if (Array.isArray(position)) {
+      return position;
+    }
+    return LEGACY_AXIS_NAMES.map(axis => position[axis]);
+  }
+
+  /**
+   * Verify that a triad is signed by the owner of its claimed validator address
+   * @param {Object} triad - Triad to verify
+   * @throws {Error} If the public key, address binding or signature is invalid
+   */
+  verifyTriadSignature(triad) {
+    if (!triad.publicKey || typeof triad.publicKey !== 'string') {
+      throw new Error('Triad is missing the creator public key');
+    }
+
+    if (!triad.signature || typeof triad.signature !== 'object') {
+      throw new Error('Triad is missing a signature');
+    }
+
+    this.validateValidator(triad.validator);
+
+    if (Wallet.addressFromPublicKey(triad.publicKey) !== triad.validator) {
+      throw new Error(`Public key does not match validator address ${triad.validator}`);
+    }
+
+    if (typeof triad.timestamp !== 'number' || !triad.position || typeof triad.position !== 'object') {
+      throw new Error('Triad is missing a timestamp or position');
+    }
+
+    if (triad.version !== undefined && triad.version !== TRIAD_VERSION) {
+      throw new Error(`Unsupported triad version ${triad.version}`);
+    }
+
+    if (triad.version !== undefined && !Array.isArray(triad.position)) {
+      throw new Error(`Version ${TRIAD_VERSION} triads must store their position as a coordinate vector`);
+    }
+
+    const coordinates = this.normalizePosition(triad.position);
+    if (coordinates.length !== this.axes || !coordinates.every(value => Number.isInteger(value) && value >= 0)) {
+      throw new Error(`Triad position must be a vector of ${this.axes} non-negative integer coordinates`);
+    }
+
+    if (triad.slot !== undefined && !(Number.isInteger(triad.slot) && triad.slot >= 0)) {
+      throw new Error('Triad slot must be a non-negative integer');
+    }
+
+    if (!Array.isArray(triad.parents) || triad.parents.length > MAX_TRIAD_PARENTS ||
+        triad.parents.some(parentId => typeof parentId !== 'string')) {
+      throw new Error(`Triad parents must be an array of at most ${MAX_TRIAD_PARENTS} triad IDs`);
+    }
+
+    if (!Wallet.verifySignature(this.getTriadSigningPayload(triad), triad.signature, triad.publicKey)) {
+      throw new Error(`Invalid signature for triad created by ${triad.validator}`);
     }
   }
 
   /**
-   * Validate a triad
-   * @param {string} triadId - ID of the triad to validate
-   * @param {string} validatorId - ID of the validator
+   * Cast a signed vote on a triad with a validator wallet
+   * @param {string} triadId - ID of the triad to vote on
+   * @param {Wallet} wallet - Initialized wallet of a registered validator
+   * @param {Object} [options] - Vote options
+   * @param {boolean} [options.approve=true] - Whether the validator approves the triad
    * @returns {Promise<Object>} Updated triad
    */
-  async validateTriad(triadId, validatorId) {
+  async validateTriad(triadId, wallet, { approve = true } = {}) {
+    const validatorId = wallet && typeof wallet.getAddress === 'function' ? wallet.getAddress() : wallet;
+
     try {
       this.validateInitialization();
-      
+      this.validateSigner(wallet);
+
       this.logger.debug('Starting triad validation', {
         triadId,
         validatorId
       });
 
+      const vote = {
+        triadId,
+        validator: validatorId,
+        publicKey: wallet.getPublicKey(),
+        approve: approve !== false,
+        timestamp: Date.now(),
+        signature: null
+      };
+      vote.signature = wallet.signData(this.getVoteSigningPayload(vote));
+
+      return await this.submitVote(vote);
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to validate triad', {
+        error: error.message,
+        triadId,
+        validatorId,
+        stack: error.stack
+      });
+      ErrorHandler.handleError(error, 'Triad validation');
+      throw new Error(`Failed to validate triad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a signed validator vote and recompute the triad's consensus
+   * @param {Object} vote - Vote with triadId, validator, publicKey, approve, timestamp and signature
+   * @returns {Promise<Object>} Updated triad
+   * @throws {Error} If the vote is invalid or the validator already voted on the triad
+   */
+  async submitVote(vote) {
+    this.validateInitialization();
+    this.verifyVoteSignature(vote);
+
+    const { triadId, validator } = vote;
+    if (!this.validators.has(validator)) {
+      throw new Error(`Validator ${validator} is not registered`);
+    }
+
+    return this.runExclusive(async () => {
       const triad = await this.getTriadById(triadId);
-      this.validateValidator(validatorId);
 
-      if (triad.validated) {
-        this.logger.debug('Triad already validated', { triadId });
-        return triad;
+      const existingVote = await this.getVote(triadId, validator);
+      if (existingVote) {
+        if (existingVote.approve !== vote.approve) {
+          await this.recordEquivocation(EQUIVOCATION_TYPES.DOUBLE_VOTE, existingVote, vote);
+          throw new Error(`Validator ${validator} cast conflicting votes on triad ${triadId}`);
+        }
+        throw new Error(`Validator ${validator} has already voted on triad ${triadId}`);
+      }
+
+      if (vote.approve) {
+        const conflictingVote = await this.findSlotConflict(triad, validator);
+        if (conflictingVote) {
+          await this.recordEquivocation(EQUIVOCATION_TYPES.SLOT_CONFLICT, conflictingVote, vote);
+          throw new Error(`Validator ${validator} approved triads ${conflictingVote.triadId} and ${triadId} in the same matrix slot`);
+        }
+      }
+
+      if (this.isPastExpiry(triad)) {
+        await this.expireStoredTriads([triad], Date.now());
+        throw new Error(`Triad ${triadId} expired before reaching consensus`);
+      }
+      if (triad.state === TRIAD_STATES.REJECTED || triad.state === TRIAD_STATES.EXPIRED) {
+        throw new Error(`Triad ${triadId} is ${triad.state} and no longer accepts votes`);
       }
 
+      const storedVote = {
+        triadId,
+        validator,
+        publicKey: vote.publicKey,
+        approve: vote.approve,
+        timestamp: vote.timestamp,
+        signature: vote.signature
+      };
+      const votes = [...(await this.getVotes(triadId)), storedVote];
+
+      const wasValidated = triad.validated;
       const previousConsensus = triad.consensus;
-      const consensusScore = await this.calculateConsensus(triad, validatorId);
-      triad.consensus = consensusScore;
+      triad.consensus = this.calculateConsensus(triad, votes);
+      triad.connectivity = await this.calculateConnectivity(triad);
       triad.validationAttempts += 1;
 
-      const batch = [];
-      if (consensusScore >= this.consensusThreshold) {
+      const transitionOperations = [];
+      if (!wasValidated && triad.consensus >= this.consensusThreshold) {
         triad.validated = true;
+        transitionOperations.push(...this.transitionTriad(triad, TRIAD_STATES.ACCEPTED, 'consensus-reached'));
         this.logger.info('Triad reached consensus threshold', {
           triadId,
-          consensusScore,
+          consensusScore: triad.consensus,
           threshold: this.consensusThreshold,
-          attempts: triad.validationAttempts
+          votes: votes.length
+        });
+      } else if (!wasValidated && this.calculateReachableConsensus(votes) < this.consensusThreshold) {
+        transitionOperations.push(...this.transitionTriad(triad, TRIAD_STATES.REJECTED, 'consensus-unreachable'));
+        this.logger.info('Triad can no longer reach consensus threshold', {
+          triadId,
+          consensusScore: triad.consensus,
+          threshold: this.consensusThreshold,
+          votes: votes.length
         });
       } else {
-        this.logger.debug('Consensus threshold not yet reached', {
+        if (triad.state === TRIAD_STATES.PENDING) {
+          transitionOperations.push(...this.transitionTriad(triad, TRIAD_STATES.VOTING, 'first-vote'));
+        }
+        this.logger.debug('Vote recorded', {
           triadId,
-          currentConsensus: consensusScore,
+          validator,
+          approve: storedVote.approve,
+          currentConsensus: triad.consensus,
           previousConsensus,
-          threshold: this.consensusThreshold,
-          attempts: triad.validationAttempts
+          threshold: this.consensusThreshold
         });
       }
 
-      // Use batch operation for atomic update
-      batch.push({
-        type: 'put',
-        key: `triad:${triadId}`,
-        value: triad
-      });
+      // Persist the vote together with the updated triad, its status and state index entries
+      // and the state metadata, so the stored counters can never disagree with the triad records
+      const batch = [
+        { type: 'put', key: `vote:${triadId}:${validator}`, value: storedVote },
+        { type: 'put', key: `triad:${triadId}`, value: triad },
+        ...transitionOperations
+      ];
+      if (triad.validated !== wasValidated) {
+        this.validatedTriadsCount++;
+        batch.push(
+          { type: 'del', key: this.getTriadIndexKeys({ ...triad, validated: wasValidated }).status },
+          { type: 'put', key: this.getTriadIndexKeys(triad).status, value: triadId }
+        );
+      }
+      batch.push({ type: 'put', key: 'matrix:state_metadata', value: this.getStateMetadata() });
 
-      await this.db.batch(batch);
-      this.emit('triadValidated', triad);
+      const events = [['voteCast', storedVote]];
+      if (transitionOperations.length > 0) {
+        events.push(...this.getTransitionEvents(triad));
+      }
+      try {
+        await this.writeWithEvents(batch, events, { triads: [triad] });
+      } catch (error) {
+        if (triad.validated !== wasValidated) {
+          this.validatedTriadsCount--;
+        }
+        throw error;
+      }
+      this.emitEvents(events);
 
       return triad;
-    } catch (error) {
-      this.lastError = error.message;
-      this.logger.error('Failed to validate triad', {
+    });
+  }
+
+  /**
+   * Move a triad to another lifecycle state and record the transition on the triad
+   * @private
+   * @param {Object} triad - Triad to move; updated in place
+   * @param {string} to - New state
+   * @param {string} cause - Why the triad moved, e.g. `consensus-reached` or `expiry-window`
+   * @param {number} [at] - Time of the transition
+   * @returns {Array<Object>} Batch operations moving the triad's state index entry
+   * @throws {Error} If the state machine does not allow the transition
+   */
+  transitionTriad(triad, to, cause, at = Date.now()) {
+    const from = triad.state;
+    if (!(TRIAD_STATE_TRANSITIONS[from] || []).includes(to)) {
+      throw new Error(`Triad ${triad.id} cannot move from ${from} to ${to}`);
+    }
+
+    const previousKey = this.getTriadIndexKeys(triad).state;
+    triad.state = to;
+    triad.transitions.push({ from, to, at, cause });
+    return [
+      { type: 'del', key: previousKey },
+      { type: 'put', key: this.getTriadIndexKeys(triad).state, value: triad.id }
+    ];
+  }
+
+  /**
+   * Build the events for a triad's latest transition, to be written with it:
+   * `triadStateChanged` for every transition, then `triadValidated`, `triadRejected` or
+   * `triadExpired` when the triad reached a final state
+   * @private
+   * @param {Object} triad - Triad that moved
+   * @returns {Array<Array>} `[eventName, ...args]` entries for `writeWithEvents`
+   */
+  getTransitionEvents(triad) {
+    const transition = triad.transitions[triad.transitions.length - 1];
+    const events = [['triadStateChanged', { triadId: triad.id, ...transition }, triad]];
+
+    const finalEvents = {
+      [TRIAD_STATES.ACCEPTED]: 'triadValidated',
+      [TRIAD_STATES.REJECTED]: 'triadRejected',
+      [TRIAD_STATES.EXPIRED]: 'triadExpired'
+    };
+    if (finalEvents[transition.to]) {
+      events.push([finalEvents[transition.to], triad]);
+    }
+    return events;
+  }
+
+  /**
+   * Check whether a triad still accepts votes towards consensus
+   * @param {Object} triad - Triad to check
+   * @returns {boolean} True if the triad is pending or voting
+   */
+  isOpen(triad) {
+    return triad.state === TRIAD_STATES.PENDING || triad.state === TRIAD_STATES.VOTING;
+  }
+
+  /**
+   * Check whether an open triad has outlived the expiry window
+   * @private
+   * @param {Object} triad - Triad to check
+   * @param {number} [now] - Current time
+   * @returns {boolean} True if the triad should expire
+   */
+  isPastExpiry(triad, now = Date.now()) {
+    return this.isOpen(triad) && now - triad.timestamp >= this.expiryWindow;
+  }
+
+  /**
+   * Expire every open triad created at least `expiryWindow` ago. Runs periodically while the
+   * matrix is open; expiry is measured from the signed creation timestamp, so every node
+   * expires the same triads.
+   * @param {number} [now] - Current time
+   * @returns {Promise<number>} Number of triads expired
+   */
+  async expireTriads(now = Date.now()) {
+    try {
+      this.validateInitialization();
+
+      const expiredCount = await this.runExclusive(async () => {
+        const cutoff = this.getIndexTimestamp(now - this.expiryWindow);
+        const triadIds = [];
+        for (const state of [TRIAD_STATES.PENDING, TRIAD_STATES.VOTING]) {
+          const prefix = `idx:state:${state}:`;
+          for await (const triadId of this.db.values({ gte: prefix, lte: `${prefix}${cutoff}:~` })) {
+            triadIds.push(triadId);
+          }
+        }
+
+        let count = 0;
+        for (let i = 0; i < triadIds.length; i += REBUILD_BATCH_SIZE) {
+          const triads = [];
+          for (const triadId of triadIds.slice(i, i + REBUILD_BATCH_SIZE)) {
+            try {
+              const triad = await this.store.get(triadId);
+              if (triad) triads.push(triad);
+            } catch (error) {
+              this.logger.warn('Skipping indexed triad that failed its integrity check', { triadId });
+            }
+          }
+          await this.expireStoredTriads(triads, now);
+          count += triads.length;
+        }
+        return count;
+      });
+
+      if (expiredCount > 0) {
+        this.logger.info('Expired triads that did not reach consensus', {
+          expiredCount,
+          expiryWindow: this.expiryWindow
+        });
+      }
+      return expiredCount;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to expire triads', { error: error.message });
+      throw new Error(`Failed to expire triads: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move open triads to the expired state in one batch with their transition events
+   * @private
+   * @param {Array<Object>} triads - Open triads read from the store
+   * @param {number} at - Time of the transition
+   * @returns {Promise<void>}
+   */
+  async expireStoredTriads(triads, at) {
+    const batch = triads.flatMap(triad => [
+      ...this.transitionTriad(triad, TRIAD_STATES.EXPIRED, 'expiry-window', at),
+      { type: 'put', key: `triad:${triad.id}`, value: triad }
+    ]);
+    const events = triads.flatMap(triad => this.getTransitionEvents(triad));
+    await this.writeWithEvents(batch, events, { triads });
+    this.emitEvents(events);
+  }
+
+  /**
+   * Check for expired triads periodically while the matrix is open
+   * @private
+   */
+  startExpiryTimer() {
+    if (this.expiryTimer) {
+      return;
+    }
+    this.expiryTimer = setInterval(() => {
+      if (this.isInitialized) {
+        this.expireTriads().catch(() => {});
+      }
+    }, Math.min(this.expiryWindow, EXPIRY_CHECK_INTERVAL));
+    // Never keep the process alive just to expire triads
+    this.expiryTimer.unref();
+  }
+
+  /**
+   * Prune the payloads of triads past the retention policy. Each pruned triad keeps every
+   * field but `data`, which is replaced by its SHA-256 `dataHash`, so its ID, links, votes
+   * and state stay verifiable. With an `archiveDir` the full records are first written to a
+   * gzip-compressed NDJSON file there. Runs periodically on pruned nodes; each run continues
+   * from where the previous one stopped.
+   * @param {number} [now] - Current time
+   * @returns {Promise<{prunedCount: number, prunedUntil: number, archivePath: string|null}>} Number of
+   *   payloads pruned, creation time below which every payload is pruned, and the archive written
+   * @throws {Error} If the node is an archive node
+   */
+  async pruneTriads(now = Date.now()) {
+    try {
+      this.validateInitialization();
+      if (this.mode !== NODE_MODES.PRUNED) {
+        throw new Error('Archive nodes keep every triad payload');
+      }
+
+      const summary = await this.runExclusive(async () => {
+        const from = this.prunedUntil;
+        const until = this.getPruneCutoff(now);
+        if (until <= from) {
+          return { prunedCount: 0, prunedUntil: from, archivePath: null };
+        }
+
+        const triadIds = [];
+        const range = { gte: `idx:time:${this.getIndexTimestamp(from)}`, lt: `idx:time:${this.getIndexTimestamp(until)}` };
+        for await (const triadId of this.db.values(range)) {
+          triadIds.push(triadId);
+        }
+
+        // The archive is complete on disk before any payload is removed from the store
+        const archivePath = this.archiveDir && triadIds.length > 0 ?
+          await this.archiveTriads(triadIds, path.join(this.archiveDir, `triads-${from}-${until}.ndjson.gz`)) :
+          null;
+
+        let prunedCount = 0;
+        for (let i = 0; i < triadIds.length; i += REBUILD_BATCH_SIZE) {
+          const triads = (await this.getPrunableTriads(triadIds.slice(i, i + REBUILD_BATCH_SIZE)))
+            .map(triad => this.getPrunedTriad(triad));
+          await this.store.write(triads.map(triad => ({ type: 'put', key: `triad:${triad.id}`, value: triad })), { triads });
+          prunedCount += triads.length;
+        }
+
+        this.prunedUntil = until;
+        const result = { prunedCount, prunedUntil: until, archivePath };
+        const events = prunedCount > 0 ? [['triadsPruned', result]] : [];
+        await this.writeWithEvents([{ type: 'put', key: 'matrix:state_metadata', value: this.getStateMetadata() }], events);
+        this.emitEvents(events);
+        return result;
+      });
+
+      if (summary.prunedCount > 0) {
+        this.logger.info('Pruned triad payloads', { ...summary, retention: this.retention });
+      }
+      return summary;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to prune triads', { error: error.message });
+      throw new Error(`Failed to prune triads: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the creation time below which payloads may be pruned under the retention policy
+   * @private
+   * @param {number} now - Current time
+   * @returns {number} Exclusive upper bound on the creation time of prunable triads
+   */
+  getPruneCutoff(now) {
+    let cutoff = now - this.retention.days * DAY_MS;
+    if (this.retention.keepUncheckpointed) {
+      cutoff = Math.min(cutoff, this.latestCheckpoint ? this.latestCheckpoint.until + 1 : 0);
+    }
+    return Math.max(cutoff, 0);
+  }
+
+  /**
+   * Read the triads of a list that still have their payload
+   * @private
+   * @param {Array<string>} triadIds - Triad IDs
+   * @returns {Promise<Array<Object>>} Unpruned triads; records failing their integrity check are skipped
+   */
+  async getPrunableTriads(triadIds) {
+    const triads = [];
+    for (const triadId of triadIds) {
+      try {
+        const triad = await this.store.get(triadId);
+        if (triad && !triad.pruned) triads.push(triad);
+      } catch (error) {
+        this.logger.warn('Skipping indexed triad that failed its integrity check', { triadId });
+      }
+    }
+    return triads;
+  }
+
+  /**
+   * Replace a triad's payload with its digest
+   * @private
+   * @param {Object} triad - Triad with its payload
+   * @returns {Object} Pruned copy of the triad
+   */
+  getPrunedTriad(triad) {
+    const pruned = { ...triad, dataHash: getTriadBody(triad).dataHash, pruned: true };
+    delete pruned.data;
+    return pruned;
+  }
+
+  /**
+   * Write the full records of triads about to be pruned to a gzip-compressed NDJSON file,
+   * one triad per line
+   * @private
+   * @param {Array<string>} triadIds - Triads to archive
+   * @param {string} filePath - Archive file
+   * @returns {Promise<string>} Path of the archive
+   */
+  async archiveTriads(triadIds, filePath) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    // Write next to the target and rename, so an interrupted archive never looks complete
+    const tempPath = `${filePath}.tmp`;
+    const gzip = zlib.createGzip();
+    const file = fs.createWriteStream(tempPath);
+    gzip.pipe(file);
+
+    try {
+      for (let i = 0; i < triadIds.length; i += REBUILD_BATCH_SIZE) {
+        for (const triad of await this.getPrunableTriads(triadIds.slice(i, i + REBUILD_BATCH_SIZE))) {
+          if (!gzip.write(`${JSON.stringify(triad)}\n`)) {
+            await once(gzip, 'drain');
+          }
+        }
+      }
+      gzip.end();
+      await once(file, 'finish');
+      fs.renameSync(tempPath, filePath);
+      return filePath;
+    } catch (error) {
+      gzip.destroy();
+      file.destroy();
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Prune payloads periodically while the matrix is open
+   * @private
+   */
+  startPruneTimer() {
+    if (this.pruneTimer) {
+      return;
+    }
+    this.pruneTimer = setInterval(() => {
+      if (this.isInitialized) {
+        this.pruneTriads().catch(() => {});
+      }
+    }, PRUNE_CHECK_INTERVAL);
+    // Never keep the process alive just to prune triads
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Build the canonical payload covered by a vote's signature
+   * @param {Object} vote - Vote to encode
+   * @returns {string} Canonical encoding of `{triadId, approve, timestamp}`
+   */
+  getVoteSigningPayload(vote) {
+    return canonicalize({
+      triadId: vote.triadId,
+      approve: vote.approve,
+      timestamp: vote.timestamp
+    });
+  }
+
+  /**
+   * Verify that a vote is signed by the owner of its validator address
+   * @param {Object} vote - Vote to verify
+   * @throws {Error} If the vote is malformed or its signature is invalid
+   */
+  verifyVoteSignature(vote) {
+    if (!vote || typeof vote !== 'object' || !vote.triadId || typeof vote.triadId !== 'string') {
+      throw new Error('Invalid vote provided');
+    }
+
+    this.validateValidator(vote.validator);
+
+    if (typeof vote.approve !== 'boolean' || typeof vote.timestamp !== 'number') {
+      throw new Error('Vote is missing its decision or timestamp');
+    }
+
+    if (!vote.publicKey || Wallet.addressFromPublicKey(vote.publicKey) !== vote.validator) {
+      throw new Error(`Public key does not match validator address ${vote.validator}`);
+    }
+
+    if (!Wallet.verifySignature(this.getVoteSigningPayload(vote), vote.signature, vote.publicKey)) {
+      throw new Error(`Invalid vote signature from ${vote.validator}`);
+    }
+  }
+
+  /**
+   * Find an approving vote by a validator for another triad in the same matrix slot
+   * @private
+   * @param {Object} triad - Triad being voted on
+   * @param {string} validatorId - Validator address
+   * @returns {Promise<Object|null>} Conflicting vote, if any
+   */
+  async findSlotConflict(triad, validatorId) {
+    const rivals = ((await this.store.getRecord(`slot:${this.getSlotKey(triad.position, triad.slot)}`)) || [])
+      .filter(rivalId => rivalId !== triad.id);
+    for (const rivalId of rivals) {
+      const rivalVote = await this.getVote(rivalId, validatorId);
+      if (rivalVote && rivalVote.approve) {
+        return rivalVote;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether two triads occupy the same matrix slot
+   * @private
+   * @param {Object} triad1 - First triad
+   * @param {Object} triad2 - Second triad
+   * @returns {boolean} True if both triads share a position and slot
+   */
+  isSameSlot(triad1, triad2) {
+    return this.getSlotKey(triad1.position, triad1.slot) === this.getSlotKey(triad2.position, triad2.slot);
+  }
+
+  /**
+   * Build evidence from two conflicting votes and submit it
+   * @private
+   * @param {string} type - Equivocation type
+   * @param {Object} firstVote - Previously recorded vote
+   * @param {Object} secondVote - Conflicting vote
+   * @returns {Promise<Object|null>} Stored evidence, or null if already known
+   */
+  async recordEquivocation(type, firstVote, secondVote) {
+    return this.submitEvidence({
+      type,
+      validator: secondVote.validator,
+      votes: [firstVote, secondVote]
+    });
+  }
+
+  /**
+   * Verify, store and act on equivocation evidence: the offender is removed from the
+   * validator set and, with a Tokenomics ledger attached, part of its stake is slashed
+   * @param {Object} evidence - Evidence with type, validator and the two conflicting votes
+   * @returns {Promise<Object|null>} Stored evidence, or null if the evidence is already known
+   * @throws {Error} If the evidence does not prove equivocation
+   */
+  async submitEvidence(evidence) {
+    this.validateInitialization();
+    await this.verifyEvidence(evidence);
+
+    const id = this.generateEvidenceId(evidence);
+    if (this.evidence.has(id)) {
+      return null;
+    }
+
+    const storedEvidence = {
+      id,
+      type: evidence.type,
+      validator: evidence.validator,
+      votes: evidence.votes.map(vote => ({
+        triadId: vote.triadId,
+        validator: vote.validator,
+        publicKey: vote.publicKey,
+        approve: vote.approve,
+        timestamp: vote.timestamp,
+        signature: vote.signature
+      })),
+      detectedAt: Date.now()
+    };
+
+    const events = [['equivocationDetected', storedEvidence]];
+    await this.writeWithEvents([{ type: 'put', key: `evidence:${id}`, value: storedEvidence }], events);
+    this.evidence.set(id, storedEvidence);
+
+    this.logger.warn('Equivocation detected', {
+      evidenceId: id,
+      type: storedEvidence.type,
+      validator: storedEvidence.validator
+    });
+
+    this.emitEvents(events);
+    await this.punishValidator(storedEvidence);
+
+    return storedEvidence;
+  }
+
+  /**
+   * Verify that evidence proves a validator signed conflicting votes
+   * @param {Object} evidence - Evidence to verify
+   * @returns {Promise<void>}
+   * @throws {Error} If the evidence is malformed or does not prove equivocation
+   */
+  async verifyEvidence(evidence) {
+    if (!evidence || !Object.values(EQUIVOCATION_TYPES).includes(evidence.type) ||
+        !Array.isArray(evidence.votes) || evidence.votes.length !== 2) {
+      throw new Error('Invalid equivocation evidence provided');
+    }
+
+    const [first, second] = evidence.votes;
+    this.verifyVoteSignature(first);
+    this.verifyVoteSignature(second);
+
+    if (first.validator !== evidence.validator || second.validator !== evidence.validator) {
+      throw new Error('Evidence votes were not cast by the accused validator');
+    }
+
+    if (evidence.type === EQUIVOCATION_TYPES.DOUBLE_VOTE) {
+      if (first.triadId !== second.triadId || first.approve === second.approve) {
+        throw new Error('Double-vote evidence requires opposite votes on the same triad');
+      }
+      return;
+    }
+
+    if (first.triadId === second.triadId || !first.approve || !second.approve) {
+      throw new Error('Slot-conflict evidence requires approvals of two different triads');
+    }
+    const firstTriad = await this.store.get(first.triadId);
+    const secondTriad = await this.store.get(second.triadId);
+    if (!firstTriad || !secondTriad) {
+      throw new Error('Slot-conflict evidence references unknown triads');
+    }
+    if (!this.isSameSlot(firstTriad, secondTriad)) {
+      throw new Error('Slot-conflict evidence triads do not share a matrix slot');
+    }
+  }
+
+  /**
+   * Generate the ID of equivocation evidence, independent of vote order
+   * @private
+   * @param {Object} evidence - Evidence to hash
+   * @returns {string} SHA-256 of the canonical evidence
+   */
+  generateEvidenceId(evidence) {
+    const votes = evidence.votes
+      .map(vote => this.getVoteSigningPayload(vote) + vote.validator)
+      .sort();
+    return crypto.createHash('sha256').update(canonicalize({ type: evidence.type, votes })).digest('hex');
+  }
+
+  /**
+   * Remove an equivocating validator from the validator set and slash its stake
+   * @private
+   * @param {Object} evidence - Verified evidence
+   * @returns {Promise<void>}
+   */
+  async punishValidator(evidence) {
+    const { validator } = evidence;
+    if (this.slashedValidators.has(validator)) {
+      return;
+    }
+
+    this.slashedValidators.add(validator);
+    this.validators.delete(validator);
+
+    let slashed = null;
+    if (this.tokenomics && typeof this.tokenomics.slash === 'function') {
+      slashed = await this.tokenomics.slash(validator, this.slashFraction, this.slashBeneficiary);
+    }
+
+    const events = [['validatorSlashed', { validator, evidenceId: evidence.id, slashed }]];
+    await this.writeWithEvents([{ type: 'put', key: 'matrix:state_metadata', value: this.getStateMetadata() }], events);
+
+    this.logger.warn('Validator slashed for equivocation', {
+      validator,
+      evidenceId: evidence.id,
+      slashed
+    });
+    this.emitEvents(events);
+  }
+
+  /**
+   * Get the equivocation evidence recorded by this node
+   * @returns {Array<Object>} Stored evidence
+   */
+  getEvidence() {
+    return Array.from(this.evidence.values());
+  }
+
+  /**
+   * Check whether a validator has already voted on a triad
+   * @param {string} triadId - Triad ID
+   * @param {string} validatorId - Validator address
+   * @returns {Promise<boolean>} True if a vote is recorded
+   */
+  async hasVoted(triadId, validatorId) {
+    return (await this.getVote(triadId, validatorId)) !== null;
+  }
+
+  /**
+   * Get the vote a validator cast on a triad
+   * @param {string} triadId - Triad ID
+   * @param {string} validatorId - Validator address
+   * @returns {Promise<Object|null>} Recorded vote, or null if the validator has not voted
+   */
+  async getVote(triadId, validatorId) {
+    return (await this.store.getRecord(`vote:${triadId}:${validatorId}`)) || null;
+  }
+
+  /**
+   * Get the votes recorded for a triad
+   * @param {string} triadId - Triad ID
+   * @returns {Promise<Array<Object>>} Recorded votes
+   */
+  async getVotes(triadId) {
+    const votes = [];
+    for await (const vote of this.db.values({ gt: `vote:${triadId}:`, lt: `vote:${triadId}:~` })) {
+      votes.push(vote);
+    }
+    return votes;
+  }
+
+  /**
+   * Get the voting weight of every registered validator.
+   * With a Tokenomics ledger attached, weight is the validator's locked stake; until any
+   * validator has staked, every validator weighs 1 so a new network can bootstrap.
+   * @returns {Map<string, number>} Validator address to voting weight
+   */
+  getValidatorWeights() {
+    const weights = new Map();
+    this.validators.forEach(validatorId => {
+      weights.set(validatorId, this.tokenomics ? this.tokenomics.getStake(validatorId) : 1);
+    });
+
+    const totalStake = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+    if (this.tokenomics && totalStake === 0) {
+      weights.forEach((_, validatorId) => weights.set(validatorId, 1));
+    }
+
+    return weights;
+  }
+
+  /**
+   * Get the voting weight of a validator
+   * @param {string} validatorId - Validator address
+   * @returns {number} Voting weight
+   */
+  getValidatorWeight(validatorId) {
+    return this.getValidatorWeights().get(validatorId) || 0;
+  }
+
+  /**
+   * Calculate consensus for a triad as the weighted fraction of the validator set that approved it
+   * @private
+   * @param {Object} triad - Triad to calculate consensus for
+   * @param {Array<Object>} votes - Votes recorded for the triad
+   * @returns {number} Consensus score between 0 and 1
+   */
+  calculateConsensus(triad, votes) {
+    const weights = this.getValidatorWeights();
+    const totalWeight = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+
+    if (totalWeight <= 0) {
+      return 0;
+    }
+
+    const approvedWeight = votes
+      .filter(vote => vote.approve)
+      .reduce((sum, vote) => sum + (weights.get(vote.validator) || 0), 0);
+
+    const consensusScore = Math.min(1, approvedWeight / totalWeight);
+
+    this.logger.debug('Calculated consensus', {
+      triadId: triad.id,
+      approvedWeight,
+      totalWeight,
+      consensusScore
+    });
+
+    return consensusScore;
+  }
+
+  /**
+   * Calculate the highest consensus a triad can still reach: the weight of every validator
+   * in the current set except those that rejected it
+   * @private
+   * @param {Array<Object>} votes - Votes recorded for the triad
+   * @returns {number} Reachable consensus score between 0 and 1
+   */
+  calculateReachableConsensus(votes) {
+    const weights = this.getValidatorWeights();
+    const totalWeight = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+
+    if (totalWeight <= 0) {
+      return 0;
+    }
+
+    const rejectedWeight = votes
+      .filter(vote => !vote.approve)
+      .reduce((sum, vote) => sum + (weights.get(vote.validator) || 0), 0);
+
+    return Math.min(1, (totalWeight - rejectedWeight) / totalWeight);
+  }
+
+  /**
+   * Calculate how well a triad is connected to its spatial neighbourhood.
+   * Validated neighbours count fully, pending neighbours count half.
+   * @private
+   * @param {Object} triad - Triad to score
+   * @returns {Promise<number>} Connectivity score between 0 and 1
+   */
+  async calculateConnectivity(triad) {
+    const connections = (await this.getTriadNeighbors(triad.id)).map(neighbor => neighbor.triad);
+    if (connections.length === 0) {
+      return 0;
+    }
+
+    const total = connections.reduce((sum, conn) => {
+      const score = this.calculateConnectionScore(triad, conn);
+      return sum + (conn.validated ? score : 0.5 * score);
+    }, 0);
+
+    return total / connections.length;
+  }
+
+  /**
+   * Get a triad by its ID
+   * @param {string} triadId - ID of the triad to retrieve
+   * @returns {Promise<Object>} Retrieved triad
+   */
+  async getTriadById(triadId) {
+    try {
+      this.validateInitialization();
+      
+      this.logger.debug('Fetching triad by ID', { triadId });
+
+      if (!triadId || typeof triadId !== 'string') {
+        throw new Error('Invalid triad ID provided');
+      }
+
+      const triad = await this.store.get(triadId);
+      
+      if (!triad) {
+        this.logger.warn('Triad not found', { triadId });
+        throw new Error(`Triad with ID ${triadId} not found`);
+      }
+
+      this.logger.debug('Successfully retrieved triad', {
+        triadId,
+        validated: triad.validated,
+        consensus: triad.consensus,
+        validationAttempts: triad.validationAttempts
+      });
+
+      return triad;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Error fetching triad', {
+        error: error.message,
+        triadId,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a triad is stored in the matrix
+   * @param {string} triadId - Triad ID
+   * @returns {Promise<boolean>} True if the triad exists
+   */
+  async hasTriad(triadId) {
+    return this.store.has(triadId);
+  }
+
+  /**
+   * Build the secondary index keys of a triad
+   * @private
+   * @param {Object} triad - Triad to index
+   * @returns {{validator: string, status: string, state: string, time: string}} Index keys
+   */
+  getTriadIndexKeys(triad) {
+    const time = this.getIndexTimestamp(triad.timestamp);
+    return {
+      validator: `idx:validator:${triad.validator}:${time}:${triad.id}`,
+      status: `idx:status:${triad.validated ? 'validated' : 'pending'}:${time}:${triad.id}`,
+      state: `idx:state:${triad.state}:${time}:${triad.id}`,
+      time: `idx:time:${time}:${triad.id}`
+    };
+  }
+
+  /**
+   * Build the batch operations that index a new triad
+   * @private
+   * @param {Object} triad - Triad to index
+   * @returns {Array<Object>} Put operations for every secondary index
+   */
+  getTriadIndexOperations(triad) {
+    return Object.values(this.getTriadIndexKeys(triad)).map(key => ({ type: 'put', key, value: triad.id }));
+  }
+
+  /**
+   * Encode a timestamp so that index keys sort chronologically
+   * @private
+   * @param {number} timestamp - Milliseconds since the epoch
+   * @returns {string} Zero-padded timestamp
+   */
+  getIndexTimestamp(timestamp) {
+    return String(timestamp).padStart(INDEX_TIMESTAMP_WIDTH, '0');
+  }
+
+  /**
+   * Query triads through the secondary indexes, one page at a time
+   * @param {Object} [query] - Query filters
+   * @param {string} [query.validator] - Only triads created by this address
+   * @param {boolean} [query.validated] - Only validated (true) or pending (false) triads
+   * @param {string} [query.state] - Only triads in this lifecycle state
+   * @param {number} [query.since] - Earliest creation timestamp (inclusive)
+   * @param {number} [query.until] - Latest creation timestamp (inclusive)
+   * @param {number} [query.limit=100] - Maximum number of triads to return
+   * @param {string} [query.cursor] - Cursor returned by the previous page
+   * @param {boolean} [query.reverse=false] - Return the newest triads first
+   * @returns {Promise<{triads: Array<Object>, cursor: string|null}>} Page of triads and the cursor of the next page
+   */
+  async queryTriads(query = {}) {
+    try {
+      this.validateInitialization();
+
+      const limit = query.limit === undefined ? DEFAULT_QUERY_LIMIT : query.limit;
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error('Query limit must be a positive integer');
+      }
+
+      const triads = [];
+      let lastKey = null;
+      let hasMore = false;
+      for await (const { key, triad } of this.streamTriads(query)) {
+        if (triads.length === limit) {
+          hasMore = true;
+          break;
+        }
+        triads.push(triad);
+        lastKey = key;
+      }
+
+      return { triads, cursor: hasMore ? lastKey : null };
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to query triads', { error: error.message, query });
+      throw new Error(`Failed to query triads: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream triads matching a query from the secondary indexes without loading the whole matrix.
+   * The most selective index is scanned: validator, then state, then status, then time.
+   * @param {Object} [query] - Query filters, as for `queryTriads` (without `limit`)
+   * @returns {AsyncGenerator<{key: string, triad: Object}>} Index key and triad record, oldest first unless reversed
+   */
+  async *streamTriads({ validator, validated, state, since, until, cursor, reverse = false } = {}) {
+    if (validated !== undefined && typeof validated !== 'boolean') {
+      throw new Error('validated must be a boolean');
+    }
+    if (state !== undefined && !Object.values(TRIAD_STATES).includes(state)) {
+      throw new Error(`state must be one of ${Object.values(TRIAD_STATES).join(', ')}`);
+    }
+    [since, until].forEach(bound => {
+      if (bound !== undefined && !Number.isFinite(bound)) {
+        throw new Error('since and until must be timestamps');
+      }
+    });
+
+    let prefix = 'idx:time:';
+    if (validator !== undefined) {
+      prefix = `idx:validator:${validator}:`;
+    } else if (state !== undefined) {
+      prefix = `idx:state:${state}:`;
+    } else if (validated !== undefined) {
+      prefix = `idx:status:${validated ? 'validated' : 'pending'}:`;
+    }
+
+    const range = {
+      gte: prefix + (since !== undefined ? this.getIndexTimestamp(since) : ''),
+      lte: prefix + (until !== undefined ? `${this.getIndexTimestamp(until)}:~` : '~'),
+      reverse: reverse === true
+    };
+    if (cursor !== undefined && cursor !== null) {
+      if (typeof cursor !== 'string' || !cursor.startsWith(prefix)) {
+        throw new Error('Cursor does not belong to this query');
+      }
+      // The cursor is the last key returned, so the next page starts just past it
+      if (range.reverse && cursor <= range.lte) {
+        delete range.lte;
+        range.lt = cursor;
+      } else if (!range.reverse && cursor >= range.gte) {
+        delete range.gte;
+        range.gt = cursor;
+      }
+    }
+
+    for await (const [key, triadId] of this.db.iterator(range)) {
+      let triad;
+      try {
+        triad = await this.store.get(triadId);
+      } catch (error) {
+        this.logger.warn('Skipping indexed triad that failed its integrity check', { triadId });
+        continue;
+      }
+
+      if (!triad) continue;
+      if (validated !== undefined && triad.validated !== validated) continue;
+      if (state !== undefined && triad.state !== state) continue;
+
+      yield { key, triad };
+    }
+  }
+
+  /**
+   * Stream the triads that still accept votes: pending triads, then triads being voted on
+   * @returns {AsyncGenerator<{key: string, triad: Object}>} Index key and triad record, oldest first
+   */
+  async *streamOpenTriads() {
+    yield* this.streamTriads({ state: TRIAD_STATES.PENDING });
+    yield* this.streamTriads({ state: TRIAD_STATES.VOTING });
+  }
+
+  /**
+   * Get the current state of the matrix. Triads are not included; read them with
+   * `queryTriads` or `getTriadById`.
+   * @returns {Object} Matrix state
+   */
+  getMatrixState() {
+    return {
+      axes: this.axes,
+      sideLength: this.sideLength,
+      cellCapacity: this.cellCapacity,
+      complexity: this.complexity,
+      distanceMetric: this.distanceMetric,
+      schemaVersion: this.schemaVersion,
+      triadsCount: this.triadsCount,
+      validatedTriadsCount: this.validatedTriadsCount,
+      tipsCount: this.tips.size,
+      cachedTriadsCount: this.store.cacheSize,
+      validators: Array.from(this.validators),
+      slashedValidators: Array.from(this.slashedValidators),
+      consensusThreshold: this.consensusThreshold,
+      latestCheckpoint: this.latestCheckpoint ? this.getCheckpointBody(this.latestCheckpoint) : null,
+      mode: this.mode,
+      prunedUntil: this.prunedUntil,
+      lastEventSeq: this.eventLog.lastSeq,
+      ...this.getStateRoots(),
+      isInitialized: this.isInitialized
+    };
+  }
+
+  /**
+   * Add a validator to the matrix
+   * @param {string} validatorId - ID of the validator to add
+   * @returns {boolean} True if validator was added
+   */
+  addValidator(validatorId) {
+    this.validateValidator(validatorId);
+    if (this.validators.has(validatorId)) return false;
+
+    if (this.slashedValidators.has(validatorId)) {
+      throw new Error(`Validator ${validatorId} was slashed for equivocation and cannot rejoin`);
+    }
+
+    if (this.tokenomics && this.minValidatorStake > 0) {
+      const stake = this.tokenomics.getStake(validatorId);
+      if (stake < this.minValidatorStake) {
+        throw new Error(`Validator ${validatorId} has ${stake} staked; at least ${this.minValidatorStake} is required`);
+      }
+    }
+    
+    this.validators.add(validatorId);
+    this.saveMatrixState().catch(err => {
+      this.lastError = err.message;
+      this.logger.error('Failed to save state after adding validator', { 
+        error: err.message,
+        validatorId 
+      });
+    });
+    return true;
+  }
+
+  /**
+   * Generate the content-addressed ID of a triad
+   * @param {Object} triad - Triad to hash
+   * @returns {string} SHA-256 of the canonical triad body
+   */
+  generateTriadId(triad) {
+    return computeTriadId(triad);
+  }
+
+  /**
+   * Select parent references for a new triad from the current DAG tips
+   * @private
+   * @returns {Array<string>} Parent triad IDs
+   */
+  selectParents() {
+    return Array.from(this.tips).sort().slice(0, MAX_TRIAD_PARENTS);
+  }
+
+  /**
+   * Get the IDs of triads that are not yet referenced as a parent
+   * @returns {Array<string>} Tip triad IDs
+   */
+  getTips() {
+    return Array.from(this.tips).sort();
+  }
+
+  /**
+   * Add a verified triad to the matrix: update the DAG tips, the slot occupancy, the spatial
+   * grid and the summary counters, and grow the matrix if it is getting full
+   * @private
+   * @param {Object} triad - Triad to add
+   * @returns {Promise<Array<Object>>} Batch operations persisting the placement records
+   */
+  async addTriadToMatrix(triad) {
+    this.ensureSideLengthCovers(triad.position);
+
+    const slotKey = `slot:${this.getSlotKey(triad.position, triad.slot)}`;
+    const gridKey = `grid:${this.spatialIndex.getEntryBucketKey(triad.position)}`;
+    const [occupants = [], bucket = {}] = await this.store.getMany([slotKey, gridKey]);
+    const operations = [
+      { type: 'put', key: slotKey, value: [...occupants, triad.id] },
+      { type: 'put', key: gridKey, value: { ...bucket, [triad.id]: triad.position } },
+      ...triad.parents
+        .filter(parentId => this.tips.has(parentId))
+        .map(parentId => ({ type: 'del', key: `tip:${parentId}` })),
+      { type: 'put', key: `tip:${triad.id}`, value: triad.id },
+      ...(await this.triadTree.set(triad.id, triad.id))
+    ];
+
+    triad.parents.forEach(parentId => this.tips.delete(parentId));
+    this.tips.add(triad.id);
+    this.triadsCount++;
+    if (triad.validated) {
+      this.validatedTriadsCount++;
+    }
+    if (occupants.length === 0) {
+      this.occupiedSlots++;
+    }
+
+    // Grow after inserting rather than at placement so importing nodes grow at the same count
+    while (this.occupiedSlots >= this.getCellCount() * this.cellCapacity * MAX_MATRIX_LOAD) {
+      this.growMatrix(this.sideLength * MATRIX_GROWTH_FACTOR);
+    }
+
+    return operations;
+  }
+
+  /**
+   * Calculate the placement of a new triad.
+   * The search starts at a cell derived from the triad's placement seed and probes the
+   * following cells in index order until one has a free slot, so any node with the same
+   * occupancy computes the same position. `addTriadToMatrix` grows the matrix once three
+   * quarters of its slots are taken, which keeps probe sequences short.
+   * @private
+   * @param {Object} triad - Unplaced triad with data, timestamp and validator
+   * @returns {Promise<{position: Array<number>, slot: number}>} Coordinate vector and slot within the cell
+   */
+  async calculateOptimalPosition(triad) {
+    const seed = this.getPlacementSeed(triad);
+
+    for (;;) {
+      const cellCount = this.getCellCount();
+      const start = parseInt(seed.slice(0, 12), 16) % cellCount;
+
+      for (let offset = 0; offset < cellCount; offset++) {
+        const position = this.getPositionFromIndex((start + offset) % cellCount);
+        const slot = await this.findFreeSlot(position);
+        if (slot !== null) {
+          return { position, slot };
+        }
+      }
+
+      this.growMatrix(this.sideLength * MATRIX_GROWTH_FACTOR);
+    }
+  }
+
+  /**
+   * Get the number of cells in the matrix
+   * @private
+   * @returns {number} `sideLength ^ axes`
+   */
+  getCellCount() {
+    return Math.pow(this.sideLength, this.axes);
+  }
+
+  /**
+   * Derive the placement seed of a triad from the fields that exist before placement
+   * @private
+   * @param {Object} triad - Unplaced triad
+   * @returns {string} Hex SHA-256 seed
+   */
+  getPlacementSeed(triad) {
+    return crypto.createHash('sha256').update(canonicalize({
+      dataHash: crypto.createHash('sha256').update(canonicalize(triad.data)).digest('hex'),
+      timestamp: triad.timestamp,
+      validator: triad.validator
+    })).digest('hex');
+  }
+
+  /**
+   * Map a linear cell index to matrix coordinates
+   * @private
+   * @param {number} index - Cell index in `[0, sideLength^axes)`
+   * @returns {Array<number>} Coordinate vector
+   */
+  getPositionFromIndex(index) {
+    const position = [];
+    let remainder = index;
+    for (let axis = 0; axis < this.axes; axis++) {
+      position.push(remainder % this.sideLength);
+      remainder = Math.floor(remainder / this.sideLength);
+    }
+    return position;
+  }
+
+  /**
+   * Find the lowest unused slot in a matrix cell
+   * @private
+   * @param {Array<number>} position - Cell coordinates
+   * @returns {Promise<number|null>} Free slot index, or null if the cell is at capacity
+   */
+  async findFreeSlot(position) {
+    const slots = await this.getCellSlots(position);
+    const slot = slots.findIndex(occupants => occupants === undefined);
+    return slot === -1 ? null : slot;
+  }
+
+  /**
+   * Read the occupancy records of every slot in a matrix cell
+   * @private
+   * @param {Array<number>} position - Cell coordinates
+   * @returns {Promise<Array<Array<string>|undefined>>} Triad IDs per slot, undefined for free slots
+   */
+  async getCellSlots(position) {
+    const keys = [];
+    for (let slot = 0; slot < this.cellCapacity; slot++) {
+      keys.push(`slot:${this.getSlotKey(position, slot)}`);
+    }
+    return this.store.getMany(keys);
+  }
+
+  /**
+   * Build the occupancy key of a slot
+   * @private
+   * @param {Array<number>} position - Cell coordinates
+   * @param {number} [slot=0] - Slot within the cell
+   * @returns {string} Slot key
+   */
+  getSlotKey(position, slot = 0) {
+    return `${position.join(':')}/${slot}`;
+  }
+
+  /**
+   * Get the IDs of the triads occupying a matrix cell
+   * @param {Array<number>} position - Cell coordinates
+   * @returns {Promise<Array<string>>} Triad IDs, ordered by slot
+   */
+  async getCellOccupants(position) {
+    return (await this.getCellSlots(position)).flatMap(occupants => occupants || []);
+  }
+
+  /**
+   * Grow the matrix so that a position received from another node fits inside it
+   * @private
+   * @param {Array<number>} position - Triad position
+   */
+  ensureSideLengthCovers(position) {
+    let sideLength = this.sideLength;
+    while (Math.max(...position) >= sideLength) {
+      sideLength *= MATRIX_GROWTH_FACTOR;
+    }
+    if (sideLength !== this.sideLength) {
+      this.growMatrix(sideLength);
+    }
+  }
+
+  /**
+   * Increase the matrix side length. Existing positions stay valid because cells are only added.
+   * @private
+   * @param {number} sideLength - New side length
+   */
+  growMatrix(sideLength) {
+    const previous = this.sideLength;
+    this.sideLength = sideLength;
+    if (getDistanceMetric(this.distanceMetric).wraps) {
+      this.connectionsStale = true;
+    }
+    this.logger.info('Matrix grown', { from: previous, to: sideLength });
+    // Written with the group commit that stores the new side length
+    this.stagedEvents.push(['matrixGrown', { from: previous, to: sideLength }]);
+  }
+
+  /**
+   * Recompute every connection with the current metric and side length.
+   * Needed when the metric changes, or when a wrapping metric's matrix grows. The stored
+   * connections are replaced in chunks, walking the spatial grid instead of loading every triad.
+   * @private
+   * @returns {Promise<number>} Number of connections stored
+   */
+  async rebuildConnections() {
+    await this.db.clear({ gte: 'connection:', lte: 'connection:~' });
+    this.store.clear();
+
+    let batch = [];
+    let connectionsCount = 0;
+    for await (const bucket of this.db.values({ gte: 'grid:', lte: 'grid:~' })) {
+      for (const [triadId, position] of Object.entries(bucket)) {
+        // Both ends are visited, so each triad only writes the records it starts
+        (await this.getTriadConnections({ id: triadId, position })).forEach(neighbor => {
+          batch.push(this.getConnectionOperation(triadId, neighbor.id, this.calculateDistance(position, neighbor.position)));
+        });
+      }
+      if (batch.length >= REBUILD_BATCH_SIZE) {
+        await this.db.batch(batch);
+        connectionsCount += batch.length;
+        batch = [];
+      }
+    }
+    await this.db.batch(batch);
+    connectionsCount += batch.length;
+
+    this.connectionsStale = false;
+    this.logger.info('Rebuilt triad connections', {
+      distanceMetric: this.distanceMetric,
+      sideLength: this.sideLength,
+      triadsCount: this.triadsCount
+    });
+    return connectionsCount / 2;
+  }
+
+  /**
+   * Link a newly added triad to its spatial neighbours in both directions
+   * @private
+   * @param {Object} triad - Triad already added to the matrix
+   * @returns {Promise<Array<Object>>} Batch operations persisting the new connections
+   */
+  async linkTriadConnections(triad) {
+    return (await this.getTriadConnections(triad)).flatMap(neighbor => {
+      if (!triad.connections.includes(neighbor.id)) {
+        triad.connections.push(neighbor.id);
+      }
+      const distance = this.calculateDistance(triad.position, neighbor.position);
+      return [
+        this.getConnectionOperation(triad.id, neighbor.id, distance),
+        this.getConnectionOperation(neighbor.id, triad.id, distance)
+      ];
+    });
+  }
+
+  /**
+   * Build the put operation of one direction of a connection.
+   * Each connection is stored under both `connection:<a>:<b>` and `connection:<b>:<a>`
+   * so the links of a triad can be read with a single prefix scan.
+   * @private
+   * @param {string} fromId - Triad whose links the record belongs to
+   * @param {string} toId - Connected triad
+   * @param {number} distance - Distance between the triads
+   * @returns {Object} Put operation
+   */
+  getConnectionOperation(fromId, toId, distance) {
+    return {
+      type: 'put',
+      key: `connection:${fromId}:${toId}`,
+      value: { triads: [fromId, toId].sort(), distance }
+    };
+  }
+
+  /**
+   * Traverse the connection graph from a triad
+   * @param {string} triadId - ID of the starting triad
+   * @param {number} [depth=1] - Maximum number of hops
+   * @returns {Promise<Array<{triad: Object, depth: number}>>} Reachable triads in breadth-first order, excluding the start
+   */
+  async getTriadNeighbors(triadId, depth = 1) {
+    const start = await this.store.get(triadId);
+    if (!start) {
+      throw new Error(`Triad with ID ${triadId} not found`);
+    }
+
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new Error('Neighbor depth must be a positive integer');
+    }
+
+    const visited = new Set([triadId]);
+    const neighbors = [];
+    let frontier = [start];
+
+    for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+      const next = [];
+      for (const triad of frontier) {
+        for (const neighborId of triad.connections.slice().sort()) {
+          if (visited.has(neighborId)) continue;
+          visited.add(neighborId);
+          const neighbor = await this.store.get(neighborId);
+          if (!neighbor) continue;
+          neighbors.push({ triad: neighbor, depth: hop });
+          next.push(neighbor);
+        }
+      }
+      frontier = next;
+    }
+
+    return neighbors;
+  }
+
+  /**
+   * Find the stored triads within connection range of a position
+   * @private
+   * @param {{id: string, position: Array<number>}} triad - Triad to get connections for
+   * @returns {Promise<Array<{id: string, position: Array<number>}>>} Connected triads with their positions
+   */
+  async getTriadConnections(triad) {
+    const bucketKeys = new Set();
+    this.getQueryCenters(triad.position).forEach(center => {
+      this.spatialIndex.getBucketKeysInBox(center, this.complexity).forEach(key => bucketKeys.add(key));
+    });
+
+    const connections = [];
+    const buckets = await this.store.getMany(Array.from(bucketKeys, key => `grid:${key}`));
+    buckets.forEach(bucket => {
+      Object.entries(bucket || {}).forEach(([id, position]) => {
+        if (id === triad.id) return;
+        const distance = this.calculateDistance(position, triad.position);
+        if (distance <= this.complexity && distance > 0) {
+          connections.push({ id, position });
+        }
+      });
+    });
+    return connections;
+  }
+
+  /**
+   * Get the points to search around for neighbours of a position. Wrapping metrics also
+   * search the mirrored positions across each edge the search radius crosses.
+   * @private
+   * @param {Array<number>} position - Position to search around
+   * @returns {Array<Array<number>>} Search centers
+   */
+  getQueryCenters(position) {
+    if (!getDistanceMetric(this.distanceMetric).wraps) {
+      return [position];
+    }
+
+    return position.reduce((centers, value, axis) => {
+      const shifts = [0];
+      if (value - this.complexity < 0) shifts.push(this.sideLength);
+      if (value + this.complexity >= this.sideLength) shifts.push(-this.sideLength);
+      return centers.flatMap(center => shifts.map(shift => {
+        const shifted = center.slice();
+        shifted[axis] = value + shift;
+        return shifted;
+      }));
+    }, [position]);
+  }
+
+  /**
+   * Calculate connection score between two triads
+   * @private
+   * @param {Object} triad1 - First triad
+   * @param {Object} triad2 - Second triad
+   * @returns {number} Connection score
+   */
+  calculateConnectionScore(triad1, triad2) {
+    const distance = this.calculateDistance(triad1.position, triad2.position);
+    if (distance > this.complexity) return 0;
+    return Math.max(0, 1 - (distance / this.complexity));
+  }
+
+  /**
+   * Calculate distance between two positions
+   * @private
+   * @param {Array<number>} pos1 - First position
+   * @param {Array<number>} pos2 - Second position
+   * @returns {number} Calculated distance
+   */
+  calculateDistance(pos1, pos2) {
+    return getDistanceMetric(this.distanceMetric).distance(pos1, pos2, { sideLength: this.sideLength });
+  }
+
+  /**
+   * Load matrix state from database
+   * @private
+   * @returns {Promise<void>}
+   */
+  async loadMatrixState() {
+    try {
+      this.logger.debug('Loading matrix state from database...');
+      
+      const state = await this.db.get('matrix:state_metadata');
+      this.axes = state.axes || (state.dimensions ? DEFAULT_AXES : this.axes);
+      this.sideLength = state.sideLength || state.dimensions || this.sideLength;
+      this.cellCapacity = state.cellCapacity || this.cellCapacity;
+      this.complexity = state.complexity || this.complexity;
+      this.consensusThreshold = state.consensusThreshold || this.consensusThreshold;
+      // Databases written before metrics were configurable used Euclidean distance
+      const storedMetric = state.distanceMetric || DEFAULT_DISTANCE_METRIC;
+      if (this.distanceMetricOverride && storedMetric !== this.distanceMetric) {
+        this.logger.warn('Distance metric changed; connections will be rebuilt', {
+          from: storedMetric,
+          to: this.distanceMetric
+        });
+        this.connectionsStale = true;
+      } else {
+        this.distanceMetric = storedMetric;
+        this.connectionsStale = false;
+      }
+      this.validators = new Set(state.validators || []);
+      this.slashedValidators = new Set(state.slashedValidators || []);
+      this.triadsCount = state.triadsCount || 0;
+      this.validatedTriadsCount = state.validatedTriadsCount || 0;
+      this.occupiedSlots = state.occupiedSlots || 0;
+      this.prunedUntil = state.prunedUntil || 0;
+      // A database whose payloads were pruned can no longer serve as an archive
+      if (this.prunedUntil > 0 && this.mode === NODE_MODES.ARCHIVE) {
+        this.logger.warn('Database has pruned payloads; running as a pruned node', { prunedUntil: this.prunedUntil });
+        this.mode = NODE_MODES.PRUNED;
+      }
+
+      this.store.clear();
+      this.tips.clear();
+      this.triadTree.clear();
+      this.spatialIndex = new SpatialIndex({ cellSize: this.complexity });
+      this.evidence.clear();
+      this.pendingCheckpoints.clear();
+      this.conflictingCheckpoints.clear();
+      this.latestCheckpoint = null;
+      for await (const checkpoint of this.db.values({ gte: 'checkpoint:', lte: 'checkpoint:~', reverse: true, limit: 1 })) {
+        this.latestCheckpoint = checkpoint;
+      }
+
+      let rejectedCount = 0;
+      if (state.indexVersion !== INDEX_VERSION) {
+        rejectedCount = await this.rebuildIndexes();
+        await this.saveMatrixState();
+      } else {
+        for await (const triadId of this.db.values({ gte: 'tip:', lte: 'tip:~' })) {
+          this.tips.add(triadId);
+        }
+        await this.triadTree.load();
+      }
+
+      let connectionsCount = null;
+      if (this.connectionsStale) {
+        connectionsCount = await this.rebuildConnections();
+        await this.saveMatrixState();
+      }
+
+      for await (const [key, evidence] of this.db.iterator({ gte: 'evidence:', lte: 'evidence:~' })) {
+        try {
+          await this.verifyEvidence(evidence);
+          this.evidence.set(evidence.id, evidence);
+        } catch (verifyError) {
+          this.logger.warn('Rejecting stored evidence that failed verification', {
+            key,
+            error: verifyError.message
+          });
+        }
+      }
+
+      this.logger.info('Matrix state loaded successfully', {
+        axes: this.axes,
+        sideLength: this.sideLength,
+        complexity: this.complexity,
+        validatorsCount: this.validators.size,
+        triadsCount: this.triadsCount,
+        tipsCount: this.tips.size,
+        connectionsCount,
+        evidenceCount: this.evidence.size,
+        latestCheckpoint: this.latestCheckpoint ? this.latestCheckpoint.sequence : null,
+        rejectedCount
+      });
+    } catch (error) {
+      if (error.notFound) {
+        this.logger.info('No existing state found, initializing new state');
+        await this.saveMatrixState();
+      } else {
+        this.lastError = error.message;
+        this.logger.error('Failed to load matrix state', {
+          error: error.message,
+          stack: error.stack
+        });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Rebuild every record derived from the stored triads: secondary indexes, slot occupancy,
+   * the spatial grid, DAG tips and the summary counters, and mark connections for rebuilding.
+   * Runs once when opening a database written by an older version or restored from a snapshot.
+   * Stored triads are verified and added in DAG order in one pass over the records; a triad
+   * read before one of its parents waits by ID until its last missing parent is added.
+   * @private
+   * @returns {Promise<number>} Number of stored triads rejected
+   */
+  async rebuildIndexes() {
+    this.logger.info('Rebuilding triad indexes...');
+
+    for (const prefix of ['idx:', 'slot:', 'grid:', 'tip:', 'tree:']) {
+      await this.db.clear({ gte: prefix, lte: `${prefix}~` });
+    }
+    this.triadsCount = 0;
+    this.validatedTriadsCount = 0;
+    this.occupiedSlots = 0;
+    this.triadTree.clear();
+
+    // IDs of the triads waiting for parents, by parent, and how many parents each still waits for
+    const waitingChildren = new Map();
+    const missingParentCounts = new Map();
+    const addTriad = async triad => {
+      const ready = [triad];
+      while (ready.length > 0) {
+        const next = ready.pop();
+        await this.db.batch([...this.getTriadIndexOperations(next), ...(await this.addTriadToMatrix(next))]);
+        for (const childId of waitingChildren.get(next.id) || []) {
+          const missingCount = missingParentCounts.get(childId) - 1;
+          if (missingCount > 0) {
+            missingParentCounts.set(childId, missingCount);
+          } else {
+            missingParentCounts.delete(childId);
+            ready.push(await this.db.get(`triad:${childId}`));
+          }
+        }
+        waitingChildren.delete(next.id);
+      }
+    };
+
+    let rejectedCount = 0;
+    for await (const [key, value] of this.db.iterator({ gte: 'triad:', lte: 'triad:~' })) {
+      try {
+        // A pruned triad no longer has the payload its signature covers; its ID still commits to the payload digest
+        if (!value.pruned) {
+          this.verifyTriadSignature(value);
+        }
+        if (this.generateTriadId(value) !== value.id || key !== `triad:${value.id}`) {
+          throw new Error('Stored record does not match its content hash');
+        }
+      } catch (verifyError) {
+        rejectedCount++;
+        this.logger.warn('Rejecting stored triad that failed verification', {
+          key,
+          error: verifyError.message
+        });
+        continue;
+      }
+
+      // Triads are keyed by hash, so parents may be read after their children
+      const missingParents = [];
+      for (const parentId of value.parents) {
+        if (!(await this.triadTree.has(parentId))) {
+          missingParents.push(parentId);
+        }
+      }
+      if (missingParents.length === 0) {
+        await addTriad(value);
+        continue;
+      }
+      missingParentCounts.set(value.id, missingParents.length);
+      missingParents.forEach(parentId => {
+        if (!waitingChildren.has(parentId)) {
+          waitingChildren.set(parentId, []);
+        }
+        waitingChildren.get(parentId).push(value.id);
+      });
+    }
+
+    // The growth repeats what the stored triads went through when they were added
+    this.stagedEvents = [];
+
+    if (missingParentCounts.size > 0) {
+      rejectedCount += missingParentCounts.size;
+      this.logger.warn('Rejecting stored triads with missing parents', {
+        triadIds: Array.from(missingParentCounts.keys())
+      });
+    }
+
+    // Older databases stored each connection once and snapshots carry none: recompute them all
+    this.connectionsStale = true;
+
+    this.logger.info('Rebuilt triad indexes', {
+      triadsCount: this.triadsCount,
+      rejectedCount
+    });
+    return rejectedCount;
+  }
+
+  /**
+   * Save matrix state to database
+   * @private
+   * @returns {Promise<void>}
+   */
+  async saveMatrixState() {
+    try {
+      this.logger.debug('Saving matrix state...');
+
+      const stateMetadata = this.getStateMetadata();
+
+      // Use batch operation for atomic update
+      const batch = [
+        { type: 'put', key: 'matrix:state_metadata', value: stateMetadata }
+      ];
+
+      await this.db.batch(batch);
+
+      this.logger.info('Matrix state saved successfully', {
+        axes: this.axes,
+        sideLength: this.sideLength,
+        complexity: this.complexity,
+        validatorsCount: this.validators.size,
+        triadsCount: this.triadsCount,
+        validatedTriadsCount: this.validatedTriadsCount,
+        timestamp: stateMetadata.lastUpdated
+      });
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to save matrix state', {
         error: error.message,
-        triadId,
-        validatorId,
         stack: error.stack
       });
-      ErrorHandler.handleError(error, 'Triad validation');
-      throw new Error(`Failed to validate triad: ${error.message}`);
+      throw new Error(`Failed to save matrix state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the `matrix:state_metadata` record from the current configuration and counters
+   * @private
+   * @returns {Object} State metadata
+   */
+  getStateMetadata() {
+    return {
+      axes: this.axes,
+      sideLength: this.sideLength,
+      cellCapacity: this.cellCapacity,
+      complexity: this.complexity,
+      distanceMetric: this.distanceMetric,
+      consensusThreshold: this.consensusThreshold,
+      indexVersion: INDEX_VERSION,
+      validators: Array.from(this.validators),
+      slashedValidators: Array.from(this.slashedValidators),
+      lastUpdated: Date.now(),
+      triadsCount: this.triadsCount,
+      validatedTriadsCount: this.validatedTriadsCount,
+      occupiedSlots: this.occupiedSlots,
+      prunedUntil: this.prunedUntil,
+      ...this.getStateRoots()
+    };
+  }
+
+  /**
+   * Get the Merkle roots committing to the matrix contents. Two nodes holding the same triads
+   * (and, with a ledger attached, the same balances) report the same roots.
+   * @returns {{triadsRoot: string, balancesRoot: string|null}} Sparse Merkle roots over the
+   *   triad IDs and the Tokenomics balances; `balancesRoot` is null without a ledger
+   */
+  getStateRoots() {
+    return {
+      triadsRoot: this.triadTree.root,
+      balancesRoot: this.tokenomics ? this.tokenomics.getBalancesRoot() : null
+    };
+  }
+
+  /**
+   * Get a triad with its inclusion proof against the current triads root. Check the result
+   * with `verifyTriadProof` from `src/utils/proofs.js`.
+   * @param {string} triadId - Triad ID
+   * @returns {Promise<{triad: Object, root: string, proof: Object}|null>} Triad, proof and the
+   *   root it verifies against, or null if the triad is not in the matrix
+   */
+  async getTriadProof(triadId) {
+    this.validateInitialization();
+    // Writes change the stored nodes and the root, so the proof is read between them
+    const { root, proof } = await this.runExclusive(async () => ({
+      root: this.triadTree.root,
+      proof: await this.triadTree.has(triadId) ? await this.triadTree.getProof(triadId) : null
+    }));
+    if (!proof) {
+      return null;
+    }
+    return { triad: await this.getTriadById(triadId), root, proof };
+  }
+
+  /**
+   * Propose a checkpoint over the triads accepted up to a point in time and sign it. The
+   * checkpoint is gossiped through `checkpointSigned` and becomes final once validators
+   * holding `CHECKPOINT_FINALITY_THRESHOLD` of the voting weight have signed it.
+   * @param {Wallet} wallet - Wallet of a registered validator
+   * @param {Object} [options] - Checkpoint options
+   * @param {number} [options.until] - Latest creation timestamp of the covered triads
+   * @returns {Promise<Object>} Checkpoint with the signatures collected so far
+   */
+  async proposeCheckpoint(wallet, { until = Date.now() } = {}) {
+    try {
+      this.validateInitialization();
+      this.validateSigner(wallet);
+      this.validateCheckpointSigner(wallet);
+
+      const latest = this.latestCheckpoint;
+      if (latest && until <= latest.until) {
+        throw new Error(`Checkpoint must cover triads created after ${latest.until}`);
+      }
+
+      const body = {
+        sequence: latest ? latest.sequence + 1 : 1,
+        previous: latest ? latest.hash : null,
+        until,
+        ...(await this.computeCheckpointRoot(until))
+      };
+      const checkpoint = { ...body, hash: this.generateCheckpointHash(body), signatures: [] };
+      checkpoint.signatures.push(this.signCheckpointBody(checkpoint, wallet));
+
+      this.logger.info('Proposing checkpoint', {
+        sequence: checkpoint.sequence,
+        triadCount: checkpoint.triadCount,
+        merkleRoot: checkpoint.merkleRoot
+      });
+      return await this.submitCheckpoint(checkpoint);
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to propose checkpoint', { error: error.message });
+      throw new Error(`Failed to propose checkpoint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add this validator's signature to a proposed checkpoint, after checking that the
+   * checkpoint's Merkle root matches the triads this node accepted
+   * @param {string} hash - Hash of a proposed checkpoint
+   * @param {Wallet} wallet - Wallet of a registered validator
+   * @returns {Promise<Object>} Checkpoint with the signatures collected so far
+   */
+  async signCheckpoint(hash, wallet) {
+    try {
+      this.validateInitialization();
+      this.validateSigner(wallet);
+      this.validateCheckpointSigner(wallet);
+
+      const checkpoint = this.pendingCheckpoints.get(hash);
+      if (!checkpoint) {
+        throw new Error(`Checkpoint ${hash} is not pending`);
+      }
+      const { triadCount, merkleRoot } = await this.computeCheckpointRoot(checkpoint.until);
+      if (triadCount !== checkpoint.triadCount || merkleRoot !== checkpoint.merkleRoot) {
+        throw new Error(`Checkpoint ${checkpoint.sequence} does not match the triads accepted by this node`);
+      }
+
+      return await this.submitCheckpoint({ ...checkpoint, signatures: [this.signCheckpointBody(checkpoint, wallet)] });
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to sign checkpoint', { error: error.message, hash });
+      throw new Error(`Failed to sign checkpoint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the signatures of a checkpoint proposed here or received from a peer. Signatures
+   * by unknown validators are ignored. Emits `checkpointSigned` when signatures were added
+   * and, once the checkpoint reached the finality threshold, `checkpointFinalized` or, if its
+   * root differs from this node's, `checkpointConflict`.
+   * @param {Object} checkpoint - Checkpoint with its body, hash and signatures
+   * @returns {Promise<Object|null>} Checkpoint with every signature known here, or null if it
+   *   added nothing new
+   * @throws {Error} If the checkpoint is malformed or does not extend the latest checkpoint
+   */
+  async submitCheckpoint(checkpoint) {
+    this.validateInitialization();
+    this.verifyCheckpoint(checkpoint);
+
+    return this.runExclusive(async () => {
+      const latest = this.latestCheckpoint;
+      if ((latest && checkpoint.sequence <= latest.sequence) || this.conflictingCheckpoints.has(checkpoint.hash)) {
+        return null;
+      }
+      if (checkpoint.sequence !== (latest ? latest.sequence + 1 : 1) ||
+          checkpoint.previous !== (latest ? latest.hash : null)) {
+        throw new Error(`Checkpoint ${checkpoint.sequence} does not extend the latest checkpoint`);
+      }
+
+      const pending = this.pendingCheckpoints.get(checkpoint.hash) ||
+        { ...this.getCheckpointBody(checkpoint), hash: checkpoint.hash, signatures: [] };
+      const signers = new Set(pending.signatures.map(signature => signature.validator));
+      const added = checkpoint.signatures.filter(signature => {
+        if (signers.has(signature.validator) || !this.validators.has(signature.validator)) {
+          return false;
+        }
+        this.verifyCheckpointSignature(checkpoint, signature);
+        signers.add(signature.validator);
+        return true;
+      });
+      if (added.length === 0) {
+        return null;
+      }
+      pending.signatures = [...pending.signatures, ...added];
+      this.pendingCheckpoints.set(pending.hash, pending);
+      this.emit('checkpointSigned', pending);
+
+      if (this.getSignedWeight(pending) >= CHECKPOINT_FINALITY_THRESHOLD) {
+        await this.finalizeCheckpoint(pending);
+      }
+      return pending;
+    });
+  }
+
+  /**
+   * Store a checkpoint that reached the finality threshold as the latest checkpoint. A
+   * checkpoint whose root differs from the triads accepted here is recorded as conflicting
+   * instead, and finality does not advance.
+   * @private
+   * @param {Object} checkpoint - Checkpoint with a supermajority of signatures
+   * @returns {Promise<boolean>} True if the checkpoint became final
+   */
+  async finalizeCheckpoint(checkpoint) {
+    const local = await this.computeCheckpointRoot(checkpoint.until);
+    if (local.triadCount !== checkpoint.triadCount || local.merkleRoot !== checkpoint.merkleRoot) {
+      const conflict = { ...checkpoint, localTriadCount: local.triadCount, localMerkleRoot: local.merkleRoot };
+      const events = [['checkpointConflict', conflict]];
+      await this.writeWithEvents([], events);
+      this.conflictingCheckpoints.set(checkpoint.hash, conflict);
+      this.pendingCheckpoints.delete(checkpoint.hash);
+      this.logger.warn('Checkpoint signed by a supermajority differs from the triads accepted by this node', {
+        sequence: checkpoint.sequence,
+        hash: checkpoint.hash,
+        triadCount: checkpoint.triadCount,
+        localTriadCount: local.triadCount
+      });
+      this.emitEvents(events);
+      return false;
+    }
+
+    const finalized = { ...checkpoint, finalizedAt: Date.now() };
+    const events = [['checkpointFinalized', finalized]];
+    await this.writeWithEvents([{ type: 'put', key: this.getCheckpointKey(finalized.sequence), value: finalized }], events);
+    this.latestCheckpoint = finalized;
+    this.pendingCheckpoints.clear();
+
+    this.logger.info('Checkpoint finalized', {
+      sequence: finalized.sequence,
+      triadCount: finalized.triadCount,
+      merkleRoot: finalized.merkleRoot,
+      signatures: finalized.signatures.length
+    });
+    this.emitEvents(events);
+    return true;
+  }
+
+  /**
+   * Get the checkpoints that reached the finality threshold with a root this node does not
+   * agree with
+   * @returns {Array<Object>} Checkpoints with this node's `localTriadCount` and `localMerkleRoot`
+   */
+  getConflictingCheckpoints() {
+    return Array.from(this.conflictingCheckpoints.values());
+  }
+
+  /**
+   * Get the latest finalized checkpoint
+   * @returns {Object|null} Latest checkpoint, or null if none is final yet
+   */
+  getLatestCheckpoint() {
+    return this.latestCheckpoint;
+  }
+
+  /**
+   * Get a finalized checkpoint
+   * @param {number} sequence - Checkpoint sequence number
+   * @returns {Promise<Object|null>} Checkpoint, or null if it is not stored
+   */
+  async getCheckpoint(sequence) {
+    return (await this.store.getRecord(this.getCheckpointKey(sequence))) || null;
+  }
+
+  /**
+   * Compute the Merkle root over the IDs of the accepted triads created up to a time, in
+   * creation order. Triad IDs are content hashes, so the root commits to the triads themselves.
+   * @private
+   * @param {number} until - Latest creation timestamp (inclusive)
+   * @returns {Promise<{triadCount: number, merkleRoot: string}>} Number of triads covered and their root
+   */
+  async computeCheckpointRoot(until) {
+    const prefix = `idx:state:${TRIAD_STATES.ACCEPTED}:`;
+    const accumulator = new MerkleAccumulator();
+    for await (const triadId of this.db.values({ gte: prefix, lte: `${prefix}${this.getIndexTimestamp(until)}:~` })) {
+      accumulator.append(triadId);
+    }
+    return { triadCount: accumulator.size, merkleRoot: accumulator.root };
+  }
+
+  /**
+   * Extract the signed fields of a checkpoint
+   * @private
+   * @param {Object} checkpoint - Checkpoint
+   * @returns {Object} `{sequence, previous, until, triadCount, merkleRoot}`
+   */
+  getCheckpointBody(checkpoint) {
+    const { sequence, previous, until, triadCount, merkleRoot } = checkpoint;
+    return { sequence, previous, until, triadCount, merkleRoot };
+  }
+
+  /**
+   * Generate the hash identifying a checkpoint
+   * @private
+   * @param {Object} checkpoint - Checkpoint or checkpoint body
+   * @returns {string} SHA-256 of the canonical checkpoint body
+   */
+  generateCheckpointHash(checkpoint) {
+    return crypto.createHash('sha256').update(canonicalize(this.getCheckpointBody(checkpoint))).digest('hex');
+  }
+
+  /**
+   * Sign a checkpoint's hash
+   * @private
+   * @param {Object} checkpoint - Checkpoint to sign
+   * @param {Wallet} wallet - Validator wallet
+   * @returns {Object} `{validator, publicKey, signature}`
+   */
+  signCheckpointBody(checkpoint, wallet) {
+    return {
+      validator: wallet.getAddress(),
+      publicKey: wallet.getPublicKey(),
+      signature: wallet.signData(checkpoint.hash)
+    };
+  }
+
+  /**
+   * Check that a checkpoint is well formed and its hash matches its body
+   * @private
+   * @param {Object} checkpoint - Checkpoint to verify
+   * @throws {Error} If the checkpoint is malformed
+   */
+  verifyCheckpoint(checkpoint) {
+    if (!checkpoint || typeof checkpoint !== 'object' ||
+        !Number.isInteger(checkpoint.sequence) || checkpoint.sequence < 1 ||
+        (checkpoint.previous !== null && typeof checkpoint.previous !== 'string') ||
+        typeof checkpoint.until !== 'number' ||
+        !Number.isInteger(checkpoint.triadCount) || checkpoint.triadCount < 0 ||
+        typeof checkpoint.merkleRoot !== 'string' ||
+        !Array.isArray(checkpoint.signatures)) {
+      throw new Error('Invalid checkpoint provided');
+    }
+    if (checkpoint.hash !== this.generateCheckpointHash(checkpoint)) {
+      throw new Error(`Checkpoint ${checkpoint.sequence} does not match its hash`);
+    }
+  }
+
+  /**
+   * Check that a wallet belongs to a registered validator, whose checkpoint signature counts
+   * @private
+   * @param {Wallet} wallet - Wallet to check
+   * @throws {Error} If the wallet's address is not a registered validator
+   */
+  validateCheckpointSigner(wallet) {
+    if (!this.validators.has(wallet.getAddress())) {
+      throw new Error(`Validator ${wallet.getAddress()} is not registered`);
+    }
+  }
+
+  /**
+   * Verify a validator's signature on a checkpoint
+   * @private
+   * @param {Object} checkpoint - Verified checkpoint
+   * @param {Object} signature - `{validator, publicKey, signature}`
+   * @throws {Error} If the signature is not by the validator
+   */
+  verifyCheckpointSignature(checkpoint, signature) {
+    if (!signature || !signature.publicKey || Wallet.addressFromPublicKey(signature.publicKey) !== signature.validator) {
+      throw new Error(`Public key does not match validator address ${signature && signature.validator}`);
+    }
+    if (!Wallet.verifySignature(checkpoint.hash, signature.signature, signature.publicKey)) {
+      throw new Error(`Invalid checkpoint signature from ${signature.validator}`);
+    }
+  }
+
+  /**
+   * Calculate the share of the current validator weight that signed a checkpoint
+   * @private
+   * @param {Object} checkpoint - Checkpoint with verified signatures
+   * @returns {number} Signed weight between 0 and 1
+   */
+  getSignedWeight(checkpoint) {
+    const weights = this.getValidatorWeights();
+    const totalWeight = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) {
+      return 0;
     }
+    const signedWeight = checkpoint.signatures
+      .reduce((sum, signature) => sum + (weights.get(signature.validator) || 0), 0);
+    return signedWeight / totalWeight;
+  }
+
+  /**
+   * Build the database key of a checkpoint, ordered by sequence number
+   * @private
+   * @param {number} sequence - Checkpoint sequence number
+   * @returns {string} Checkpoint key
+   */
+  getCheckpointKey(sequence) {
+    return `checkpoint:${String(sequence).padStart(INDEX_TIMESTAMP_WIDTH, '0')}`;
   }
 
   /**
-   * Calculate consensus score for a triad
-   * @private
-   * @param {Object} triad - Triad to calculate consensus for
-   * @param {string} currentValidatorId - Current validator's ID
-   * @returns {Promise<number>} Consensus score
+   * Write a snapshot of the matrix to a single file: the state metadata with the validator
+   * sets, then every triad, vote, evidence and checkpoint record, then a checksum over all of it.
+   * Runs on the write queue, so the snapshot is consistent while the node keeps running.
+   * @param {string} filePath - Snapshot file to write
+   * @returns {Promise<Object>} Record counts and checksum of the snapshot
    */
-  async calculateConsensus(triad, currentValidatorId) {
+  async createSnapshot(filePath) {
     try {
-      this.logger.debug('Calculating consensus', {
-        triadId: triad.id,
-        validatorId: currentValidatorId
-      });
-
-      if (!this.validators.has(currentValidatorId)) {
-        this.logger.warn('Invalid validator attempting consensus calculation', {
-          validatorId: currentValidatorId,
-          triadId: triad.id
-        });
-        return 0;
-      }
-
-      // Base validation score for registered validators
-      let consensusScore = 0.7;  // Start with 70% consensus for registered validators
-
-      // Additional score based on connections
-      const connections = this.getTriadConnections(triad);
-      this.logger.debug('Found connected triads', {
-        triadId: triad.id,
-        connectionCount: connections.length
-      });
-
-      if (connections.length > 0) {
-        const validationScores = connections.map(conn => {
-          const score = conn.validated ? 
-            this.calculateConnectionScore(triad, conn) : 
-            0.5 * this.calculateConnectionScore(triad, conn);
-          
+      this.validateInitialization();
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+
+      const summary = await this.runExclusive(async () => {
+        // Write next to the target and rename, so an interrupted snapshot never looks complete
+        const tempPath = `${filePath}.tmp`;
+        const stream = fs.createWriteStream(tempPath);
+        const hash = crypto.createHash('sha256');
+        const counts = { triad: 0, vote: 0, evidence: 0, checkpoint: 0 };
+        const writeLine = async record => {
+          const line = `${JSON.stringify(record)}\n`;
+          hash.update(line);
+          if (!stream.write(line)) {
+            await once(stream, 'drain');
+          }
+        };
+
+        try {
+          await writeLine({
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            schemaVersion: this.schemaVersion,
+            createdAt: Date.now(),
+            metadata: this.getStateMetadata()
+          });
+          for (const [type, prefix] of Object.entries(SNAPSHOT_RECORD_PREFIXES)) {
+            for await (const value of this.db.values({ gte: prefix, lte: `${prefix}~` })) {
+              await writeLine({ type, value });
+              counts[type]++;
+            }
+          }
+          const checksum = hash.digest('hex');
+          stream.end(`${JSON.stringify({ type: 'checksum', algorithm: 'sha256', value: checksum })}\n`);
+          await once(stream, 'finish');
+          fs.renameSync(tempPath, filePath);
           return {
-            connectedTriadId: conn.id,
-            validated: conn.validated,
-            score
+            triads: counts.triad,
+            votes: counts.vote,
+            evidence: counts.evidence,
+            checkpoints: counts.checkpoint,
+            checksum
           };
-        });
-
-        const connectionScore = validationScores.reduce((a, b) => a + b.score, 0) / validationScores.length;
-        consensusScore += connectionScore * 0.3;  // Connection score can add up to 30%
-
-        this.logger.debug('Calculated connection scores', {
-          triadId: triad.id,
-          validationScores,
-          connectionScore,
-          finalConsensusScore: Math.min(1, consensusScore)
-        });
-      }
+        } catch (error) {
+          stream.destroy();
+          fs.rmSync(tempPath, { force: true });
+          throw error;
+        }
+      });
 
-      return Math.min(1, consensusScore);
+      this.logger.info('Matrix snapshot created', { filePath, ...summary });
+      this.emit('snapshotCreated', { filePath, ...summary });
+      return summary;
     } catch (error) {
-      this.logger.error('Error calculating consensus', {
+      this.lastError = error.message;
+      this.logger.error('Failed to create snapshot', {
         error: error.message,
-        triadId: triad.id,
-        validatorId: currentValidatorId,
+        filePath,
         stack: error.stack
       });
-      throw error;
+      throw new Error(`Failed to create snapshot: ${error.message}`);
     }
   }
 
   /**
-   * Get a triad by its ID
-   * @param {string} triadId - ID of the triad to retrieve
-   * @returns {Promise<Object>} Retrieved triad
+   * Replace the matrix with the contents of a snapshot. The file's format, version and
+   * checksum are checked before anything is changed; the stored records are then replaced,
+   * every index and connection is rebuilt from the restored triads and the triads, votes and
+   * evidence are verified exactly as when opening a database. If restoring fails after the
+   * checksum was accepted, the matrix stays uninitialized until a snapshot is restored.
+   * @param {string} filePath - Snapshot file written by `createSnapshot`
+   * @returns {Promise<Object>} Restored record counts and the number of records rejected during verification
    */
-  async getTriadById(triadId) {
+  async restoreSnapshot(filePath) {
     try {
-      this.validateInitialization();
-      
-      this.logger.debug('Fetching triad by ID', { triadId });
-
-      if (!triadId || typeof triadId !== 'string') {
-        throw new Error('Invalid triad ID provided');
-      }
-
-      const triad = await this.db.get(`triad:${triadId}`);
-      
-      if (!triad) {
-        this.logger.warn('Triad not found', { triadId });
-        throw new Error(`Triad with ID ${triadId} not found`);
-      }
-
-      this.logger.debug('Successfully retrieved triad', {
-        triadId,
-        validated: triad.validated,
-        consensus: triad.consensus,
-        validationAttempts: triad.validationAttempts
+      const { metadata, schemaVersion, checksum } = await this.verifySnapshot(filePath);
+
+      const summary = await this.runExclusive(async () => {
+        this.isInitialized = false;
+        // The event log outlives a restore, so sequence numbers keep increasing
+        await this.db.clear({ lt: 'event:' });
+        await this.db.clear({ gt: 'event:~' });
+
+        const counts = { triad: 0, vote: 0, evidence: 0, checkpoint: 0 };
+        let batch = [];
+        for await (const { type, value } of this.readSnapshotRecords(filePath)) {
+          const keys = {
+            vote: () => `vote:${value.triadId}:${value.validator}`,
+            checkpoint: () => this.getCheckpointKey(value.sequence)
+          };
+          batch.push({ type: 'put', key: keys[type] ? keys[type]() : `${SNAPSHOT_RECORD_PREFIXES[type]}${value.id}`, value });
+          counts[type]++;
+          if (batch.length >= REBUILD_BATCH_SIZE) {
+            await this.db.batch(batch);
+            batch = [];
+          }
+        }
+        // Without an index version the load below verifies the triads and rebuilds every index
+        const restoredState = { ...metadata };
+        delete restoredState.indexVersion;
+        batch.push({ type: 'put', key: 'matrix:state_metadata', value: restoredState });
+        await this.db.batch(batch);
+
+        // Records from a snapshot of an older schema are migrated like an older database
+        await this.migrations.setVersion(schemaVersion);
+        this.schemaVersion = (await this.migrations.run()).toVersion;
+        await this.loadMatrixState();
+        const voteDeletions = await this.getUnverifiedVoteDeletions();
+        const restored = {
+          triads: this.triadsCount,
+          votes: counts.vote - voteDeletions.length,
+          evidence: this.evidence.size,
+          checkpoints: counts.checkpoint,
+          rejectedCount: counts.triad - this.triadsCount + voteDeletions.length + counts.evidence - this.evidence.size,
+          checksum
+        };
+        const events = [['snapshotRestored', { filePath, ...restored }]];
+        await this.writeWithEvents(voteDeletions, events);
+        this.isInitialized = true;
+        this.emitEvents(events);
+        return restored;
       });
 
-      return triad;
+      this.logger.info('Matrix snapshot restored', { filePath, ...summary });
+      return summary;
     } catch (error) {
-      if (error.notFound) {
-        this.logger.warn('Triad not found in database', { triadId });
-        throw new Error(`Triad with ID ${triadId} not found`);
-      }
       this.lastError = error.message;
-      this.logger.error('Error fetching triad', {
+      this.logger.error('Failed to restore snapshot', {
         error: error.message,
-        triadId,
+        filePath,
         stack: error.stack
       });
-      throw error;
+      throw new Error(`Failed to restore snapshot: ${error.message}`);
     }
   }
 
   /**
-   * Get the current state of the matrix
-   * @returns {Object} Matrix state
+   * Check a snapshot file's header and checksum without changing the matrix
+   * @private
+   * @param {string} filePath - Snapshot file
+   * @returns {Promise<{metadata: Object, schemaVersion: number, checksum: string}>} State metadata, schema
+   *   version and checksum of the snapshot
+   * @throws {Error} If the file is not a supported snapshot or does not match its checksum
    */
-  getMatrixState() {
-    return {
-      dimensions: this.dimensions,
-      complexity: this.complexity,
-      triadsCount: this.matrix.length,
-      triads: Array.from(this.triads.values()),
-      validators: Array.from(this.validators),
-      consensusThreshold: this.consensusThreshold,
-      isInitialized: this.isInitialized
-    };
-  }
+  async verifySnapshot(filePath) {
+    const hash = crypto.createHash('sha256');
+    let header = null;
+    let checksum = null;
+    for await (const line of readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity })) {
+      if (checksum) {
+        throw new Error('Snapshot has records after its checksum');
+      }
+      const record = JSON.parse(line);
+      if (!header) {
+        if (record.format !== SNAPSHOT_FORMAT) {
+          throw new Error('File is not a matrix snapshot');
+        }
+        if (record.version !== SNAPSHOT_VERSION) {
+          throw new Error(`Unsupported snapshot version ${record.version}`);
+        }
+        if (record.schemaVersion > this.migrations.latestVersion) {
+          throw new Error(`Snapshot schema version ${record.schemaVersion} is newer than the latest supported version ${this.migrations.latestVersion}`);
+        }
+        header = record;
+      } else if (record.type === 'checksum') {
+        checksum = record;
+        continue;
+      } else if (!SNAPSHOT_RECORD_PREFIXES[record.type] || !record.value) {
+        throw new Error(`Unknown snapshot record type ${record.type}`);
+      }
+      hash.update(`${line}\n`);
+    }
 
-  /**
-   * Add a validator to the matrix
-   * @param {string} validatorId - ID of the validator to add
-   * @returns {boolean} True if validator was added
-   */
-  addValidator(validatorId) {
-    this.validateValidator(validatorId);
-    if (this.validators.has(validatorId)) return false;
-    
-    this.validators.add(validatorId);
-    this.saveMatrixState().catch(err => {
-      this.lastError = err.message;
-      this.logger.error('Failed to save state after adding validator', { 
-        error: err.message,
-        validatorId 
-      });
-    });
-    return true;
+    if (!header || !checksum) {
+      throw new Error('Snapshot is incomplete');
+    }
+    if (checksum.algorithm !== 'sha256' || checksum.value !== hash.digest('hex')) {
+      throw new Error('Snapshot checksum does not match its contents');
+    }
+    // Snapshots written before schema versions existed hold version 0 records
+    return { metadata: header.metadata, schemaVersion: header.schemaVersion || 0, checksum: checksum.value };
   }
 
   /**
-   * Generate a unique triad ID
+   * Read the triad, vote, evidence and checkpoint records of a verified snapshot
    * @private
-   * @returns {string} Generated ID
+   * @param {string} filePath - Snapshot file
+   * @returns {AsyncGenerator<Object>} Snapshot records
    */
-  generateTriadId() {
-    return crypto.randomBytes(16).toString('hex');
+  async *readSnapshotRecords(filePath) {
+    let isHeader = true;
+    for await (const line of readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity })) {
+      const record = isHeader ? null : JSON.parse(line);
+      if (record && record.type !== 'checksum') {
+        yield record;
+      }
+      isHeader = false;
+    }
   }
 
   /**
-   * Calculate optimal position for a new triad
+   * Find the stored votes with an invalid signature or for a triad that is not stored
    * @private
-   * @returns {Object} Position coordinates
+   * @returns {Promise<Array<Object>>} Batch operations deleting them
    */
-  calculateOptimalPosition() {
-    return {
-      x: Math.floor(Math.random() * this.dimensions),
-      y: Math.floor(Math.random() * this.dimensions),
-      z: Math.floor(Math.random() * this.dimensions)
-    };
+  async getUnverifiedVoteDeletions() {
+    const operations = [];
+    for await (const [key, vote] of this.db.iterator({ gte: 'vote:', lte: 'vote:~' })) {
+      try {
+        this.verifyVoteSignature(vote);
+        if (key !== `vote:${vote.triadId}:${vote.validator}` || !(await this.hasTriad(vote.triadId))) {
+          throw new Error('Vote does not belong to a stored triad');
+        }
+      } catch (verifyError) {
+        this.logger.warn('Rejecting stored vote that failed verification', {
+          key,
+          error: verifyError.message
+        });
+        operations.push({ type: 'del', key });
+      }
+    }
+    return operations;
   }
 
   /**
-   * Get connected triads for a given triad
+   * Write a batch through the store together with the logged events of the change it
+   * stores. Log subscribers get the events once the batch is written; the caller passes them
+   * to `emitEvents` after bringing its in-memory state in line with the batch.
    * @private
-   * @param {Object} triad - Triad to get connections for
-   * @returns {Array} Connected triads
+   * @param {Array<Object>} operations - Batch operations
+   * @param {Array<Array>} events - `[eventName, ...args]` entries; the first argument is logged
+   * @param {Object} [changes] - Cached state affected by the batch, as for `TriadStore.write`
+   * @returns {Promise<void>}
    */
-  getTriadConnections(triad) {
-    return this.matrix.filter(t => {
-      if (t.id === triad.id) return false;
-      const distance = this.calculateDistance(t.position, triad.position);
-      return distance <= this.complexity && distance > 0;
-    });
+  async writeWithEvents(operations, events, changes) {
+    await this.eventLog.write(
+      events.map(([type, payload]) => ({ type, payload })),
+      eventOperations => this.store.write([...operations, ...eventOperations], changes)
+    );
   }
 
   /**
-   * Calculate connection score between two triads
+   * Emit events written by `writeWithEvents` to the in-process listeners
    * @private
-   * @param {Object} triad1 - First triad
-   * @param {Object} triad2 - Second triad
-   * @returns {number} Connection score
+   * @param {Array<Array>} events - `[eventName, ...args]` entries
    */
-  calculateConnectionScore(triad1, triad2) {
-    const distance = this.calculateDistance(triad1.position, triad2.position);
-    if (distance > this.complexity) return 0;
-    return Math.max(0, 1 - (distance / this.complexity));
+  emitEvents(events) {
+    events.forEach(([eventName, ...args]) => this.emit(eventName, ...args));
   }
 
   /**
-   * Calculate distance between two positions
-   * @private
-   * @param {Object} pos1 - First position
-   * @param {Object} pos2 - Second position
-   * @returns {number} Calculated distance
+   * Subscribe to the event log: the logged events from `fromSeq` on are replayed, then new
+   * ones are passed on as they are stored, each exactly once and in order. A consumer that
+   * remembers the last `seq` it handled resumes after a restart with `fromSeq: seq + 1`.
+   * @param {Object} [options] - Subscription options
+   * @param {number} [options.fromSeq] - First sequence number to deliver; defaults to the next new event
+   * @param {Function} listener - Called with each `{seq, type, at, payload}` event
+   * @returns {Promise<Function>} Resolves once the replay is done, with a function that ends the subscription
    */
-  calculateDistance(pos1, pos2) {
-    return Math.sqrt(
-      Math.pow(pos1.x - pos2.x, 2) +
-      Math.pow(pos1.y - pos2.y, 2) +
-      Math.pow(pos1.z - pos2.z, 2)
-    );
+  async subscribe(options, listener) {
+    this.validateInitialization();
+    return this.eventLog.subscribe(options, listener);
   }
 
   /**
-   * Load matrix state from database
-   * @private
-   * @returns {Promise<void>}
+   * Read logged events in sequence order
+   * @param {Object} [options] - Read options
+   * @param {number} [options.fromSeq=1] - First sequence number to return
+   * @param {number} [options.limit=100] - Maximum number of events
+   * @returns {Promise<Array<Object>>} `{seq, type, at, payload}` events
    */
-  async loadMatrixState() {
-    try {
-      this.logger.debug('Loading matrix state from database...');
-      
-      const state = await this.db.get('matrix:state_metadata');
-      this.dimensions = state.dimensions || this.dimensions;
-      this.complexity = state.complexity || this.complexity;
-      this.consensusThreshold = state.consensusThreshold || this.consensusThreshold;
-      this.validators = new Set(state.validators || []);
-      
-      this.matrix = [];
-      this.triads.clear();
-      
-      let triadCount = 0;
-      for await (const [key, value] of this.db.iterator({ gte: 'triad:', lte: 'triad:~' })) {
-        this.matrix.push(value);
-        this.triads.set(value.id, value);
-        triadCount++;
-      }
-
-      this.logger.info('Matrix state loaded successfully', {
-        dimensions: this.dimensions,
-        complexity: this.complexity,
-        validatorsCount: this.validators.size,
-        triadsCount: triadCount
-      });
-    } catch (error) {
-      if (error.notFound) {
-        this.logger.info('No existing state found, initializing new state');
-        await this.saveMatrixState();
-      } else {
-        this.lastError = error.message;
-        this.logger.error('Failed to load matrix state', {
-          error: error.message,
-          stack: error.stack
-        });
-        throw error;
-      }
-    }
+  async getEvents(options) {
+    this.validateInitialization();
+    return this.eventLog.read(options);
   }
 
   /**
-   * Save matrix state to database
-   * @private
+   * Close the matrix: stop the expiry timer, let queued writes finish, close the store and
+   * remove every event listener. Safe to call more than once.
    * @returns {Promise<void>}
    */
-  async saveMatrixState() {
-    try {
-      this.logger.debug('Saving matrix state...');
-
-      const stateMetadata = {
-        dimensions: this.dimensions,
-        complexity: this.complexity,
-        consensusThreshold: this.consensusThreshold,
-        validators: Array.from(this.validators),
-        lastUpdated: Date.now(),
-        triadsCount: this.matrix.length,
-        validatedTriadsCount: this.matrix.filter(t => t.validated).length
-      };
-
-      // Use batch operation for atomic update
-      const batch = [
-        { type: 'put', key: 'matrix:state_metadata', value: stateMetadata }
-      ];
-
-      await this.db.batch(batch);
-
-      this.logger.info('Matrix state saved successfully', {
-        dimensions: this.dimensions,
-        complexity: this.complexity,
-        validatorsCount: this.validators.size,
-        triadsCount: this.matrix.length,
-        validatedTriadsCount: stateMetadata.validatedTriadsCount,
-        timestamp: stateMetadata.lastUpdated
-      });
-    } catch (error) {
-      this.lastError = error.message;
-      this.logger.error('Failed to save matrix state', {
-        error: error.message,
-        stack: error.stack
-      });
-      throw new Error(`Failed to save matrix state: ${error.message}`);
+  close() {
+    if (!this.closePromise) {
+      this.closePromise = this.shutdown();
     }
+    return this.closePromise;
   }
 
   /**
-   * Close the database connection
+   * Run the shutdown started by `close`
+   * @private
    * @returns {Promise<void>}
    */
-  async closeDB() {
-    if (!this.db) {
-      return;
+  async shutdown() {
+    // An initialization still running would otherwise write to a closed store
+    if (this.initPromise) {
+      await this.initPromise.catch(() => {});
     }
+    this.rejectReady(new Error('TriadMatrix was closed before it was initialized'));
+    clearInterval(this.expiryTimer);
+    clearInterval(this.pruneTimer);
+    this.expiryTimer = null;
+    this.pruneTimer = null;
+    this.isInitialized = false;
+    // A group commit can queue the rest of its writes behind itself, so wait until the queue stops growing
+    let queued;
+    do {
+      queued = this.writeQueue;
+      await queued;
+    } while (queued !== this.writeQueue);
+
     try {
+      if (this.eventLog.isOpen) {
+        await this.eventLog.close();
+      }
       await this.db.close();
       this.logger.info('Database connection closed successfully');
     } catch (error) {
       this.lastError = error.message;
       this.logger.error('Error closing database', { error: error.message });
       throw error;
+    } finally {
+      this.removeAllListeners();
     }
   }
 
+  /**
+   * Close the matrix
+   * @deprecated Use `close`
+   * @returns {Promise<void>}
+   */
+  closeDB() {
+    return this.close();
+  }
+
   /**
    * Validate matrix initialization
    * @private
@@ -560,9 +3235,37 @@ class TriadMatrix extends EventEmitter {
   }
 
   /**
-   * Validate triad data
-   * @private
+   * Register the schema that triad data of a type must match. Data objects name their type
+   * in a `type` field; the schema validates the rest of the object. Data without a registered
+   * type is only checked for its shape and size.
+   * @param {string} type - Value of the data `type` field
+   * @param {Joi.Schema} schema - Joi schema for the data without its `type` field
+   * @throws {Error} If the type is empty or the schema is not a Joi schema
+   */
+  registerSchema(type, schema) {
+    if (typeof type !== 'string' || type.length === 0) {
+      throw new Error('Schema type must be a non-empty string');
+    }
+    if (!Joi.isSchema(schema)) {
+      throw new Error(`Schema for type "${type}" must be a Joi schema`);
+    }
+    this.schemas.set(type, schema);
+    this.logger.info('Triad payload schema registered', { type });
+  }
+
+  /**
+   * Get the data types that have a registered schema
+   * @returns {Array<string>} Registered types
+   */
+  getSchemaTypes() {
+    return Array.from(this.schemas.keys());
+  }
+
+  /**
+   * Validate triad data: its shape, its size and, for a registered `type`, its schema.
+   * Runs for triads created locally, submitted through the API and received from peers.
    * @param {*} data - Data to validate
+   * @throws {Error} If the data is rejected
    */
   validateTriadData(data) {
     try {
@@ -578,6 +3281,21 @@ class TriadMatrix extends EventEmitter {
         throw new Error('Triad data object cannot be empty');
       }
 
+      const size = Buffer.byteLength(JSON.stringify(data));
+      if (size > this.maxPayloadSize) {
+        throw new Error(`Triad data is ${size} bytes, more than the maximum of ${this.maxPayloadSize}`);
+      }
+
+      const schema = typeof data === 'object' ? this.schemas.get(data.type) : undefined;
+      if (schema) {
+        // The data is signed as sent, so values are checked without Joi's type conversion
+        const { type, ...fields } = data;
+        const { error } = schema.validate(fields, { convert: false });
+        if (error) {
+          throw new Error(`Triad data does not match the "${type}" schema: ${error.message}`);
+        }
+      }
+
       this.logger.debug('Triad data validation successful', {
         dataType: typeof data,
         isString: typeof data === 'string',
@@ -586,7 +3304,7 @@ class TriadMatrix extends EventEmitter {
     } catch (error) {
       this.logger.error('Triad data validation failed', {
         error: error.message,
-        providedData: typeof data === 'object' ? JSON.stringify(data) : data,
+        dataType: typeof data,
         stack: error.stack
       });
       throw error;
@@ -624,40 +3342,104 @@ class TriadMatrix extends EventEmitter {
   }
 
   /**
-   * Validate matrix dimensions
+   * Validate the wallet used to sign a new triad
+   * @private
+   * @param {Wallet} wallet - Wallet to validate
+   */
+  validateSigner(wallet) {
+    if (!wallet || typeof wallet.signData !== 'function' || typeof wallet.getPublicKey !== 'function') {
+      throw new Error('A wallet is required to sign new triads');
+    }
+
+    if (typeof wallet.isInitialized === 'function' && !wallet.isInitialized()) {
+      throw new Error('Wallet not initialized or no private key loaded.');
+    }
+
+    this.validateValidator(wallet.getAddress());
+  }
+
+  /**
+   * Validate the number of matrix axes
+   * @private
+   * @param {number} axes - Axis count to validate
+   * @returns {number} Validated axis count
+   */
+  validateAxes(axes) {
+    if (!Number.isInteger(axes) || axes <= 0) {
+      if (axes !== undefined) {
+        this.logger.warn('Invalid axes value provided', {
+          providedValue: axes,
+          usingDefault: true,
+          defaultValue: DEFAULT_AXES
+        });
+      }
+      return DEFAULT_AXES;
+    }
+
+    this.logger.debug('Axes validation successful', { axes });
+    return axes;
+  }
+
+  /**
+   * Validate matrix side length
    * @private
-   * @param {number} dimensions - Dimensions to validate
-   * @returns {number} Validated dimensions
+   * @param {number} sideLength - Side length to validate
+   * @returns {number} Validated side length
    */
-  validateDimensions(dimensions) {
+  validateSideLength(sideLength) {
     try {
-      if (typeof dimensions !== 'number') {
-        this.logger.warn('Invalid dimensions type provided', {
-          providedType: typeof dimensions,
+      if (typeof sideLength !== 'number') {
+        this.logger.warn('Invalid side length type provided', {
+          providedType: typeof sideLength,
           usingDefault: true,
-          defaultValue: DEFAULT_DIMENSIONS
+          defaultValue: DEFAULT_SIDE_LENGTH
         });
-        return DEFAULT_DIMENSIONS;
+        return DEFAULT_SIDE_LENGTH;
       }
 
-      if (dimensions <= 0) {
-        this.logger.warn('Invalid dimensions value provided', {
-          providedValue: dimensions,
+      if (sideLength <= 0) {
+        this.logger.warn('Invalid side length value provided', {
+          providedValue: sideLength,
           usingDefault: true,
-          defaultValue: DEFAULT_DIMENSIONS
+          defaultValue: DEFAULT_SIDE_LENGTH
         });
-        return DEFAULT_DIMENSIONS;
+        return DEFAULT_SIDE_LENGTH;
       }
 
-      this.logger.debug('Dimensions validation successful', { dimensions });
-      return dimensions;
+      this.logger.debug('Side length validation successful', { sideLength });
+      return sideLength;
     } catch (error) {
-      this.logger.error('Dimensions validation error', {
+      this.logger.error('Side length validation error', {
         error: error.message,
         stack: error.stack
       });
-      return DEFAULT_DIMENSIONS;
+      return DEFAULT_SIDE_LENGTH;
+    }
+  }
+
+  /**
+   * Validate the distance metric name
+   * @private
+   * @param {string} metric - Metric name to validate
+   * @returns {string} Validated metric name
+   */
+  validateDistanceMetric(metric) {
+    if (metric === undefined) {
+      return DEFAULT_DISTANCE_METRIC;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(DISTANCE_METRICS, metric)) {
+      this.logger.warn('Invalid distance metric provided', {
+        providedValue: metric,
+        supported: Object.keys(DISTANCE_METRICS),
+        usingDefault: true,
+        defaultValue: DEFAULT_DISTANCE_METRIC
+      });
+      return DEFAULT_DISTANCE_METRIC;
     }
+
+    this.logger.debug('Distance metric validation successful', { metric });
+    return metric;
   }
 
   /**
@@ -697,6 +3479,90 @@ class TriadMatrix extends EventEmitter {
     }
   }
 
+  /**
+   * Validate the node mode
+   * @private
+   * @param {string} mode - Mode to validate
+   * @returns {string} Validated mode
+   */
+  validateNodeMode(mode) {
+    if (mode === undefined) {
+      return NODE_MODES.ARCHIVE;
+    }
+    if (!Object.values(NODE_MODES).includes(mode)) {
+      this.logger.warn('Invalid node mode provided', {
+        providedValue: mode,
+        usingDefault: true,
+        defaultValue: NODE_MODES.ARCHIVE
+      });
+      return NODE_MODES.ARCHIVE;
+    }
+    return mode;
+  }
+
+  /**
+   * Validate a retention policy
+   * @private
+   * @param {Object} [retention] - Retention policy to validate
+   * @returns {{days: number, keepUncheckpointed: boolean}} Validated policy
+   */
+  validateRetention(retention = {}) {
+    let days = retention.days;
+    if (days === undefined) {
+      days = DEFAULT_RETENTION_DAYS;
+    } else if (!Number.isFinite(days) || days < 0) {
+      this.logger.warn('Invalid retention period provided', {
+        providedValue: days,
+        usingDefault: true,
+        defaultValue: DEFAULT_RETENTION_DAYS
+      });
+      days = DEFAULT_RETENTION_DAYS;
+    }
+    return { days, keepUncheckpointed: retention.keepUncheckpointed !== false };
+  }
+
+  /**
+   * Validate the expiry window
+   * @private
+   * @param {number} expiryWindow - Window in ms to validate
+   * @returns {number} Validated window
+   */
+  validateExpiryWindow(expiryWindow) {
+    if (expiryWindow === undefined) {
+      return DEFAULT_EXPIRY_WINDOW;
+    }
+    if (!Number.isInteger(expiryWindow) || expiryWindow <= 0) {
+      this.logger.warn('Invalid expiry window provided', {
+        providedValue: expiryWindow,
+        usingDefault: true,
+        defaultValue: DEFAULT_EXPIRY_WINDOW
+      });
+      return DEFAULT_EXPIRY_WINDOW;
+    }
+    return expiryWindow;
+  }
+
+  /**
+   * Validate the maximum triad payload size
+   * @private
+   * @param {number} maxPayloadSize - Size in bytes to validate
+   * @returns {number} Validated size
+   */
+  validateMaxPayloadSize(maxPayloadSize) {
+    if (maxPayloadSize === undefined) {
+      return DEFAULT_MAX_PAYLOAD_SIZE;
+    }
+    if (!Number.isInteger(maxPayloadSize) || maxPayloadSize <= 0) {
+      this.logger.warn('Invalid maximum payload size provided', {
+        providedValue: maxPayloadSize,
+        usingDefault: true,
+        defaultValue: DEFAULT_MAX_PAYLOAD_SIZE
+      });
+      return DEFAULT_MAX_PAYLOAD_SIZE;
+    }
+    return maxPayloadSize;
+  }
+
   /**
    * Validate consensus threshold
    * @private
@@ -743,4 +3609,8 @@ class TriadMatrix extends EventEmitter {
   }
 }
 
+TriadMatrix.TRIAD_STATES = TRIAD_STATES;
+TriadMatrix.NODE_MODES = NODE_MODES;
+TriadMatrix.IMPORT_ERRORS = IMPORT_ERRORS;
+
 module.exports = TriadMatrix;
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Triad storage for the TriadMatrix
+ * LevelDB is the single source of truth for triad records. Reads go through a bounded LRU
+ * cache that is written through only after a batch has been committed, and callers always
+ * receive copies, so neither a failed write nor a caller mutating a triad can leave the
+ * cache holding state that is not on disk.
+ * Writes can also be staged and committed later as one batch. Reads through the store see
+ * staged records, so several triads can be placed one after another before any of them is
+ * written.
+ */
+
+const LRUCache = require('./LRUCache');
+
+class TriadStore {
+  /**
+   * Create a new triad store
+   * @param {StorageAdapter} db - Database holding the `triad:` and `connection:` records
+   * @param {Object} [options] - Store options
+   * @param {number} [options.cacheSize] - Maximum number of triads kept in memory
+   * @param {Function} [options.verify] - Called with each record read from disk and the ID it was
+   *   read under; throws if the record must not be served
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.cache = new LRUCache({ capacity: options.cacheSize });
+    this.verify = options.verify || (() => {});
+    // Staged operations by key, and the cache changes to apply once they are committed
+    this.pending = new Map();
+    this.pendingTriads = [];
+    this.pendingConnections = [];
+  }
+
+  /**
+   * Number of triads currently cached
+   * @returns {number} Cached triad count
+   */
+  get cacheSize() {
+    return this.cache.size;
+  }
+
+  /**
+   * Number of staged operations not yet committed
+   * @returns {number} Staged operation count
+   */
+  get pendingCount() {
+    return this.pending.size;
+  }
+
+  /**
+   * Read a triad with its current connections
+   * @param {string} triadId - Triad ID
+   * @returns {Promise<Object|null>} Copy of the triad, or null if it is not stored
+   * @throws {Error} If the stored record fails verification
+   */
+  async get(triadId) {
+    let triad = this.cache.get(triadId);
+    if (!triad) {
+      triad = await this.getRecord(`triad:${triadId}`);
+      if (!triad) {
+        return null;
+      }
+      this.verify(triad, triadId);
+      // Links to later neighbours are stored as connection records, not in the triad record
+      triad.connections = await this.getConnections(triadId);
+      // A staged triad is cached by its commit, once it is known to be on disk
+      if (!this.pending.has(`triad:${triadId}`)) {
+        this.cache.set(triadId, triad);
+      }
+    }
+    return this.copy(triad);
+  }
+
+  /**
+   * Check whether a triad is stored
+   * @param {string} triadId - Triad ID
+   * @returns {Promise<boolean>} True if the triad exists
+   */
+  async has(triadId) {
+    return this.cache.has(triadId) || (await this.getRecord(`triad:${triadId}`)) !== undefined;
+  }
+
+  /**
+   * Read the IDs of the triads connected to a triad
+   * @param {string} triadId - Triad ID
+   * @returns {Promise<Array<string>>} Connected triad IDs, sorted
+   */
+  async getConnections(triadId) {
+    const prefix = `connection:${triadId}:`;
+    const connections = new Set();
+    for await (const key of this.db.keys({ gt: prefix, lt: `${prefix}~` })) {
+      connections.add(key.slice(prefix.length));
+    }
+    this.pending.forEach((operation, key) => {
+      if (key.startsWith(prefix)) {
+        connections[operation.type === 'put' ? 'add' : 'delete'](key.slice(prefix.length));
+      }
+    });
+    return Array.from(connections).sort();
+  }
+
+  /**
+   * Read any record from the database
+   * @param {string} key - Record key
+   * @returns {Promise<*>} Stored value, or undefined if the key does not exist
+   */
+  async getRecord(key) {
+    if (this.pending.has(key)) {
+      return this.getPendingValue(key);
+    }
+    try {
+      return await this.db.get(key);
+    } catch (error) {
+      if (error.notFound) {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read several records from the database
+   * @param {Array<string>} keys - Record keys
+   * @returns {Promise<Array<*>>} Stored values, undefined for missing keys
+   */
+  async getMany(keys) {
+    const stored = keys.filter(key => !this.pending.has(key));
+    const values = stored.length > 0 ? await this.db.getMany(stored) : [];
+    const byKey = new Map(stored.map((key, i) => [key, values[i]]));
+    return keys.map(key => (this.pending.has(key) ? this.getPendingValue(key) : byKey.get(key)));
+  }
+
+  /**
+   * Stage a batch to be written by the next commit. A later operation on the same key
+   * replaces an earlier one.
+   * @param {Array<Object>} operations - Batch operations, including the puts of `triads`
+   * @param {Object} [changes] - Cached state affected by the batch, as for `write`
+   */
+  stage(operations, { triads = [], connections = [] } = {}) {
+    operations.forEach(operation => this.pending.set(operation.key, operation));
+    this.pendingTriads.push(...triads.map(triad => this.copy(triad)));
+    this.pendingConnections.push(...connections);
+  }
+
+  /**
+   * Write every staged operation in one batch, then bring the cache in line with it.
+   * Staged operations are dropped if the batch fails.
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    const operations = Array.from(this.pending.values());
+    const triads = this.pendingTriads;
+    const connections = this.pendingConnections;
+    this.pending = new Map();
+    this.pendingTriads = [];
+    this.pendingConnections = [];
+    if (operations.length === 0) {
+      return;
+    }
+
+    await this.db.batch(operations);
+
+    triads.forEach(triad => this.cache.set(triad.id, triad));
+    connections.forEach(link => {
+      [link, [link[1], link[0]]].forEach(([from, to]) => {
+        const cached = this.cache.has(from) ? this.cache.get(from) : null;
+        if (cached && !cached.connections.includes(to)) {
+          cached.connections.push(to);
+        }
+      });
+    });
+  }
+
+  /**
+   * Commit a batch together with anything staged before it, then bring the cache in line
+   * with what it wrote
+   * @param {Array<Object>} operations - Batch operations, including the puts of `triads`
+   * @param {Object} [changes] - Cached state affected by the batch
+   * @param {Array<Object>} [changes.triads] - Triads written by the batch, with their current connections
+   * @param {Array<Array<string>>} [changes.connections] - `[triadId, neighborId]` links added by the batch
+   * @returns {Promise<void>}
+   */
+  async write(operations, changes) {
+    this.stage(operations, changes);
+    await this.commit();
+  }
+
+  /**
+   * Drop every cached triad, e.g. after connections were rebuilt in the database
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  /**
+   * Read a staged record
+   * @private
+   * @param {string} key - Staged key
+   * @returns {*} Copy of the staged value, or undefined if the key is staged for deletion
+   */
+  getPendingValue(key) {
+    const operation = this.pending.get(key);
+    return operation.type === 'put' ? this.copy(operation.value) : undefined;
+  }
+
+  /**
+   * Copy a triad so callers never hold a reference into the cache
+   * @private
+   * @param {Object} triad - Triad to copy
+   * @returns {Object} Deep copy with the same JSON representation as the stored record
+   */
+  copy(triad) {
+    return JSON.parse(JSON.stringify(triad));
+  }
+}
+
+module.exports = TriadStore;
@@ -172,7 +172,7 @@ class Wallet {
    * @returns {string|null} Hex-encoded private key or null if wallet not initialized
    */
   getPrivateKey() {
-    return this.keyPair ? this.keyPair.getPrivate('hex') : null;
+    return this.keyPair ? this.keyPair.getPrivate('hex').padStart(PRIVATE_KEY_LENGTH, '0') : null;
   }
 
   /**
@@ -208,17 +208,7 @@ class Wallet {
         publicKeyLength: publicKeyHex.length
       });
 
-      // Double hash: SHA256 -> RIPEMD160 (similar to Bitcoin's address generation)
-      const hash1 = crypto.createHash('sha256').update(Buffer.from(publicKeyHex, 'hex')).digest();
-      const hash2 = crypto.createHash('ripemd160').update(hash1).digest('hex');
-      
-      this.logger.debug('Generated intermediate hashes', {
-        sha256Length: hash1.length,
-        ripemd160Length: hash2.length
-      });
-
-      // Create address with prefix and fixed length
-      const address = `${ADDRESS_PREFIX}${hash2.substring(0, ADDRESS_HASH_LENGTH)}`;
+      const address = Wallet.addressFromPublicKey(publicKeyHex);
       
       // Validate generated address
       if (!this._validateAddress(address)) {
@@ -248,6 +238,21 @@ class Wallet {
     }
   }
 
+  /**
+   * Derive the wallet address for a public key using SHA256 and RIPEMD160
+   * @static
+   * @param {string} publicKeyHex - Hex-encoded public key
+   * @returns {string} Address with the `seir` prefix
+   */
+  static addressFromPublicKey(publicKeyHex) {
+    // Double hash: SHA256 -> RIPEMD160 (similar to Bitcoin's address generation)
+    const hash1 = crypto.createHash('sha256').update(Buffer.from(publicKeyHex, 'hex')).digest();
+    const hash2 = crypto.createHash('ripemd160').update(hash1).digest('hex');
+
+    // Create address with prefix and fixed length
+    return `${ADDRESS_PREFIX}${hash2.substring(0, ADDRESS_HASH_LENGTH)}`;
+  }
+
   /**
    * Sign data with the wallet's private key
    * @param {string|Object} data - Data to sign
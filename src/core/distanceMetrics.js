@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Distance metrics for the TriadMatrix
+ * Each metric measures the distance between two coordinate vectors of equal length.
+ * Metrics that wrap around the matrix edges depend on the current side length, so the
+ * connection graph has to be rebuilt whenever the matrix grows.
+ */
+
+const DEFAULT_DISTANCE_METRIC = 'euclidean';
+
+/**
+ * Get the per-axis offset between two coordinates, wrapping around the matrix edges
+ * @param {number} a - First coordinate
+ * @param {number} b - Second coordinate
+ * @param {number} sideLength - Cells along the axis
+ * @returns {number} Shortest offset on the torus
+ */
+function wrappedOffset(a, b, sideLength) {
+  const offset = Math.abs(a - b) % sideLength;
+  return Math.min(offset, sideLength - offset);
+}
+
+const DISTANCE_METRICS = {
+  euclidean: {
+    wraps: false,
+    distance: (pos1, pos2) => Math.sqrt(pos1.reduce((sum, value, axis) => sum + Math.pow(value - pos2[axis], 2), 0))
+  },
+  manhattan: {
+    wraps: false,
+    distance: (pos1, pos2) => pos1.reduce((sum, value, axis) => sum + Math.abs(value - pos2[axis]), 0)
+  },
+  chebyshev: {
+    wraps: false,
+    distance: (pos1, pos2) => pos1.reduce((max, value, axis) => Math.max(max, Math.abs(value - pos2[axis])), 0)
+  },
+  // Euclidean distance on a torus: cells on opposite edges are adjacent
+  toroidal: {
+    wraps: true,
+    distance: (pos1, pos2, { sideLength }) => Math.sqrt(
+      pos1.reduce((sum, value, axis) => sum + Math.pow(wrappedOffset(value, pos2[axis], sideLength), 2), 0)
+    )
+  }
+};
+
+/**
+ * Look up a distance metric by name
+ * @param {string} name - Metric name
+ * @returns {{wraps: boolean, distance: Function}} Metric definition
+ * @throws {Error} If the metric is unknown
+ */
+function getDistanceMetric(name) {
+  if (!Object.prototype.hasOwnProperty.call(DISTANCE_METRICS, name)) {
+    throw new Error(`Unknown distance metric "${name}"; expected one of ${Object.keys(DISTANCE_METRICS).join(', ')}`);
+  }
+  return DISTANCE_METRICS[name];
+}
+
+module.exports = {
+  DEFAULT_DISTANCE_METRIC,
+  DISTANCE_METRICS,
+  getDistanceMetric
+};
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Schema migrations of the TriadMatrix and Tokenomics databases
+ * Migrations rewrite stored records into the shape the current code reads. Records derived
+ * from triads (indexes, placement, connections) are not migrated; the matrix rebuilds them
+ * when its `indexVersion` changes. Append new migrations at the end of a list: a migration's
+ * version is its position, and released migrations must never change.
+ */
+
+const MIGRATION_BATCH_SIZE = 1000;
+const LEGACY_AXIS_NAMES = ['x', 'y', 'z'];
+
+/**
+ * Rewrite every record under a prefix that a transform changes
+ * @param {StorageAdapter} db - Database to migrate
+ * @param {string} prefix - Key prefix of the records
+ * @param {Function} transform - Returns the rewritten record, or null to keep the record as it is
+ * @returns {Promise<number>} Number of records rewritten
+ */
+async function rewriteRecords(db, prefix, transform) {
+  let batch = [];
+  let rewritten = 0;
+  for await (const [key, value] of db.iterator({ gte: prefix, lte: `${prefix}~` })) {
+    const updated = transform(value);
+    if (updated) {
+      batch.push({ type: 'put', key, value: updated });
+      rewritten++;
+    }
+    if (batch.length >= MIGRATION_BATCH_SIZE) {
+      await db.batch(batch);
+      batch = [];
+    }
+  }
+  await db.batch(batch);
+  return rewritten;
+}
+
+const MATRIX_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Store version 1 {x, y, z} triad positions as coordinate vectors',
+    // The signature still covers the `{x, y, z}` object, which is rebuilt from the vector when verifying
+    up: db => rewriteRecords(db, 'triad:', triad => (
+      triad.position && !Array.isArray(triad.position) ?
+        { ...triad, position: LEGACY_AXIS_NAMES.map(axis => triad.position[axis]) } :
+        null
+    ))
+  },
+  {
+    version: 2,
+    description: 'Give triads a lifecycle state derived from their validation progress',
+    up: db => rewriteRecords(db, 'triad:', triad => {
+      if (triad.state) {
+        return null;
+      }
+      let state = 'pending';
+      if (triad.validated) {
+        state = 'accepted';
+      } else if (triad.validationAttempts > 0) {
+        state = 'voting';
+      }
+      return { ...triad, state, transitions: [{ from: null, to: state, at: Date.now(), cause: 'migrated' }] };
+    })
+  }
+];
+
+// Stake records have carried their unbonding queue since unbonding was added; nothing to migrate yet
+const TOKENOMICS_MIGRATIONS = [];
+
+module.exports = {
+  MATRIX_MIGRATIONS,
+  TOKENOMICS_MIGRATIONS
+};
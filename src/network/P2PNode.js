@@ -18,6 +18,8 @@ const MESSAGE_TYPES = {
   NEW_TRIAD: 'NEW_TRIAD',
   VALIDATE_TRIAD: 'VALIDATE_TRIAD',
   TRIAD_VALIDATED: 'TRIAD_VALIDATED_CONFIRMATION',
+  EQUIVOCATION_EVIDENCE: 'EQUIVOCATION_EVIDENCE',
+  CHECKPOINT: 'CHECKPOINT',
   GET_STATUS: 'GET_STATUS',
   STATUS_UPDATE: 'STATUS_UPDATE',
   ERROR: 'ERROR',
@@ -30,6 +32,8 @@ const DEFAULT_MAX_PEERS = 10;
 const DEFAULT_NETWORK_ID = 'seirchain-default';
 const PEER_DISCOVERY_INTERVAL = 60000; // 60 seconds
 const HANDSHAKE_TIMEOUT = 5000; // 5 seconds
+// Mode of nodes keeping every triad payload; nodes whose matrix reports no mode are archive nodes
+const ARCHIVE_NODE_MODE = 'archive';
 
 class P2PNode extends EventEmitter {
   /**
@@ -149,6 +153,18 @@ class P2PNode extends EventEmitter {
       this.triadMatrix.on('triadValidated', (triad) => {
         this.broadcast({ type: MESSAGE_TYPES.TRIAD_VALIDATED, payload: triad });
       });
+
+      this.triadMatrix.on('voteCast', (vote) => {
+        this.broadcast({ type: MESSAGE_TYPES.VALIDATE_TRIAD, payload: vote });
+      });
+
+      this.triadMatrix.on('equivocationDetected', (evidence) => {
+        this.broadcast({ type: MESSAGE_TYPES.EQUIVOCATION_EVIDENCE, payload: evidence });
+      });
+
+      this.triadMatrix.on('checkpointSigned', (checkpoint) => {
+        this.broadcast({ type: MESSAGE_TYPES.CHECKPOINT, payload: checkpoint });
+      });
     }
   }
 
@@ -350,6 +366,67 @@ class P2PNode extends EventEmitter {
     }
   }
 
+  /**
+   * Get the mode this node advertises to its peers
+   * @returns {string} `archive` if the node keeps every triad payload, `pruned` if it prunes old ones
+   */
+  getNodeMode() {
+    return this.triadMatrix && typeof this.triadMatrix.mode === 'string' ?
+      this.triadMatrix.mode :
+      ARCHIVE_NODE_MODE;
+  }
+
+  /**
+   * Introduce this node to a peer
+   * @private
+   * @param {WebSocket} ws - WebSocket connection
+   */
+  sendHandshake(ws) {
+    this.sendMessage(ws, {
+      type: MESSAGE_TYPES.HANDSHAKE,
+      payload: {
+        nodeId: this.nodeId,
+        networkId: this.networkId,
+        mode: this.getNodeMode(),
+        address: this.getPublicAddress()
+      }
+    });
+  }
+
+  /**
+   * Record what a peer advertised in its handshake. Peers on another network are dropped.
+   * @private
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} message - HANDSHAKE message
+   * @param {Object} peer - Peer record
+   */
+  handleHandshake(ws, message, peer) {
+    const payload = message.payload || {};
+    if (payload.networkId && payload.networkId !== this.networkId) {
+      this.sendMessage(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        payload: { message: `Network ${payload.networkId} does not match ${this.networkId}` }
+      });
+      this.removePeer(peer.id);
+      return;
+    }
+
+    peer.nodeId = payload.nodeId || null;
+    // Peers from before modes were advertised may or may not keep full history
+    peer.mode = typeof payload.mode === 'string' ? payload.mode : null;
+    peer.address = payload.address || peer.url;
+    this.emit('peerHandshake', { peerId: peer.id, nodeId: peer.nodeId, mode: peer.mode });
+  }
+
+  /**
+   * Get the peers that advertised themselves as archive nodes, e.g. to fetch history a
+   * pruned node no longer holds
+   * @returns {Array<Object>} Peer records
+   */
+  getArchivePeers() {
+    return Array.from(this.peers.values()).filter(peer => peer.mode === ARCHIVE_NODE_MODE);
+  }
+
   /**
    * Handle incoming message
    * @private
@@ -390,7 +467,7 @@ class P2PNode extends EventEmitter {
 
         case MESSAGE_TYPES.NEW_TRIAD:
           try {
-            this.handleNewTriad(message, peerId);
+            await this.handleNewTriad(message, peerId);
           } catch (error) {
             ErrorHandler.handleError(error, 'New triad handling');
             console.error(`[P2P] Failed to handle new triad: ${error.message}`);
@@ -399,7 +476,7 @@ class P2PNode extends EventEmitter {
 
         case MESSAGE_TYPES.VALIDATE_TRIAD:
           try {
-            this.handleTriadValidation(message);
+            await this.handleTriadValidation(message, peerId);
           } catch (error) {
             ErrorHandler.handleError(error, 'Triad validation handling');
             console.error(`[P2P] Failed to handle triad validation: ${error.message}`);
@@ -415,6 +492,24 @@ class P2PNode extends EventEmitter {
           }
           break;
 
+        case MESSAGE_TYPES.EQUIVOCATION_EVIDENCE:
+          try {
+            await this.handleEquivocationEvidence(message, peerId);
+          } catch (error) {
+            ErrorHandler.handleError(error, 'Equivocation evidence handling');
+            console.error(`[P2P] Failed to handle equivocation evidence: ${error.message}`);
+          }
+          break;
+
+        case MESSAGE_TYPES.CHECKPOINT:
+          try {
+            await this.handleCheckpoint(message, peerId);
+          } catch (error) {
+            ErrorHandler.handleError(error, 'Checkpoint handling');
+            console.error(`[P2P] Failed to handle checkpoint: ${error.message}`);
+          }
+          break;
+
         case MESSAGE_TYPES.GET_STATUS:
           try {
             this.handleStatusRequest(ws);
@@ -475,6 +570,115 @@ class P2PNode extends EventEmitter {
     }
   }
 
+  /**
+   * Handle a triad announced by a peer
+   * Triads whose signature or public key binding does not verify are rejected
+   * @private
+   * @param {Object} message - NEW_TRIAD message
+   * @param {string} peerId - ID of the peer that sent the triad
+   * @returns {Promise<void>}
+   */
+  async handleNewTriad(message, peerId) {
+    if (!this.triadMatrix || typeof this.triadMatrix.importTriad !== 'function') {
+      return;
+    }
+
+    const triad = message.payload;
+    if (!triad || typeof triad !== 'object') {
+      throw new Error(`Malformed NEW_TRIAD payload from peer ${peerId}`);
+    }
+
+    try {
+      const imported = await this.triadMatrix.importTriad(triad);
+      if (imported) {
+        console.log(`[P2P] 📥 Accepted triad ${imported.id} from peer ${peerId}`);
+      }
+    } catch (error) {
+      const peer = this.peers.get(peerId);
+      if (peer) {
+        this.sendMessage(peer.ws, {
+          type: MESSAGE_TYPES.ERROR,
+          payload: { message: `Rejected triad ${triad.id}: ${error.message}` }
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a signed validator vote relayed by a peer
+   * @private
+   * @param {Object} message - VALIDATE_TRIAD message carrying a vote
+   * @param {string} peerId - ID of the peer that sent the vote
+   * @returns {Promise<void>}
+   */
+  async handleTriadValidation(message, peerId) {
+    if (!this.triadMatrix || typeof this.triadMatrix.submitVote !== 'function') {
+      return;
+    }
+
+    const vote = message.payload;
+    if (!vote || typeof vote !== 'object') {
+      throw new Error(`Malformed VALIDATE_TRIAD payload from peer ${peerId}`);
+    }
+
+    // Identical votes are just relays; a conflicting vote must reach the matrix as evidence
+    const existingVote = await this.triadMatrix.getVote(vote.triadId, vote.validator);
+    if (existingVote && existingVote.approve === vote.approve) {
+      return;
+    }
+
+    await this.triadMatrix.submitVote(vote);
+  }
+
+  /**
+   * Handle equivocation evidence gossiped by a peer
+   * @private
+   * @param {Object} message - EQUIVOCATION_EVIDENCE message
+   * @param {string} peerId - ID of the peer that sent the evidence
+   * @returns {Promise<void>}
+   */
+  async handleEquivocationEvidence(message, peerId) {
+    if (!this.triadMatrix || typeof this.triadMatrix.submitEvidence !== 'function') {
+      return;
+    }
+
+    const evidence = message.payload;
+    if (!evidence || typeof evidence !== 'object') {
+      throw new Error(`Malformed EQUIVOCATION_EVIDENCE payload from peer ${peerId}`);
+    }
+
+    const stored = await this.triadMatrix.submitEvidence(evidence);
+    if (stored) {
+      console.warn(`[P2P] ⚔️  Validator ${stored.validator} slashed on evidence from peer ${peerId}`);
+    }
+  }
+
+  /**
+   * Handle checkpoint signatures gossiped by a peer. Signatures new to this node are
+   * gossiped on through the matrix's `checkpointSigned` event.
+   * @private
+   * @param {Object} message - CHECKPOINT message
+   * @param {string} peerId - ID of the peer that sent the checkpoint
+   * @returns {Promise<void>}
+   */
+  async handleCheckpoint(message, peerId) {
+    if (!this.triadMatrix || typeof this.triadMatrix.submitCheckpoint !== 'function') {
+      return;
+    }
+
+    const checkpoint = message.payload;
+    if (!checkpoint || typeof checkpoint !== 'object') {
+      throw new Error(`Malformed CHECKPOINT payload from peer ${peerId}`);
+    }
+
+    const merged = await this.triadMatrix.submitCheckpoint(checkpoint);
+    const latest = this.triadMatrix.getLatestCheckpoint();
+    if (merged && latest && latest.hash === merged.hash) {
+      console.log(`[P2P] 🏁 Checkpoint ${merged.sequence} finalized with signatures from peer ${peerId}`);
+    }
+  }
+
   /**
    * Send message to a peer
    * @private
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Canonical JSON encoding for SeirChain
+ * Produces a deterministic string for any JSON value so that hashes and signatures
+ * computed on different nodes agree regardless of object key order
+ */
+
+/**
+ * Encode a value as canonical JSON (object keys sorted recursively, no whitespace)
+ * @param {*} value - JSON-compatible value to encode
+ * @returns {string} Canonical JSON string
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${entries.join(',')}}`;
+}
+
+module.exports = {
+  canonicalize
+};
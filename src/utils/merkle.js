@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Merkle trees for SeirChain
+ * Trees are built RFC 6962 style: leaves and inner nodes are hashed with different prefixes,
+ * so a leaf can never be passed off as an inner node, and a level with an odd number of
+ * nodes promotes its last node instead of duplicating it. Roots can be computed from a
+ * stream of leaves while holding only one hash per level.
+ *
+ * Keyed records that change over time use a sparse Merkle tree instead: a binary trie over
+ * the 256 bits of a hex key, where a subtree holding a single leaf hashes to that leaf, so
+ * the root depends only on the set of records and not on the order they were written in.
+ */
+
+const crypto = require('crypto');
+
+const LEAF_PREFIX = '\x00';
+const NODE_PREFIX = '\x01';
+
+/**
+ * Hash a leaf value
+ * @param {string} value - Leaf value
+ * @returns {string} Hex SHA-256 of the prefixed value
+ */
+function hashLeaf(value) {
+  return crypto.createHash('sha256').update(LEAF_PREFIX + value).digest('hex');
+}
+
+/**
+ * Hash two child nodes into their parent
+ * @param {string} left - Hex hash of the left child
+ * @param {string} right - Hex hash of the right child
+ * @returns {string} Hex SHA-256 of the prefixed children
+ */
+function hashNode(left, right) {
+  return crypto.createHash('sha256').update(NODE_PREFIX + left + right).digest('hex');
+}
+
+// Root of a tree without leaves
+const EMPTY_ROOT = crypto.createHash('sha256').update('').digest('hex');
+
+class MerkleAccumulator {
+  /**
+   * Create an accumulator that computes the root of the leaves appended to it
+   */
+  constructor() {
+    this.size = 0;
+    // Roots of the complete subtrees of the leaves so far, largest first
+    this.peaks = [];
+  }
+
+  /**
+   * Append a leaf
+   * @param {string} value - Leaf value
+   */
+  append(value) {
+    let hash = hashLeaf(value);
+    // Every trailing one bit of the old size is a complete subtree the new leaf completes
+    for (let size = this.size; size % 2 === 1; size = Math.floor(size / 2)) {
+      hash = hashNode(this.peaks.pop(), hash);
+    }
+    this.peaks.push(hash);
+    this.size++;
+  }
+
+  /**
+   * Root of the leaves appended so far
+   * @returns {string} Hex Merkle root
+   */
+  get root() {
+    if (this.peaks.length === 0) {
+      return EMPTY_ROOT;
+    }
+    return this.peaks.reduceRight((right, left) => hashNode(left, right));
+  }
+}
+
+const SPARSE_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Hash a sparse Merkle tree record
+ * @param {string} key - 64-character hex key
+ * @param {string} value - Record value
+ * @returns {string} Hex leaf hash
+ */
+function hashSparseLeaf(key, value) {
+  return hashLeaf(key + value);
+}
+
+/**
+ * Read one bit of a hex key, most significant first
+ * @param {string} key - 64-character hex key
+ * @param {number} depth - Bit index
+ * @returns {number} 0 or 1
+ */
+function getKeyBit(key, depth) {
+  return (parseInt(key[depth >> 2], 16) >> (3 - (depth & 3))) & 1;
+}
+
+/**
+ * Validate a sparse Merkle tree key
+ * @param {string} key - Key to check
+ * @throws {Error} If the key is not 64 lowercase hex characters
+ */
+function validateSparseKey(key) {
+  if (typeof key !== 'string' || !SPARSE_KEY_PATTERN.test(key)) {
+    throw new Error('Sparse Merkle keys must be 64 lowercase hex characters');
+  }
+}
+
+class SparseMerkleTree {
+  /**
+   * Create an empty sparse Merkle tree. Only hashes are held: one leaf per record and one
+   * branch wherever two keys part ways.
+   */
+  constructor() {
+    this.rootNode = null;
+    this.size = 0;
+  }
+
+  /**
+   * Root of the records in the tree
+   * @returns {string} Hex Merkle root
+   */
+  get root() {
+    return this.rootNode ? this.rootNode.hash : EMPTY_ROOT;
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} key - 64-character hex key
+   * @param {string} value - Record value
+   */
+  set(key, value) {
+    validateSparseKey(key);
+    const leaf = { key, hash: hashSparseLeaf(key, value) };
+    this.rootNode = this.insertNode(this.rootNode, leaf, 0);
+  }
+
+  /**
+   * Remove a record
+   * @param {string} key - 64-character hex key
+   * @returns {boolean} True if the record was in the tree
+   */
+  delete(key) {
+    validateSparseKey(key);
+    const size = this.size;
+    this.rootNode = this.removeNode(this.rootNode, key, 0);
+    return this.size < size;
+  }
+
+  /**
+   * Check whether a key is in the tree
+   * @param {string} key - 64-character hex key
+   * @returns {boolean} True if the key has a record
+   */
+  has(key) {
+    return typeof key === 'string' && SPARSE_KEY_PATTERN.test(key) && this.getProof(key) !== null;
+  }
+
+  /**
+   * Remove every record
+   */
+  clear() {
+    this.rootNode = null;
+    this.size = 0;
+  }
+
+  /**
+   * Build the inclusion proof of a key
+   * @param {string} key - 64-character hex key
+   * @returns {{key: string, siblings: Array<string>}|null} Sibling hashes from the root down
+   *   to the key's leaf, or null if the key is not in the tree
+   */
+  getProof(key) {
+    validateSparseKey(key);
+    const siblings = [];
+    let node = this.rootNode;
+    while (node && !node.key) {
+      const bit = getKeyBit(key, siblings.length);
+      siblings.push(this.getHash(bit ? node.left : node.right));
+      node = bit ? node.right : node.left;
+    }
+    return node && node.key === key ? { key, siblings } : null;
+  }
+
+  /**
+   * @private
+   * @param {Object|null} node - Subtree
+   * @returns {string} Hash of the subtree
+   */
+  getHash(node) {
+    return node ? node.hash : EMPTY_ROOT;
+  }
+
+  /**
+   * @private
+   * @param {Object|null} left - Left subtree
+   * @param {Object|null} right - Right subtree
+   * @returns {Object} Branch over the two subtrees
+   */
+  createBranch(left, right) {
+    return { left, right, hash: hashNode(this.getHash(left), this.getHash(right)) };
+  }
+
+  /**
+   * @private
+   * @param {Object|null} node - Subtree at `depth`
+   * @param {Object} leaf - Leaf to insert
+   * @param {number} depth - Depth of the subtree
+   * @returns {Object} Subtree with the leaf
+   */
+  insertNode(node, leaf, depth) {
+    if (!node) {
+      this.size++;
+      return leaf;
+    }
+    if (node.key === leaf.key) {
+      return leaf;
+    }
+    if (node.key) {
+      // Two keys share this subtree: branch until their bits differ
+      const bit = getKeyBit(leaf.key, depth);
+      if (bit !== getKeyBit(node.key, depth)) {
+        this.size++;
+        return bit ? this.createBranch(node, leaf) : this.createBranch(leaf, node);
+      }
+      const child = this.insertNode(node, leaf, depth + 1);
+      return bit ? this.createBranch(null, child) : this.createBranch(child, null);
+    }
+    return getKeyBit(leaf.key, depth) ?
+      this.createBranch(node.left, this.insertNode(node.right, leaf, depth + 1)) :
+      this.createBranch(this.insertNode(node.left, leaf, depth + 1), node.right);
+  }
+
+  /**
+   * @private
+   * @param {Object|null} node - Subtree at `depth`
+   * @param {string} key - Key to remove
+   * @param {number} depth - Depth of the subtree
+   * @returns {Object|null} Subtree without the key
+   */
+  removeNode(node, key, depth) {
+    if (!node) {
+      return null;
+    }
+    if (node.key) {
+      if (node.key !== key) {
+        return node;
+      }
+      this.size--;
+      return null;
+    }
+    const left = getKeyBit(key, depth) ? node.left : this.removeNode(node.left, key, depth + 1);
+    const right = getKeyBit(key, depth) ? this.removeNode(node.right, key, depth + 1) : node.right;
+    // A subtree left with a single leaf collapses into that leaf
+    if (!left && (!right || right.key)) {
+      return right;
+    }
+    if (!right && left.key) {
+      return left;
+    }
+    return this.createBranch(left, right);
+  }
+}
+
+/**
+ * Verify a sparse Merkle inclusion proof without access to the tree
+ * @param {string} root - Expected hex root
+ * @param {string} key - 64-character hex key
+ * @param {string} value - Record value
+ * @param {{key: string, siblings: Array<string>}} proof - Proof from `SparseMerkleTree#getProof`
+ * @returns {boolean} True if the record is in the tree with that root
+ */
+function verifySparseProof(root, key, value, proof) {
+  if (!proof || proof.key !== key || !Array.isArray(proof.siblings) || proof.siblings.length > 256 ||
+      typeof key !== 'string' || !SPARSE_KEY_PATTERN.test(key)) {
+    return false;
+  }
+  let hash = hashSparseLeaf(key, value);
+  for (let depth = proof.siblings.length - 1; depth >= 0; depth--) {
+    const sibling = proof.siblings[depth];
+    if (typeof sibling !== 'string') {
+      return false;
+    }
+    hash = getKeyBit(key, depth) ? hashNode(sibling, hash) : hashNode(hash, sibling);
+  }
+  return hash === root;
+}
+
+/**
+ * Compute the Merkle root of a list of leaves
+ * @param {Iterable<string>} values - Leaf values, in tree order
+ * @returns {string} Hex Merkle root
+ */
+function computeMerkleRoot(values) {
+  const accumulator = new MerkleAccumulator();
+  for (const value of values) {
+    accumulator.append(value);
+  }
+  return accumulator.root;
+}
+
+module.exports = {
+  EMPTY_ROOT,
+  MerkleAccumulator,
+  SPARSE_KEY_PATTERN,
+  SparseMerkleTree,
+  computeMerkleRoot,
+  getKeyBit,
+  hashLeaf,
+  hashNode,
+  hashSparseLeaf,
+  validateSparseKey,
+  verifySparseProof
+};
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Inclusion proof verification for SeirChain
+ * A node serves a record together with a sparse Merkle proof against its state root. These
+ * functions check such a response against a root obtained elsewhere (several nodes, or a
+ * root the caller already trusts), so the serving node itself does not need to be trusted.
+ * They depend only on hashing, never on a running node.
+ */
+
+const crypto = require('crypto');
+const { canonicalize } = require('./canonicalJson');
+const { verifySparseProof } = require('./merkle');
+
+// Version 1 triads signed their position as an `{x, y, z}` object
+const LEGACY_AXIS_NAMES = ['x', 'y', 'z'];
+
+/**
+ * Get a triad position in the form its creator signed.
+ * Version 1 triads signed `{x, y, z}` objects, so their vectors are converted back.
+ * @param {Object} triad - Triad with a vector or legacy object position
+ * @returns {Array<number>|Object} Signed position
+ */
+function getSignedPosition(triad) {
+  if (triad.version !== undefined || !Array.isArray(triad.position)) {
+    return triad.position;
+  }
+  return Object.fromEntries(LEGACY_AXIS_NAMES.map((axis, i) => [axis, triad.position[i]]));
+}
+
+/**
+ * Build the canonical triad body that the triad ID commits to.
+ * The payload is included by digest so the ID stays checkable from the body alone, including
+ * for a pruned triad that only carries the `dataHash` of its payload.
+ * @param {Object} triad - Triad to encode
+ * @returns {Object} Triad body
+ */
+function getTriadBody(triad) {
+  const dataHash = triad.data === undefined && typeof triad.dataHash === 'string' ?
+    triad.dataHash :
+    crypto.createHash('sha256').update(canonicalize(triad.data)).digest('hex');
+  return {
+    version: triad.version,
+    dataHash,
+    timestamp: triad.timestamp,
+    position: getSignedPosition(triad),
+    slot: triad.slot,
+    parents: triad.parents,
+    validator: triad.validator,
+    publicKey: triad.publicKey
+  };
+}
+
+/**
+ * Compute the content-addressed ID of a triad
+ * @param {Object} triad - Triad to hash
+ * @returns {string} SHA-256 of the canonical triad body
+ */
+function computeTriadId(triad) {
+  return crypto.createHash('sha256').update(canonicalize(getTriadBody(triad))).digest('hex');
+}
+
+/**
+ * Get the balances tree key of an account
+ * @param {string} address - Account address
+ * @returns {string} SHA-256 of the address
+ */
+function getBalanceKey(address) {
+  return crypto.createHash('sha256').update(address).digest('hex');
+}
+
+/**
+ * Encode the balances tree record of an account
+ * @param {string} address - Account address
+ * @param {number} balance - Account balance
+ * @returns {string} Canonical `{address, balance}`
+ */
+function getBalanceLeaf(address, balance) {
+  return canonicalize({ address, balance });
+}
+
+/**
+ * Verify that a triad is in the matrix with a given triads root. The triad ID is recomputed
+ * from the record, so a node cannot pair a valid proof with altered contents.
+ * @param {{triad: Object, proof: Object}} response - Triad record and its proof, as returned by
+ *   `TriadMatrix#getTriadProof` or `GET /triads/:id/proof`
+ * @param {string} root - Trusted triads root
+ * @returns {boolean} True if the triad is covered by the root
+ */
+function verifyTriadProof(response, root) {
+  if (!response || !response.triad || typeof response.triad !== 'object') {
+    return false;
+  }
+  const triadId = computeTriadId(response.triad);
+  if (response.triad.id !== undefined && response.triad.id !== triadId) {
+    return false;
+  }
+  return verifySparseProof(root, triadId, triadId, response.proof);
+}
+
+/**
+ * Verify that an account has a balance under a given balances root
+ * @param {{address: string, balance: number, proof: Object}} response - Balance and its proof, as
+ *   returned by `Tokenomics#getBalanceProof` or `GET /balances/:address/proof`
+ * @param {string} root - Trusted balances root
+ * @returns {boolean} True if the balance is covered by the root
+ */
+function verifyBalanceProof(response, root) {
+  if (!response || typeof response.address !== 'string' || !Number.isFinite(response.balance)) {
+    return false;
+  }
+  return verifySparseProof(
+    root,
+    getBalanceKey(response.address),
+    getBalanceLeaf(response.address, response.balance),
+    response.proof
+  );
+}
+
+module.exports = {
+  computeTriadId,
+  getBalanceKey,
+  getBalanceLeaf,
+  getSignedPosition,
+  getTriadBody,
+  verifyBalanceProof,
+  verifyTriadProof
+};
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const APIServer = require('../../src/api/server');
+const TriadMatrix = require('../../src/core/TriadMatrix');
+const Wallet = require('../../src/core/Wallet');
+const MemoryStorage = require('../../src/core/MemoryStorage');
+const path = require('path');
+
+describe('APIServer', () => {
+  jest.setTimeout(30000);
+  let matrix;
+  let wallet;
+  let app;
+
+  /**
+   * Build a triad signed by the test wallet, as an API client would submit it
+   */
+  const buildSignedTriad = (overrides = {}) => {
+    const triad = {
+      version: 2,
+      data: { message: 'From a client' },
+      validator: wallet.getAddress(),
+      publicKey: wallet.getPublicKey(),
+      timestamp: Date.now(),
+      position: [1, 1, 1],
+      parents: [],
+      ...overrides
+    };
+    triad.signature = wallet.signData(matrix.getTriadSigningPayload(triad));
+    return triad;
+  };
+
+  beforeEach(async () => {
+    wallet = new Wallet();
+    wallet.generateKeyPair();
+    matrix = await TriadMatrix.open(path.join(__dirname, '../../data/test-api.db'), {
+      storage: new MemoryStorage(),
+      axes: 3,
+      sideLength: 3
+    });
+    app = new APIServer({ matrix }).app;
+  });
+
+  afterEach(async () => {
+    await matrix.close();
+  });
+
+  test('should store a signed triad and report a known one', async () => {
+    const triad = buildSignedTriad();
+
+    const created = await request(app).post('/triads').send(triad);
+    expect(created.status).toBe(201);
+    expect(created.body.id).toBe(matrix.generateTriadId(triad));
+
+    const repeated = await request(app).post('/triads').send(triad);
+    expect(repeated.status).toBe(409);
+  });
+
+  test('should answer 422 for a triad with unknown parents', async () => {
+    const unknownParent = '0'.repeat(64);
+
+    const response = await request(app).post('/triads').send(buildSignedTriad({ parents: [unknownParent] }));
+
+    expect(response.status).toBe(422);
+    expect(response.body.error).toBe('Unknown parent triads');
+    expect(response.body.message).toContain(unknownParent);
+    expect(matrix.getMatrixState().triadsCount).toBe(0);
+  });
+
+  test('should answer 400 for a triad whose ID does not match its content', async () => {
+    const response = await request(app).post('/triads').send({ ...buildSignedTriad(), id: 'f'.repeat(64) });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Triad ID does not match its content');
+    expect(matrix.getMatrixState().triadsCount).toBe(0);
+  });
+});
@@ -0,0 +1,85 @@
+const MemoryStorage = require('../../src/core/MemoryStorage');
+const EventLog = require('../../src/core/EventLog');
+
+describe('EventLog', () => {
+  let db;
+  let log;
+  // Store events the way the matrix does, in one batch with the change they record
+  const writeEvents = (...types) => log.write(
+    types.map((type, i) => ({ type, payload: { i } })),
+    operations => db.batch([{ type: 'put', key: `change:${types.join(',')}`, value: true }, ...operations])
+  );
+
+  beforeEach(async () => {
+    db = new MemoryStorage();
+    log = new EventLog(db);
+    await log.open();
+  });
+
+  afterEach(async () => {
+    await log.close();
+    await db.close();
+  });
+
+  test('should keep sequence numbers increasing across a reopen', async () => {
+    await writeEvents('a', 'b');
+    expect(log.lastSeq).toBe(2);
+    await log.close();
+
+    log = new EventLog(db);
+    await log.open();
+    await writeEvents('c');
+
+    const events = await log.read();
+    expect(events.map(event => [event.seq, event.type])).toEqual([[1, 'a'], [2, 'b'], [3, 'c']]);
+    expect(await log.read({ fromSeq: 2, limit: 1 })).toMatchObject([{ seq: 2, type: 'b' }]);
+  });
+
+  test('should replay stored events and then follow new ones without gaps or repeats', async () => {
+    for (let i = 1; i <= 5; i++) await writeEvents(`event${i}`);
+
+    const received = [];
+    const replay = log.subscribe({ fromSeq: 3 }, event => received.push(event.seq));
+    // Written while the replay is reading
+    const writing = writeEvents('event6');
+    const unsubscribe = await replay;
+    await writing;
+    await writeEvents('event7');
+    expect(received).toEqual([3, 4, 5, 6, 7]);
+
+    unsubscribe();
+    await writeEvents('event8');
+    expect(received).toEqual([3, 4, 5, 6, 7]);
+  });
+
+  test('should start at the next new event without fromSeq', async () => {
+    await writeEvents('old');
+
+    const received = [];
+    await log.subscribe({}, event => received.push(event.type));
+    await writeEvents('new');
+    expect(received).toEqual(['new']);
+    await expect(log.subscribe({ fromSeq: 0 }, () => {})).rejects.toThrow('positive integers');
+  });
+
+  test('should store nothing and reuse the sequence numbers when the batch fails', async () => {
+    const received = [];
+    await log.subscribe({}, event => received.push(event.seq));
+    jest.spyOn(db, 'batch').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(writeEvents('a')).rejects.toThrow('disk full');
+    expect(received).toEqual([]);
+    expect(log.lastSeq).toBe(0);
+    await expect(db.get('change:a')).rejects.toMatchObject({ notFound: true });
+
+    await writeEvents('b');
+    expect(received).toEqual([1]);
+    expect((await log.read()).map(event => event.type)).toEqual(['b']);
+  });
+
+  test('should number concurrent writes in the order they are stored', async () => {
+    await Promise.all([writeEvents('a'), writeEvents('b', 'c'), writeEvents('d')]);
+
+    expect((await log.read()).map(event => [event.seq, event.type])).toEqual([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']]);
+  });
+});
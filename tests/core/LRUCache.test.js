@@ -0,0 +1,37 @@
+const LRUCache = require('../../src/core/LRUCache');
+
+describe('LRUCache', () => {
+  test('should evict the least recently used entry once full', () => {
+    const cache = new LRUCache({ capacity: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    expect(cache.get('a')).toBe(1);
+
+    cache.set('c', 3);
+
+    expect(cache.has('b')).toBe(false);
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('c')).toBe(3);
+    expect(cache.size).toBe(2);
+  });
+
+  test('should replace, delete and clear entries', () => {
+    const cache = new LRUCache({ capacity: 2 });
+    cache.set('a', 1);
+    cache.set('a', 2);
+    expect(cache.size).toBe(1);
+    expect(cache.get('a')).toBe(2);
+
+    expect(cache.delete('a')).toBe(true);
+    expect(cache.get('a')).toBeUndefined();
+
+    cache.set('b', 3);
+    cache.clear();
+    expect(cache.size).toBe(0);
+  });
+
+  test('should fall back to the default capacity for invalid options', () => {
+    expect(new LRUCache({ capacity: 0 }).capacity).toBe(10000);
+    expect(new LRUCache({ capacity: 2.5 }).capacity).toBe(10000);
+  });
+});
@@ -0,0 +1,51 @@
+const MemoryStorage = require('../../src/core/MemoryStorage');
+const MigrationRunner = require('../../src/core/MigrationRunner');
+
+describe('MigrationRunner', () => {
+  let db;
+  const migrations = [
+    { version: 1, description: 'Rename name to label', up: jest.fn(async database => database.put('item:a', { label: 'first' })) },
+    { version: 2, description: 'Add a count', up: jest.fn(async database => database.put('count', 1)) }
+  ];
+
+  beforeEach(async () => {
+    db = new MemoryStorage();
+    migrations.forEach(migration => migration.up.mockClear());
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should stamp a new database with the latest version without running migrations', async () => {
+    const runner = new MigrationRunner(db, migrations);
+
+    expect(await runner.run()).toMatchObject({ fromVersion: 0, toVersion: 2, migrations: [] });
+    expect(await runner.getVersion()).toBe(2);
+    expect(migrations[0].up).not.toHaveBeenCalled();
+  });
+
+  test('should report pending migrations in a dry run and apply them in order', async () => {
+    await db.put('item:a', { name: 'first' });
+    const runner = new MigrationRunner(db, migrations);
+
+    const plan = await runner.run({ dryRun: true });
+    expect(plan.migrations.map(m => m.version)).toEqual([1, 2]);
+    expect(await runner.getVersion()).toBe(0);
+    expect(await db.get('item:a')).toEqual({ name: 'first' });
+
+    await runner.setVersion(1);
+    expect(await runner.getPending()).toEqual([{ version: 2, description: 'Add a count' }]);
+    await runner.run();
+    expect(migrations[0].up).not.toHaveBeenCalled();
+    expect(await db.get('count')).toBe(1);
+    expect(await runner.getVersion()).toBe(2);
+  });
+
+  test('should refuse databases from a newer schema and out-of-order migrations', async () => {
+    await db.put('schema:version', 3);
+
+    await expect(new MigrationRunner(db, migrations).run()).rejects.toThrow('newer than the latest supported version 2');
+    expect(() => new MigrationRunner(db, [migrations[1]])).toThrow('out of order');
+  });
+});
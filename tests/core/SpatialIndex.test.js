@@ -0,0 +1,45 @@
+const SpatialIndex = require('../../src/core/SpatialIndex');
+
+describe('SpatialIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SpatialIndex({ cellSize: 4 });
+  });
+
+  test('should return the same neighbours as a linear scan', () => {
+    const points = [];
+    for (let i = 0; i < 500; i++) {
+      const coordinates = [(i * 37) % 23, (i * 11) % 19, (i * 5) % 17];
+      points.push({ id: `p${i}`, coordinates });
+      index.insert(`p${i}`, coordinates);
+    }
+
+    const center = [10, 9, 8];
+    const radius = 3;
+    const expected = points
+      .filter(p => p.coordinates.every((value, i) => Math.abs(value - center[i]) <= radius))
+      .map(p => p.id)
+      .sort();
+
+    expect(index.queryBox(center, radius).map(entry => entry.id).sort()).toEqual(expected);
+    expect(index.size).toBe(500);
+  });
+
+  test('should find neighbours across bucket boundaries', () => {
+    index.insert('a', [3, 3, 3]);
+    index.insert('b', [4, 4, 4]);
+    index.insert('c', [9, 9, 9]);
+
+    expect(index.queryBox([3, 3, 3], 1).map(entry => entry.id).sort()).toEqual(['a', 'b']);
+  });
+
+  test('should remove entries', () => {
+    index.insert('a', [1, 2, 3]);
+
+    expect(index.remove('a', [1, 2, 3])).toBe(true);
+    expect(index.remove('a', [1, 2, 3])).toBe(false);
+    expect(index.queryBox([1, 2, 3], 2)).toEqual([]);
+    expect(index.size).toBe(0);
+  });
+});
@@ -0,0 +1,77 @@
+const path = require('path');
+const fs = require('fs');
+const LevelStorage = require('../../src/core/LevelStorage');
+const MemoryStorage = require('../../src/core/MemoryStorage');
+
+const testDbPath = path.join(__dirname, '../../data/test-storage.db');
+
+describe.each([
+  ['LevelStorage', () => new LevelStorage(testDbPath)],
+  ['MemoryStorage', () => new MemoryStorage()]
+])('%s', (name, createStorage) => {
+  let storage;
+
+  beforeEach(async () => {
+    fs.rmSync(testDbPath, { force: true, recursive: true });
+    storage = createStorage();
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(testDbPath, { force: true, recursive: true });
+  });
+
+  test('should read, write and delete JSON records', async () => {
+    const value = { balance: 10, tags: ['a'] };
+    await storage.put('acct:a', value);
+    value.balance = 20;
+
+    expect(await storage.get('acct:a')).toEqual({ balance: 10, tags: ['a'] });
+    expect(await storage.getMany(['acct:a', 'acct:b'])).toEqual([{ balance: 10, tags: ['a'] }, undefined]);
+    await storage.del('acct:a');
+    await expect(storage.get('acct:a')).rejects.toMatchObject({ notFound: true });
+  });
+
+  test('should apply batches and iterate ranges in key order', async () => {
+    await storage.batch([
+      { type: 'put', key: 'k:2', value: 2 },
+      { type: 'put', key: 'k:1', value: 1 },
+      { type: 'put', key: 'k:3', value: 3 },
+      { type: 'put', key: 'other', value: 0 },
+      { type: 'del', key: 'k:missing' }
+    ]);
+
+    const entries = [];
+    for await (const entry of storage.iterator({ gte: 'k:', lte: 'k:~' })) {
+      entries.push(entry);
+    }
+    expect(entries).toEqual([['k:1', 1], ['k:2', 2], ['k:3', 3]]);
+
+    const keys = [];
+    for await (const key of storage.keys({ gt: 'k:1', lt: 'k:~', reverse: true, limit: 1 })) {
+      keys.push(key);
+    }
+    expect(keys).toEqual(['k:3']);
+
+    const values = [];
+    for await (const value of storage.values({ gt: 'k:1', lt: 'k:3' })) {
+      values.push(value);
+    }
+    expect(values).toEqual([2]);
+
+    await storage.clear({ gte: 'k:', lte: 'k:~' });
+    expect(await storage.getMany(['k:1', 'other'])).toEqual([undefined, 0]);
+    await storage.clear();
+    expect(await storage.getMany(['other'])).toEqual([undefined]);
+  });
+
+  test('should keep records across close and open', async () => {
+    await storage.put('schema:version', 2);
+    await storage.close();
+    await expect(storage.get('schema:version')).rejects.toThrow();
+
+    await storage.open();
+    expect(await storage.get('schema:version')).toBe(2);
+  });
+});
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const MemoryStorage = require('../../src/core/MemoryStorage');
+const StoredMerkleTree = require('../../src/core/StoredMerkleTree');
+const { EMPTY_ROOT, SparseMerkleTree, verifySparseProof } = require('../../src/utils/merkle');
+
+describe('StoredMerkleTree', () => {
+  let db;
+  let tree;
+  const createTree = () => new StoredMerkleTree({ prefix: 'tree:test:', read: keys => db.getMany(keys) });
+  const randomKey = () => crypto.randomBytes(32).toString('hex');
+
+  beforeEach(() => {
+    db = new MemoryStorage();
+    tree = createTree();
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should match the in-memory tree root and proofs', async () => {
+    const reference = new SparseMerkleTree();
+    // Keys sharing long prefixes push existing leaves down several levels
+    const keys = [...Array.from({ length: 40 }, randomKey), 'f'.repeat(64), `${'f'.repeat(63)}e`, `${'f'.repeat(62)}7f`];
+    for (const key of keys) {
+      await db.batch(await tree.set(key, key));
+      reference.set(key, key);
+      expect(tree.root).toBe(reference.root);
+    }
+
+    for (const key of keys) {
+      const proof = await tree.getProof(key);
+      expect(proof).toEqual(reference.getProof(key));
+      expect(verifySparseProof(tree.root, key, key, proof)).toBe(true);
+    }
+    expect(await tree.has(randomKey())).toBe(false);
+    expect(await tree.has('unknown')).toBe(false);
+  });
+
+  test('should replace a record and reload the root from the store', async () => {
+    expect(tree.root).toBe(EMPTY_ROOT);
+    const key = randomKey();
+    await db.batch(await tree.set(key, 'first'));
+    await db.batch(await tree.set(randomKey(), 'other'));
+    await db.batch(await tree.set(key, 'second'));
+
+    const reloaded = createTree();
+    await reloaded.load();
+    expect(reloaded.root).toBe(tree.root);
+    expect(verifySparseProof(reloaded.root, key, 'second', await reloaded.getProof(key))).toBe(true);
+    expect(verifySparseProof(reloaded.root, key, 'first', await reloaded.getProof(key))).toBe(false);
+  });
+});
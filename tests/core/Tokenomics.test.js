@@ -0,0 +1,112 @@
+const Tokenomics = require('../../src/core/Tokenomics');
+const MemoryStorage = require('../../src/core/MemoryStorage');
+const { verifySparseProof } = require('../../src/utils/merkle');
+const path = require('path');
+
+describe('Tokenomics', () => {
+  jest.setTimeout(30000);
+  let tokenomics;
+  let storage;
+  const testDbPath = path.join(__dirname, '../../data/test-tokenomics.db');
+  const address = 'seir-test-validator';
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    tokenomics = new Tokenomics(testDbPath, { storage, unbondingPeriod: 1000 });
+    await tokenomics.loadLedger();
+    await tokenomics.mint(address, 100);
+  });
+
+  afterEach(async () => {
+    if (tokenomics) {
+      await tokenomics.closeDB();
+    }
+  });
+
+  test('should lock stake from the account balance', async () => {
+    await tokenomics.stake(address, 40);
+
+    expect(tokenomics.getBalance(address)).toBe(60);
+    expect(tokenomics.getStake(address)).toBe(40);
+    expect(tokenomics.getTotalSupply()).toBe(100);
+  });
+
+  test('should refuse to stake more than the available balance', async () => {
+    await expect(tokenomics.stake(address, 150)).rejects.toThrow('Insufficient balance');
+    expect(tokenomics.getStake(address)).toBe(0);
+  });
+
+  test('should only release unstaked tokens after the unbonding period', async () => {
+    const realNow = Date.now;
+    await tokenomics.stake(address, 40);
+    const entry = await tokenomics.unstake(address, 15);
+
+    expect(tokenomics.getStake(address)).toBe(25);
+    expect(tokenomics.getUnbonding(address)).toEqual([entry]);
+    expect(await tokenomics.withdrawUnbonded(address)).toBe(0);
+
+    try {
+      Date.now = () => entry.releaseAt;
+      expect(await tokenomics.withdrawUnbonded(address)).toBe(15);
+    } finally {
+      Date.now = realNow;
+    }
+
+    expect(tokenomics.getBalance(address)).toBe(75);
+    expect(tokenomics.getUnbonding(address)).toEqual([]);
+  });
+
+  test('should burn slashed stake, including stake that is unbonding', async () => {
+    await tokenomics.stake(address, 40);
+    await tokenomics.unstake(address, 20);
+
+    const result = await tokenomics.slash(address, 0.75);
+
+    expect(result).toEqual({ amount: 30, burned: 30, redistributed: 0 });
+    expect(tokenomics.getStake(address)).toBe(0);
+    expect(tokenomics.getUnbonding(address)[0].amount).toBe(10);
+    expect(tokenomics.getTotalSupply()).toBe(70);
+  });
+
+  test('should redistribute slashed stake to a beneficiary', async () => {
+    await tokenomics.stake(address, 40);
+
+    const result = await tokenomics.slash(address, 0.5, 'seir-treasury');
+
+    expect(result).toEqual({ amount: 20, burned: 0, redistributed: 20 });
+    expect(tokenomics.getBalance('seir-treasury')).toBe(20);
+    expect(tokenomics.getTotalSupply()).toBe(100);
+  });
+
+  test('should persist stakes across restarts', async () => {
+    await tokenomics.stake(address, 30);
+    await tokenomics.unstake(address, 10);
+    await tokenomics.closeDB();
+
+    tokenomics = new Tokenomics(testDbPath, { storage, unbondingPeriod: 1000 });
+    await tokenomics.loadLedger();
+
+    expect(tokenomics.getBalance(address)).toBe(70);
+    expect(tokenomics.getStake(address)).toBe(20);
+    expect(tokenomics.getUnbonding(address)).toHaveLength(1);
+  });
+
+  test('should keep a Merkle root over balances and prove an account balance', async () => {
+    const rootBefore = tokenomics.getBalancesRoot();
+    await tokenomics.transfer(address, 'seir-treasury', 25);
+    expect(tokenomics.getBalancesRoot()).not.toBe(rootBefore);
+
+    const { balance, root, proof } = tokenomics.getBalanceProof(address);
+    expect(balance).toBe(75);
+    expect(root).toBe(tokenomics.getBalancesRoot());
+    const key = tokenomics.getBalanceKey(address);
+    expect(verifySparseProof(root, key, tokenomics.getBalanceLeaf(address, 75), proof)).toBe(true);
+    expect(verifySparseProof(root, key, tokenomics.getBalanceLeaf(address, 100), proof)).toBe(false);
+    expect(tokenomics.getBalanceProof('seir-unknown')).toBeNull();
+
+    await tokenomics.closeDB();
+    tokenomics = new Tokenomics(testDbPath, { storage, unbondingPeriod: 1000 });
+    await tokenomics.loadLedger();
+    expect(tokenomics.getBalancesRoot()).toBe(root);
+  });
+});
@@ -1,77 +1,124 @@
+const Joi = require('joi');
 const TriadMatrix = require('../../src/core/TriadMatrix');
+const Wallet = require('../../src/core/Wallet');
+const MemoryStorage = require('../../src/core/MemoryStorage');
+const { EMPTY_ROOT, computeMerkleRoot, verifySparseProof } = require('../../src/utils/merkle');
+const { verifyTriadProof } = require('../../src/utils/proofs');
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
+
+/**
+ * Build a triad signed by the given wallet, as a peer would send it
+ */
+function buildSignedTriad(matrix, creator, overrides = {}) {
+  const triad = {
+    version: 2,
+    data: { message: 'From a peer' },
+    validator: creator.getAddress(),
+    publicKey: creator.getPublicKey(),
+    timestamp: Date.now(),
+    position: [1, 1, 1],
+    parents: [],
+    ...overrides
+  };
+  triad.signature = creator.signData(matrix.getTriadSigningPayload(triad));
+  return triad;
+}
 
 describe('TriadMatrix', () => {
   jest.setTimeout(30000); // Increase timeout to 30 seconds
   let matrix;
+  let wallet;
+  // Matrices run in memory; closing and reopening on the same storage simulates a restart
+  let storage;
   const testDbPath = path.join(__dirname, '../../data/test-triad.db');
 
   beforeEach(async () => {
-    // Clean up test database if it exists
-    if (fs.existsSync(testDbPath)) {
-      fs.rmSync(testDbPath, { force: true, recursive: true });
-    }
-    
-    // Ensure the data directory exists
-    const dataDir = path.dirname(testDbPath);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
+    storage = new MemoryStorage();
 
-    matrix = new TriadMatrix(testDbPath, {
-      dimensions: 3,
+    wallet = new Wallet();
+    wallet.generateKeyPair();
+
+    matrix = await TriadMatrix.open(testDbPath, {
+      storage,
+      axes: 3,
+      sideLength: 3,
       complexity: 4,
       consensusThreshold: 0.67
     });
-
-    // Wait for initialization
-    await new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Matrix initialization timed out'));
-      }, 10000);
-
-      matrix.once('initialized', () => {
-        clearTimeout(timeout);
-        resolve();
-      });
-      
-      matrix.once('error', (err) => {
-        clearTimeout(timeout);
-        reject(err);
-      });
-    });
   });
 
   afterEach(async () => {
     if (matrix) {
-      await matrix.closeDB();
-    }
-    // Clean up test database
-    if (fs.existsSync(testDbPath)) {
-      fs.rmSync(testDbPath, { force: true, recursive: true });
+      await matrix.close();
     }
   });
 
   test('should initialize with correct configuration', () => {
     const state = matrix.getMatrixState();
     
-    expect(state.dimensions).toBe(3);
+    expect(state.axes).toBe(3);
+    expect(state.sideLength).toBe(3);
     expect(state.complexity).toBe(4);
     expect(state.consensusThreshold).toBe(0.67);
     expect(state.triadsCount).toBe(0);
     expect(state.isInitialized).toBe(true);
   });
 
+  test('should resolve ready once initialized and share one initialization', async () => {
+    await matrix.close();
+    matrix = new TriadMatrix(testDbPath, { storage });
+    expect(matrix.isInitialized).toBe(false);
+
+    const initializing = matrix.init();
+    expect(matrix.init()).toBe(initializing);
+    await matrix.ready;
+    expect(matrix.isInitialized).toBe(true);
+  });
+
+  test('should close idempotently and remove listeners', async () => {
+    const onTriad = jest.fn();
+    matrix.on('triadCreated', onTriad);
+
+    const closing = matrix.close();
+    expect(matrix.close()).toBe(closing);
+    await closing;
+    await matrix.close();
+
+    expect(matrix.isInitialized).toBe(false);
+    expect(matrix.listenerCount('triadCreated')).toBe(0);
+    expect(storage.isOpen).toBe(false);
+    await expect(matrix.init()).rejects.toThrow('has been closed');
+  });
+
+  test('should reject ready when closed before initialization', async () => {
+    await matrix.close();
+    matrix = new TriadMatrix(testDbPath, { storage });
+    await matrix.close();
+    await expect(matrix.ready).rejects.toThrow('closed before it was initialized');
+  });
+
+  test('should close the store when opening fails', async () => {
+    await matrix.close();
+    // A store written by a newer release cannot be migrated down
+    await storage.open();
+    await storage.put('schema:version', 99);
+    await expect(TriadMatrix.open(testDbPath, { storage })).rejects.toThrow('is newer than the latest supported version');
+    expect(storage.isOpen).toBe(false);
+    matrix = null;
+  });
+
   test('should create and retrieve a triad', async () => {
     const testData = { message: 'Test Triad' };
-    const validatorId = 'test-validator';
     
-    const createdTriad = await matrix.createTriad(testData, validatorId);
+    const createdTriad = await matrix.createTriad(testData, wallet);
     
     expect(createdTriad).toBeDefined();
     expect(createdTriad.data).toEqual(testData);
-    expect(createdTriad.validator).toBe(validatorId);
+    expect(createdTriad.validator).toBe(wallet.getAddress());
+    expect(createdTriad.publicKey).toBe(wallet.getPublicKey());
+    expect(createdTriad.signature).toBeDefined();
     expect(createdTriad.id).toBeDefined();
     expect(createdTriad.position).toBeDefined();
     expect(createdTriad.validated).toBe(false);
@@ -80,6 +127,79 @@ describe('TriadMatrix', () => {
     expect(retrievedTriad).toEqual(createdTriad);
   });
 
+  test('should create a list of triads in one batch with the state metadata', async () => {
+    const batch = jest.spyOn(storage, 'batch');
+    const created = jest.fn();
+    matrix.on('triadCreated', created);
+
+    const triads = await matrix.createTriads([{ message: 'One' }, { message: 'Two' }, { message: 'Three' }], wallet);
+
+    expect(batch).toHaveBeenCalledTimes(1);
+    expect(batch.mock.calls[0][0].map(operation => operation.key)).toContain('matrix:state_metadata');
+    expect(triads.map(triad => triad.data.message)).toEqual(['One', 'Two', 'Three']);
+    expect(triads[1].parents).toEqual([triads[0].id]);
+    expect(triads[2].parents).toEqual([triads[1].id]);
+    expect(created).toHaveBeenCalledTimes(3);
+    expect(new Set(triads.map(triad => triad.position.join(':'))).size).toBe(3);
+
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage, axes: 3, sideLength: 3, complexity: 4 });
+    expect(matrix.getMatrixState()).toMatchObject({ triadsCount: 3, validatedTriadsCount: 0 });
+    expect(matrix.getTips()).toEqual([triads[2].id]);
+    expect(await matrix.getTriadById(triads[2].id)).toMatchObject({ data: { message: 'Three' }, parents: [triads[1].id] });
+  });
+
+  test('should coalesce concurrent triad writes into group commits', async () => {
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage, groupCommitSize: 2 });
+    const batch = jest.spyOn(storage, 'batch');
+
+    const triads = await Promise.all([1, 2, 3, 4, 5].map(i => matrix.createTriad({ message: `Concurrent ${i}` }, wallet)));
+
+    expect(batch).toHaveBeenCalledTimes(3);
+    expect(matrix.getMatrixState().triadsCount).toBe(5);
+    expect((await matrix.db.get('matrix:state_metadata')).triadsCount).toBe(5);
+    expect((await matrix.queryTriads()).triads).toHaveLength(5);
+    expect(new Set(triads.map(triad => triad.id)).size).toBe(5);
+  });
+
+  test('should restore tips, counters and the triads root when a group commit fails', async () => {
+    const first = await matrix.createTriad({ message: 'Stored' }, wallet);
+    const state = matrix.getMatrixState();
+    const batch = jest.spyOn(storage, 'batch').mockRejectedValueOnce(new Error('disk full'));
+
+    const writes = [1, 2].map(i => matrix.createTriad({ message: `Unwritten ${i}` }, wallet));
+    await expect(Promise.all(writes)).rejects.toThrow('disk full');
+    await Promise.allSettled(writes);
+    batch.mockRestore();
+
+    expect(matrix.getTips()).toEqual([first.id]);
+    expect(matrix.getMatrixState()).toMatchObject({
+      triadsCount: 1,
+      validatedTriadsCount: 0,
+      sideLength: state.sideLength,
+      triadsRoot: state.triadsRoot
+    });
+
+    const next = await matrix.createTriad({ message: 'After the failure' }, wallet);
+    expect(next.parents).toEqual([first.id]);
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage, axes: 3, sideLength: 3, complexity: 4 });
+    expect(matrix.getMatrixState()).toMatchObject({ triadsCount: 2 });
+    expect(matrix.getTips()).toEqual([next.id]);
+    expect(verifyTriadProof(await matrix.getTriadProof(next.id), matrix.getMatrixState().triadsRoot)).toBe(true);
+  });
+
+  test('should write nothing when a triad in a list is invalid', async () => {
+    const batch = jest.spyOn(storage, 'batch');
+
+    await expect(matrix.createTriads([{ message: 'Valid' }, null], wallet)).rejects.toThrow('Failed to create triads');
+    await expect(matrix.createTriads([], wallet)).rejects.toThrow('non-empty array');
+
+    expect(batch).not.toHaveBeenCalled();
+    expect(matrix.getMatrixState().triadsCount).toBe(0);
+  });
+
   test('should add validator', () => {
     const validatorId = 'test-validator';
     
@@ -93,38 +213,908 @@ describe('TriadMatrix', () => {
     expect(secondResult).toBe(false);
   });
 
-  test('should calculate optimal position within dimensions', () => {
-    const position = matrix.calculateOptimalPosition();
+  test('should calculate optimal position within dimensions', async () => {
+    const { position, slot } = await matrix.calculateOptimalPosition({
+      data: { message: 'Placed' },
+      timestamp: Date.now(),
+      validator: wallet.getAddress()
+    });
     
     expect(position).toBeDefined();
-    expect(position.x).toBeGreaterThanOrEqual(0);
-    expect(position.x).toBeLessThan(matrix.dimensions);
-    expect(position.y).toBeGreaterThanOrEqual(0);
-    expect(position.y).toBeLessThan(matrix.dimensions);
-    expect(position.z).toBeGreaterThanOrEqual(0);
-    expect(position.z).toBeLessThan(matrix.dimensions);
+    expect(slot).toBe(0);
+    expect(position).toHaveLength(3);
+    position.forEach(coordinate => {
+      expect(coordinate).toBeGreaterThanOrEqual(0);
+      expect(coordinate).toBeLessThan(matrix.sideLength);
+    });
+  });
+
+  test('should place triads deterministically from their hash and occupancy', async () => {
+    const unplaced = { data: { message: 'Same everywhere' }, timestamp: 1700000000000, validator: wallet.getAddress() };
+    const expected = await matrix.calculateOptimalPosition(unplaced);
+    expect(await matrix.calculateOptimalPosition({ ...unplaced })).toEqual(expected);
+
+    // Once the cell is taken, the same triad probes on to the next free cell
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    await matrix.importTriad(buildSignedTriad(matrix, creator, { position: expected.position, slot: 0 }));
+    const next = await matrix.calculateOptimalPosition(unplaced);
+
+    expect(next.position).not.toEqual(expected.position);
+    expect(await matrix.getCellOccupants(next.position)).toEqual([]);
+  });
+
+  test('should fill cell slots up to capacity and grow a full matrix', async () => {
+    await matrix.close();
+    storage = new MemoryStorage();
+    matrix = await TriadMatrix.open(testDbPath, { storage, sideLength: 1, cellCapacity: 2 });
+    const grown = [];
+    matrix.on('matrixGrown', event => grown.push(event));
+
+    const first = await matrix.createTriad({ message: 'First' }, wallet);
+    const second = await matrix.createTriad({ message: 'Second' }, wallet);
+    expect(first.position).toEqual([0, 0, 0]);
+    expect([first.slot, second.slot]).toEqual([0, 1]);
+    expect(await matrix.getCellOccupants(first.position)).toEqual([first.id, second.id]);
+
+    const third = await matrix.createTriad({ message: 'Third' }, wallet);
+    expect(grown).toEqual([{ from: 1, to: 2 }]);
+    expect(third.position).not.toEqual([0, 0, 0]);
+    expect(matrix.getMatrixState().sideLength).toBe(2);
+  });
+
+  test('should grow the matrix to fit positions received from peers', async () => {
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    await matrix.importTriad(buildSignedTriad(matrix, creator, { position: [7, 0, 2] }));
+
+    expect(matrix.sideLength).toBe(12);
+    await expect(matrix.importTriad(buildSignedTriad(matrix, creator, { position: [-1, 0, 0] })))
+      .rejects.toThrow('non-negative integer');
+    await expect(matrix.importTriad(buildSignedTriad(matrix, creator, { position: [1, 1] })))
+      .rejects.toThrow('vector of 3');
   });
 
   test('should validate triad with sufficient consensus', async () => {
     const testData = { message: 'Test Triad' };
-    const validatorId = 'test-validator';
-    const validatorId2 = 'test-validator-2';
-    
-    matrix.addValidator(validatorId);
-    matrix.addValidator(validatorId2);
+    const wallet2 = new Wallet();
+    wallet2.generateKeyPair();
     
-    const triad = await matrix.createTriad(testData, validatorId);
-    const validatedTriad = await matrix.validateTriad(triad.id, validatorId2);
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator(wallet2.getAddress());
     
-    expect(validatedTriad.validationAttempts).toBe(1);
-    expect(validatedTriad.consensus).toBeGreaterThan(0);
+    const triad = await matrix.createTriad(testData, wallet);
+
+    // One of two validators is only half of the validator set
+    const pendingTriad = await matrix.validateTriad(triad.id, wallet2);
+    expect(pendingTriad.validationAttempts).toBe(1);
+    expect(pendingTriad.consensus).toBe(0.5);
+    expect(pendingTriad.validated).toBe(false);
+
+    const validatedTriad = await matrix.validateTriad(triad.id, wallet);
+    expect(validatedTriad.consensus).toBe(1);
+    expect(validatedTriad.validated).toBe(true);
+    expect(await matrix.getVotes(triad.id)).toHaveLength(2);
+  });
+
+  test('should keep validation state consistent between reads, metadata and restarts', async () => {
+    const wallet2 = new Wallet();
+    wallet2.generateKeyPair();
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator(wallet2.getAddress());
+    const triad = await matrix.createTriad({ message: 'Consistent' }, wallet);
+
+    await matrix.validateTriad(triad.id, wallet);
+    const validated = await matrix.validateTriad(triad.id, wallet2);
+    expect(validated.validated).toBe(true);
+
+    // Returned triads are copies; changing one does not change the stored triad
+    validated.validated = false;
+    const expectConsistent = async () => {
+      const stored = await matrix.getTriadById(triad.id);
+      expect(stored.validated).toBe(true);
+      expect(stored.validationAttempts).toBe(2);
+      expect(matrix.getMatrixState().validatedTriadsCount).toBe(1);
+      expect((await matrix.db.get('matrix:state_metadata')).validatedTriadsCount).toBe(1);
+      expect((await matrix.queryTriads({ validated: true })).triads.map(t => t.id)).toEqual([triad.id]);
+    };
+    await expectConsistent();
+
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage });
+    await expectConsistent();
+  });
+
+  test('should log events so a restarted consumer can replay them', async () => {
+    matrix.addValidator(wallet.getAddress());
+    const triad = await matrix.createTriad({ message: 'Logged' }, wallet);
+    await matrix.validateTriad(triad.id, wallet);
+    const lastSeq = matrix.getMatrixState().lastEventSeq;
+
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage });
+
+    const received = [];
+    const unsubscribe = await matrix.subscribe({ fromSeq: 1 }, event => received.push(event));
+    expect(received.map(event => event.seq)).toEqual(Array.from({ length: lastSeq }, (_, i) => i + 1));
+    expect(received[0]).toMatchObject({ type: 'triadCreated', payload: { id: triad.id } });
+    expect(received.map(event => event.type)).toEqual(expect.arrayContaining(['voteCast', 'triadStateChanged', 'triadValidated']));
+
+    // Events after the replay follow on with the next sequence number
+    const next = await matrix.createTriad({ message: 'Tailed' }, wallet);
+    expect(received[lastSeq]).toMatchObject({ seq: lastSeq + 1, type: 'triadCreated', payload: { id: next.id } });
+    unsubscribe();
+
+    expect((await matrix.getEvents({ fromSeq: lastSeq + 1 })).map(event => event.seq)).toEqual([lastSeq + 1]);
+  });
+
+  test('should store each event in the batch of the change it records', async () => {
+    matrix.addValidator(wallet.getAddress());
+    const batch = jest.spyOn(storage, 'batch');
+    const triad = await matrix.createTriad({ message: 'Atomic' }, wallet);
+    const getEventTypes = operations => operations.filter(operation => operation.key.startsWith('event:')).map(operation => operation.value.type);
+    expect(batch).toHaveBeenCalledTimes(1);
+    expect(getEventTypes(batch.mock.calls[0][0])).toEqual(['triadCreated']);
+
+    const lastSeq = matrix.getMatrixState().lastEventSeq;
+    const received = [];
+    await matrix.subscribe({}, event => received.push(event.type));
+    const voteCast = jest.fn();
+    matrix.on('voteCast', voteCast);
+    batch.mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(matrix.validateTriad(triad.id, wallet)).rejects.toThrow('disk full');
+    expect(matrix.getMatrixState().lastEventSeq).toBe(lastSeq);
+    expect(received).toEqual([]);
+    expect(voteCast).not.toHaveBeenCalled();
+
+    await matrix.validateTriad(triad.id, wallet);
+    const voteBatch = batch.mock.calls[batch.mock.calls.length - 1][0];
+    expect(voteBatch.map(operation => operation.key)).toContain(`vote:${triad.id}:${wallet.getAddress()}`);
+    expect(getEventTypes(voteBatch)).toEqual(['voteCast', 'triadStateChanged', 'triadValidated']);
+    expect(received).toEqual(['voteCast', 'triadStateChanged', 'triadValidated']);
+    expect(voteCast).toHaveBeenCalledTimes(1);
+    expect(matrix.getMatrixState().lastEventSeq).toBe(lastSeq + 3);
+  });
+
+  test('should leave cached triads and counters unchanged when a vote fails to persist', async () => {
+    matrix.addValidator(wallet.getAddress());
+    const triad = await matrix.createTriad({ message: 'Unwritten' }, wallet);
+    const batch = jest.spyOn(matrix.db, 'batch').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(matrix.validateTriad(triad.id, wallet)).rejects.toThrow('disk full');
+    batch.mockRestore();
+
+    const stored = await matrix.getTriadById(triad.id);
+    expect(stored.validated).toBe(false);
+    expect(stored.validationAttempts).toBe(0);
+    expect(matrix.getMatrixState().validatedTriadsCount).toBe(0);
+    expect(await matrix.hasVoted(triad.id, wallet.getAddress())).toBe(false);
+  });
+
+  test('should record lifecycle transitions from pending through voting to accepted', async () => {
+    const wallet2 = new Wallet();
+    wallet2.generateKeyPair();
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator(wallet2.getAddress());
+    const changes = [];
+    matrix.on('triadStateChanged', change => changes.push(change));
+    const triad = await matrix.createTriad({ message: 'Lifecycle' }, wallet);
+    expect(triad.state).toBe('pending');
+
+    expect((await matrix.validateTriad(triad.id, wallet2)).state).toBe('voting');
+    const accepted = await matrix.validateTriad(triad.id, wallet);
+
+    expect(accepted.state).toBe('accepted');
+    expect(accepted.transitions.map(t => [t.from, t.to, t.cause])).toEqual([
+      [null, 'pending', 'created'],
+      ['pending', 'voting', 'first-vote'],
+      ['voting', 'accepted', 'consensus-reached']
+    ]);
+    expect(changes.map(change => change.to)).toEqual(['voting', 'accepted']);
+    expect(changes[1]).toMatchObject({ triadId: triad.id, from: 'voting', at: expect.any(Number) });
+    expect((await matrix.queryTriads({ state: 'accepted' })).triads.map(t => t.id)).toEqual([triad.id]);
+  });
+
+  test('should reject a triad that can no longer reach consensus', async () => {
+    const wallet2 = new Wallet();
+    wallet2.generateKeyPair();
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator(wallet2.getAddress());
+    const rejectedEvents = [];
+    matrix.on('triadRejected', triad => rejectedEvents.push(triad.id));
+    const triad = await matrix.createTriad({ message: 'Unpopular' }, wallet);
+
+    // Half of the validator set rejecting leaves at most 50% approval, below the 67% threshold
+    const rejected = await matrix.validateTriad(triad.id, wallet2, { approve: false });
+    expect(rejected.state).toBe('rejected');
+    expect(rejected.transitions[1]).toMatchObject({ from: 'pending', to: 'rejected', cause: 'consensus-unreachable' });
+    expect(rejectedEvents).toEqual([triad.id]);
+
+    await expect(matrix.validateTriad(triad.id, wallet)).rejects.toThrow('is rejected and no longer accepts votes');
+    expect(await matrix.getVotes(triad.id)).toHaveLength(1);
+  });
+
+  test('should expire open triads that outlive the expiry window', async () => {
+    matrix.addValidator(wallet.getAddress());
+    const expiredEvents = [];
+    matrix.on('triadExpired', triad => expiredEvents.push(triad.id));
+    const triad = await matrix.createTriad({ message: 'Too slow' }, wallet);
+
+    expect(await matrix.expireTriads(triad.timestamp + matrix.expiryWindow - 1)).toBe(0);
+    expect(await matrix.expireTriads(triad.timestamp + matrix.expiryWindow)).toBe(1);
+    const expired = await matrix.getTriadById(triad.id);
+    expect(expired.state).toBe('expired');
+    expect(expired.transitions[1]).toMatchObject({ from: 'pending', to: 'expired', cause: 'expiry-window' });
+    expect(expiredEvents).toEqual([triad.id]);
+    await expect(matrix.validateTriad(triad.id, wallet)).rejects.toThrow('is expired and no longer accepts votes');
+
+    // A vote arriving after the window expires the triad even before the periodic check runs
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    const old = await matrix.importTriad(buildSignedTriad(matrix, creator, { timestamp: Date.now() - matrix.expiryWindow }));
+    await expect(matrix.validateTriad(old.id, wallet)).rejects.toThrow('expired before reaching consensus');
+    expect((await matrix.getTriadById(old.id)).state).toBe('expired');
+    expect(await matrix.hasVoted(old.id, wallet.getAddress())).toBe(false);
+  });
+
+  test('should refuse duplicate votes and votes from unregistered validators', async () => {
+    const outsider = new Wallet();
+    outsider.generateKeyPair();
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator('seir-other-validator');
+
+    const triad = await matrix.createTriad({ message: 'Vote once' }, wallet);
+    await matrix.validateTriad(triad.id, wallet);
+
+    await expect(matrix.validateTriad(triad.id, wallet))
+      .rejects.toThrow('has already voted on triad');
+    await expect(matrix.validateTriad(triad.id, outsider))
+      .rejects.toThrow('is not registered');
+  });
+
+  test('should weight votes by locked stake', async () => {
+    const stakes = new Map();
+    const wallet2 = new Wallet();
+    wallet2.generateKeyPair();
+    matrix.tokenomics = { getStake: (address) => stakes.get(address) || 0, getBalancesRoot: () => EMPTY_ROOT };
+    matrix.minValidatorStake = 1;
+
+    expect(() => matrix.addValidator(wallet.getAddress())).toThrow('at least 1 is required');
+
+    stakes.set(wallet.getAddress(), 30);
+    stakes.set(wallet2.getAddress(), 70);
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator(wallet2.getAddress());
+
+    const triad = await matrix.createTriad({ message: 'Staked' }, wallet);
+    const minority = await matrix.validateTriad(triad.id, wallet);
+    expect(minority.consensus).toBeCloseTo(0.3);
+    expect(minority.validated).toBe(false);
+
+    const majority = await matrix.validateTriad(triad.id, wallet2);
+    expect(majority.consensus).toBeCloseTo(1);
+    expect(majority.validated).toBe(true);
+  });
+
+  test('should slash a validator that casts conflicting votes on a triad', async () => {
+    const slash = jest.fn().mockResolvedValue({ amount: 5, burned: 5, redistributed: 0 });
+    matrix.tokenomics = { getStake: () => 10, getBalancesRoot: () => EMPTY_ROOT, slash };
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator('seir-other-validator');
+    const triad = await matrix.createTriad({ message: 'Contested' }, wallet);
+    const slashedEvents = [];
+    matrix.on('validatorSlashed', event => slashedEvents.push(event));
+
+    await matrix.validateTriad(triad.id, wallet, { approve: true });
+    await expect(matrix.validateTriad(triad.id, wallet, { approve: false }))
+      .rejects.toThrow('cast conflicting votes');
+
+    const [evidence] = matrix.getEvidence();
+    expect(evidence.type).toBe('double-vote');
+    expect(evidence.validator).toBe(wallet.getAddress());
+    expect(slash).toHaveBeenCalledWith(wallet.getAddress(), matrix.slashFraction, null);
+    expect(slashedEvents).toHaveLength(1);
+    expect(matrix.validators.has(wallet.getAddress())).toBe(false);
+    expect(() => matrix.addValidator(wallet.getAddress())).toThrow('cannot rejoin');
+
+    // Replayed evidence is recognised and does not slash twice
+    expect(await matrix.submitEvidence(evidence)).toBeNull();
+    expect(slash).toHaveBeenCalledTimes(1);
+  });
+
+  test('should detect approvals of two triads in the same matrix slot', async () => {
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator('seir-other-validator');
+
+    const first = await matrix.importTriad(buildSignedTriad(matrix, creator, { data: { message: 'A' } }));
+    const second = await matrix.importTriad(buildSignedTriad(matrix, creator, { data: { message: 'B' } }));
+
+    await matrix.validateTriad(first.id, wallet);
+    await expect(matrix.validateTriad(second.id, wallet)).rejects.toThrow('in the same matrix slot');
+
+    expect(matrix.getEvidence()[0].type).toBe('slot-conflict');
+    expect(matrix.getMatrixState().slashedValidators).toEqual([wallet.getAddress()]);
+  });
+
+  test('should reject evidence that does not prove equivocation', async () => {
+    matrix.addValidator(wallet.getAddress());
+    const triad = await matrix.createTriad({ message: 'Honest' }, wallet);
+    await matrix.validateTriad(triad.id, wallet);
+    const [vote] = await matrix.getVotes(triad.id);
+
+    await expect(matrix.submitEvidence({ type: 'double-vote', validator: vote.validator, votes: [vote, vote] }))
+      .rejects.toThrow('requires opposite votes');
+    expect(matrix.validators.has(wallet.getAddress())).toBe(true);
+  });
+
+  test('should reject votes with an invalid signature', async () => {
+    matrix.addValidator(wallet.getAddress());
+    const triad = await matrix.createTriad({ message: 'Signed vote' }, wallet);
+    const vote = {
+      triadId: triad.id,
+      validator: wallet.getAddress(),
+      publicKey: wallet.getPublicKey(),
+      approve: true,
+      timestamp: Date.now()
+    };
+    vote.signature = wallet.signData(matrix.getVoteSigningPayload({ ...vote, approve: false }));
+
+    await expect(matrix.submitVote(vote)).rejects.toThrow('Invalid vote signature');
   });
 
   test('should reject invalid triad data', async () => {
-    await expect(matrix.createTriad(null, 'test-validator'))
+    await expect(matrix.createTriad(null, wallet))
       .rejects.toThrow('Invalid data format for triad');
       
-    await expect(matrix.createTriad(undefined, 'test-validator'))
+    await expect(matrix.createTriad(undefined, wallet))
       .rejects.toThrow('Invalid data format for triad');
   });
+
+  test('should enforce registered payload schemas on created and imported triads', async () => {
+    matrix.registerSchema('reading', Joi.object({
+      sensor: Joi.string().required(),
+      value: Joi.number().required()
+    }));
+    expect(matrix.getSchemaTypes()).toEqual(['reading']);
+
+    const triad = await matrix.createTriad({ type: 'reading', sensor: 't1', value: 21.5 }, wallet);
+    expect(triad.data.value).toBe(21.5);
+    await expect(matrix.createTriad({ type: 'reading', sensor: 't1', value: '21.5' }, wallet))
+      .rejects.toThrow('does not match the "reading" schema');
+
+    // Triads from peers and API clients are checked before they are stored
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    await expect(matrix.importTriad(buildSignedTriad(matrix, creator, { data: { type: 'reading', value: 3 } })))
+      .rejects.toThrow('"sensor" is required');
+    expect(await matrix.importTriad(buildSignedTriad(matrix, creator, { data: { type: 'note', text: 'no schema' } })))
+      .not.toBeNull();
+    expect(() => matrix.registerSchema('reading', { validate: () => ({}) })).toThrow('must be a Joi schema');
+  });
+
+  test('should reject triad data larger than the maximum payload size', async () => {
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage, maxPayloadSize: 64 });
+
+    await expect(matrix.createTriad({ message: 'x'.repeat(64) }, wallet))
+      .rejects.toThrow('more than the maximum of 64');
+    expect(await matrix.createTriad({ message: 'small' }, wallet)).toHaveProperty('id');
+  });
+
+  test('should refuse to create a triad without a signing wallet', async () => {
+    await expect(matrix.createTriad({ message: 'Unsigned' }, 'test-validator'))
+      .rejects.toThrow('A wallet is required to sign new triads');
+  });
+
+  test('should import a triad signed by another wallet', async () => {
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    const triad = buildSignedTriad(matrix, creator);
+
+    const stored = await matrix.importTriad(triad);
+
+    expect(stored.id).toBe(matrix.generateTriadId(triad));
+    expect(await matrix.importTriad(triad)).toBeNull();
+  });
+
+  test('should reject triads with tampered data, a foreign address or a forged ID', async () => {
+    const triad = await matrix.createTriad({ message: 'Signed' }, wallet);
+    const impostor = new Wallet();
+    impostor.generateKeyPair();
+
+    await expect(matrix.importTriad({ ...triad, data: { message: 'Forged' } }))
+      .rejects.toThrow('Invalid signature');
+
+    await expect(matrix.importTriad({ ...triad, validator: impostor.getAddress() }))
+      .rejects.toThrow('Public key does not match validator address');
+
+    await expect(matrix.importTriad({ ...triad, id: 'not-the-hash' }))
+      .rejects.toMatchObject({ code: TriadMatrix.IMPORT_ERRORS.ID_MISMATCH, message: expect.stringContaining('does not match its content hash') });
+  });
+
+  test('should derive triad IDs from content and link parents', async () => {
+    const first = await matrix.createTriad({ message: 'First' }, wallet);
+    const second = await matrix.createTriad({ message: 'Second' }, wallet);
+
+    expect(first.id).toMatch(/^[0-9a-f]{64}$/);
+    expect(first.id).toBe(matrix.generateTriadId(first));
+    expect(first.parents).toEqual([]);
+    expect(second.parents).toEqual([first.id]);
+    expect(matrix.getTips()).toEqual([second.id]);
+  });
+
+  test('should commit to the stored triads with a Merkle root and prove inclusion', async () => {
+    const emptyRoot = matrix.getMatrixState().triadsRoot;
+    const first = await matrix.createTriad({ message: 'First' }, wallet);
+    const second = await matrix.createTriad({ message: 'Second' }, wallet);
+
+    const state = matrix.getMatrixState();
+    expect(state.triadsRoot).not.toBe(emptyRoot);
+    expect(state.balancesRoot).toBeNull();
+    expect((await matrix.db.get('matrix:state_metadata')).triadsRoot).toBe(state.triadsRoot);
+
+    const response = await matrix.getTriadProof(first.id);
+    expect(response.root).toBe(state.triadsRoot);
+    expect(response.triad).toEqual(await matrix.getTriadById(first.id));
+    expect(verifySparseProof(response.root, first.id, first.id, response.proof)).toBe(true);
+    expect(verifyTriadProof(response, state.triadsRoot)).toBe(true);
+    expect(verifyTriadProof({ ...response, triad: second }, state.triadsRoot)).toBe(false);
+    expect(await matrix.getTriadProof('0'.repeat(64))).toBeNull();
+    expect(await matrix.getTriadProof('unknown')).toBeNull();
+
+    // The tree nodes are stored, so opening reads the root instead of scanning every triad
+    await matrix.close();
+    const iterator = jest.spyOn(storage, 'iterator');
+    matrix = await TriadMatrix.open(testDbPath, { storage });
+    expect(matrix.getMatrixState().triadsRoot).toBe(state.triadsRoot);
+    expect(iterator.mock.calls.some(([range = {}]) => String(range.gte).startsWith('idx:time:'))).toBe(false);
+    iterator.mockRestore();
+    expect(verifyTriadProof(await matrix.getTriadProof(second.id), state.triadsRoot)).toBe(true);
+
+    // A database written before the nodes were stored has them rebuilt once
+    await matrix.close();
+    await storage.open();
+    await storage.clear({ gte: 'tree:', lte: 'tree:~' });
+    await storage.put('matrix:state_metadata', { ...(await storage.get('matrix:state_metadata')), indexVersion: 3 });
+    await storage.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage });
+    expect(matrix.getMatrixState().triadsRoot).toBe(state.triadsRoot);
+    expect(verifyTriadProof(await matrix.getTriadProof(first.id), state.triadsRoot)).toBe(true);
+  });
+
+  test('should detect a corrupted triad record', async () => {
+    const triad = await matrix.createTriad({ message: 'Original' }, wallet);
+    await matrix.db.put(`triad:${triad.id}`, { ...triad, data: { message: 'Corrupted' } });
+    matrix.store.clear();
+
+    await expect(matrix.getTriadById(triad.id)).rejects.toThrow('failed integrity check');
+  });
+
+  test('should skip stored triads that fail verification when read after a restart', async () => {
+    const triad = await matrix.createTriad({ message: 'Persisted' }, wallet);
+    const child = await matrix.createTriad({ message: 'Child' }, wallet);
+    await matrix.db.put(`triad:${triad.id}`, { ...triad, data: { message: 'Forged' } });
+    await matrix.close();
+
+    matrix = await TriadMatrix.open(testDbPath, { storage });
+
+    await expect(matrix.getTriadById(triad.id)).rejects.toThrow('failed integrity check');
+    expect((await matrix.queryTriads()).triads.map(t => t.id)).toEqual([child.id]);
+  });
+
+  test('should serve triads from the store with a bounded cache', async () => {
+    await matrix.close();
+    storage = new MemoryStorage();
+    matrix = await TriadMatrix.open(testDbPath, { storage, cacheSize: 2 });
+    matrix.addValidator(wallet.getAddress());
+
+    const triads = [];
+    for (let i = 0; i < 4; i++) {
+      triads.push(await matrix.createTriad({ message: `Triad ${i}` }, wallet));
+    }
+    await matrix.validateTriad(triads[0].id, wallet);
+    expect(matrix.getMatrixState().cachedTriadsCount).toBe(2);
+
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage, cacheSize: 2 });
+
+    // Nothing is loaded up front; counters and tips come from the stored metadata
+    const state = matrix.getMatrixState();
+    expect(state.cachedTriadsCount).toBe(0);
+    expect(state.triadsCount).toBe(4);
+    expect(state.validatedTriadsCount).toBe(1);
+    expect(matrix.getTips()).toEqual([triads[3].id]);
+
+    for (const triad of triads) {
+      expect((await matrix.getTriadById(triad.id)).data).toEqual(triad.data);
+    }
+    expect(matrix.getMatrixState().cachedTriadsCount).toBe(2);
+    expect((await matrix.getTriadById(triads[0].id)).validated).toBe(true);
+  });
+
+  test('should persist symmetric connections and traverse them', async () => {
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    const place = (message, position) => matrix.importTriad(buildSignedTriad(matrix, creator, { data: { message }, position }));
+    const a = await place('A', [0, 0, 0]);
+    const b = await place('B', [2, 2, 2]);
+    const c = await place('C', [4, 4, 4]);
+
+    // Returned triads are snapshots; links to later neighbours are read from the store
+    expect(a.connections).toEqual([]);
+    expect(b.connections).toEqual([a.id]);
+    expect((await matrix.getTriadById(a.id)).connections).toEqual([b.id]);
+    expect((await matrix.getTriadById(b.id)).connections.sort()).toEqual([a.id, c.id].sort());
+    expect((await matrix.getTriadNeighbors(a.id)).map(n => n.triad.id)).toEqual([b.id]);
+    expect((await matrix.getTriadNeighbors(a.id, 2)).map(n => [n.triad.id, n.depth])).toEqual([[b.id, 1], [c.id, 2]]);
+
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage });
+
+    expect((await matrix.getTriadNeighbors(a.id, 2)).map(n => n.triad.id)).toEqual([b.id, c.id]);
+    expect((await matrix.getTriadById(a.id)).connections).toEqual([b.id]);
+    await expect(matrix.getTriadNeighbors('unknown')).rejects.toThrow('not found');
+  });
+
+  test('should place and connect triads in a matrix with more than three axes', async () => {
+    await matrix.close();
+    storage = new MemoryStorage();
+    matrix = await TriadMatrix.open(testDbPath, { storage, axes: 5, sideLength: 4, complexity: 2 });
+
+    const triad = await matrix.createTriad({ message: 'Five axes' }, wallet);
+    expect(triad.position).toHaveLength(5);
+    expect(matrix.calculateDistance([0, 0, 0, 0, 0], [1, 1, 1, 1, 0])).toBe(2);
+
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    const near = triad.position.map((value, axis) => (axis === 0 ? Math.abs(value - 1) : value));
+    const neighbor = await matrix.importTriad(buildSignedTriad(matrix, creator, { position: near }));
+    expect(neighbor.connections).toEqual([triad.id]);
+  });
+
+  test('should accept and migrate version 1 triads with {x, y, z} positions', async () => {
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    const legacy = buildSignedTriad(matrix, creator, { version: undefined, position: { x: 2, y: 0, z: 1 } });
+    const legacyId = matrix.generateTriadId(legacy);
+
+    const imported = await matrix.importTriad(legacy);
+    expect(imported.id).toBe(legacyId);
+    expect(imported.position).toEqual([2, 0, 1]);
+
+    // A record written before positions were vectors is migrated with the same ID when a
+    // database without a schema version is opened, and its indexes are rebuilt
+    const stored = await matrix.createTriad({ message: 'Current' }, wallet);
+    await matrix.db.put(`triad:${legacyId}`, { ...imported, position: { x: 2, y: 0, z: 1 } });
+    const { indexVersion, ...legacyState } = await matrix.db.get('matrix:state_metadata');
+    await matrix.db.put('matrix:state_metadata', legacyState);
+    await matrix.db.del('schema:version');
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage });
+
+    expect(indexVersion).toBe(4);
+    expect((await matrix.db.get(`triad:${legacyId}`)).position).toEqual([2, 0, 1]);
+    expect((await matrix.getTriadById(legacyId)).position).toEqual([2, 0, 1]);
+    expect(await matrix.hasTriad(stored.id)).toBe(true);
+    expect(matrix.getMatrixState().triadsCount).toBe(2);
+    expect(matrix.getMatrixState().schemaVersion).toBe(2);
+    expect(await matrix.db.get('schema:version')).toBe(2);
+  });
+
+  test('should connect across matrix edges with the toroidal metric and persist the metric', async () => {
+    const reopen = async options => {
+      await matrix.close();
+      matrix = await TriadMatrix.open(testDbPath, { storage, ...options });
+    };
+    await matrix.db.clear();
+    await reopen({ sideLength: 8, complexity: 1.5, distanceMetric: 'toroidal' });
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    const place = (message, position) => matrix.importTriad(buildSignedTriad(matrix, creator, { data: { message }, position }));
+
+    const a = await place('A', [0, 3, 3]);
+    const b = await place('B', [7, 3, 3]);
+    expect((await matrix.getTriadById(a.id)).connections).toEqual([b.id]);
+
+    // Growing the matrix moves the edges, so wrap-around links are recomputed
+    await place('C', [15, 0, 0]);
+    expect(matrix.sideLength).toBe(16);
+    expect((await matrix.getTriadById(a.id)).connections).toEqual([]);
+
+    await reopen();
+    expect(matrix.getMatrixState().distanceMetric).toBe('toroidal');
+
+    await reopen({ distanceMetric: 'chebyshev' });
+    const d = await place('D', [1, 4, 4]);
+    expect((await matrix.getTriadById(a.id)).connections).toEqual([d.id]);
+    await reopen();
+    expect(matrix.distanceMetric).toBe('chebyshev');
+    expect(await matrix.getTriadNeighbors(a.id)).toHaveLength(1);
+  });
+
+  test('should query triads through secondary indexes with cursors', async () => {
+    const creator = new Wallet();
+    creator.generateKeyPair();
+    // Triads created in 1970 would otherwise be past the expiry window
+    matrix.expiryWindow = Number.MAX_SAFE_INTEGER;
+    const peerTriads = [];
+    for (let i = 0; i < 3; i++) {
+      peerTriads.push(await matrix.importTriad(buildSignedTriad(matrix, creator, {
+        data: { message: `Peer ${i}` },
+        timestamp: 1000 + i,
+        position: [i, 0, 0]
+      })));
+    }
+    const own = await matrix.createTriad({ message: 'Own' }, wallet);
+    matrix.addValidator(wallet.getAddress());
+    await matrix.validateTriad(peerTriads[1].id, wallet);
+
+    const ids = result => result.triads.map(t => t.id);
+    expect(ids(await matrix.queryTriads({ validator: creator.getAddress() }))).toEqual(peerTriads.map(t => t.id));
+    expect(ids(await matrix.queryTriads({ validated: true }))).toEqual([peerTriads[1].id]);
+    expect(ids(await matrix.queryTriads({ validated: false }))).toEqual([peerTriads[0].id, peerTriads[2].id, own.id]);
+    expect(ids(await matrix.queryTriads({ validator: creator.getAddress(), validated: false, since: 1001 })))
+      .toEqual([peerTriads[2].id]);
+    expect(ids(await matrix.queryTriads({ until: 1001 }))).toEqual([peerTriads[0].id, peerTriads[1].id]);
+    expect(ids(await matrix.queryTriads({ state: 'accepted' }))).toEqual([peerTriads[1].id]);
+    expect(ids(await matrix.queryTriads({ validator: creator.getAddress(), state: 'pending' })))
+      .toEqual([peerTriads[0].id, peerTriads[2].id]);
+    await expect(matrix.queryTriads({ state: 'done' })).rejects.toThrow('state must be one of');
+
+    const first = await matrix.queryTriads({ limit: 2 });
+    expect(ids(first)).toEqual([peerTriads[0].id, peerTriads[1].id]);
+    const second = await matrix.queryTriads({ limit: 2, cursor: first.cursor });
+    expect(ids(second)).toEqual([peerTriads[2].id, own.id]);
+    expect(second.cursor).toBeNull();
+
+    const newest = await matrix.queryTriads({ limit: 3, reverse: true });
+    expect(ids(newest)).toEqual([own.id, peerTriads[2].id, peerTriads[1].id]);
+    expect(ids(await matrix.queryTriads({ reverse: true, cursor: newest.cursor }))).toEqual([peerTriads[0].id]);
+
+    await expect(matrix.queryTriads({ validated: true, cursor: first.cursor })).rejects.toThrow('Cursor does not belong');
+  });
+
+  test('should build secondary indexes for databases written without them', async () => {
+    const triad = await matrix.createTriad({ message: 'Unindexed' }, wallet);
+    for await (const key of matrix.db.keys({ gte: 'idx:', lte: 'idx:~' })) {
+      await matrix.db.del(key);
+    }
+    const { indexVersion, ...legacyState } = await matrix.db.get('matrix:state_metadata');
+    expect(indexVersion).toBe(4);
+    await matrix.db.put('matrix:state_metadata', legacyState);
+    await matrix.close();
+
+    matrix = await TriadMatrix.open(testDbPath, { storage });
+
+    expect((await matrix.queryTriads({ validator: wallet.getAddress() })).triads.map(t => t.id)).toEqual([triad.id]);
+  });
+
+  test('should rebuild indexes in DAG order and reject triads with missing parents', async () => {
+    const triads = [];
+    for (let i = 0; i < 8; i++) {
+      triads.push(await matrix.createTriad({ message: `Chain ${i}` }, wallet));
+    }
+    const { triadsRoot } = matrix.getMatrixState();
+    // Keyed by hash, the chain is read out of order; the orphan's parent is never stored
+    const orphan = buildSignedTriad(matrix, wallet, { parents: ['0'.repeat(64)] });
+    orphan.id = matrix.generateTriadId(orphan);
+    await matrix.db.put(`triad:${orphan.id}`, { ...orphan, connections: [], validated: false });
+    const { indexVersion, ...legacyState } = await matrix.db.get('matrix:state_metadata');
+    expect(indexVersion).toBe(4);
+    await matrix.db.put('matrix:state_metadata', legacyState);
+    await matrix.close();
+
+    matrix = await TriadMatrix.open(testDbPath, { storage });
+
+    expect(matrix.getTips()).toEqual([triads[7].id]);
+    expect(matrix.getMatrixState()).toMatchObject({ triadsCount: 8, triadsRoot });
+    expect((await matrix.queryTriads({ limit: 10 })).triads.map(t => t.id).sort()).toEqual(triads.map(t => t.id).sort());
+  });
+
+  test('should finalize checkpoints signed by a supermajority of validators', async () => {
+    const wallet2 = new Wallet();
+    wallet2.generateKeyPair();
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator(wallet2.getAddress());
+    const accepted = [];
+    for (const message of ['First', 'Second']) {
+      const triad = await matrix.createTriad({ message }, wallet);
+      await matrix.validateTriad(triad.id, wallet);
+      accepted.push(await matrix.validateTriad(triad.id, wallet2));
+    }
+    await matrix.createTriad({ message: 'Still pending' }, wallet);
+    const finalized = [];
+    matrix.on('checkpointFinalized', checkpoint => finalized.push(checkpoint));
+
+    // One of two validators is not a supermajority
+    const proposed = await matrix.proposeCheckpoint(wallet);
+    expect(proposed).toMatchObject({ sequence: 1, previous: null, triadCount: 2 });
+    expect(proposed.merkleRoot).toBe(computeMerkleRoot(
+      accepted.sort((a, b) => a.timestamp - b.timestamp || a.id.localeCompare(b.id)).map(triad => triad.id)
+    ));
+    expect(matrix.getLatestCheckpoint()).toBeNull();
+
+    await matrix.signCheckpoint(proposed.hash, wallet2);
+    expect(finalized).toHaveLength(1);
+    expect(matrix.getLatestCheckpoint()).toMatchObject({ hash: proposed.hash, sequence: 1 });
+    expect(matrix.getLatestCheckpoint().signatures).toHaveLength(2);
+    expect(matrix.getMatrixState().latestCheckpoint).toMatchObject({ sequence: 1, triadCount: 2 });
+
+    // Gossiped copies of a final checkpoint change nothing
+    expect(await matrix.submitCheckpoint(proposed)).toBeNull();
+    await expect(matrix.proposeCheckpoint(wallet, { until: proposed.until })).rejects.toThrow('must cover triads created after');
+
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage });
+    expect(await matrix.getCheckpoint(1)).toMatchObject({ hash: proposed.hash, merkleRoot: proposed.merkleRoot });
+    const next = await matrix.proposeCheckpoint(wallet, { until: proposed.until + 1 });
+    expect(next).toMatchObject({ sequence: 2, previous: proposed.hash });
+  });
+
+  test('should not finalize a signed checkpoint whose root differs from the local triads', async () => {
+    const wallet2 = new Wallet();
+    wallet2.generateKeyPair();
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator(wallet2.getAddress());
+    const conflicts = [];
+    matrix.on('checkpointConflict', checkpoint => conflicts.push(checkpoint));
+
+    // Covers a triad this node never accepted
+    const body = { sequence: 1, previous: null, until: Date.now(), triadCount: 1, merkleRoot: computeMerkleRoot(['a'.repeat(64)]) };
+    const checkpoint = { ...body, hash: matrix.generateCheckpointHash(body), signatures: [] };
+    checkpoint.signatures = [wallet, wallet2].map(signer => matrix.signCheckpointBody(checkpoint, signer));
+
+    await matrix.submitCheckpoint(checkpoint);
+    expect(matrix.getLatestCheckpoint()).toBeNull();
+    expect(await matrix.getCheckpoint(1)).toBeNull();
+    expect(conflicts).toHaveLength(1);
+    expect(matrix.getConflictingCheckpoints()).toMatchObject([{ hash: checkpoint.hash, triadCount: 1, localTriadCount: 0 }]);
+    expect(await matrix.submitCheckpoint(checkpoint)).toBeNull();
+
+    // Finality continues from the last checkpoint this node agrees with
+    const proposed = await matrix.proposeCheckpoint(wallet);
+    await matrix.signCheckpoint(proposed.hash, wallet2);
+    expect(matrix.getLatestCheckpoint()).toMatchObject({ hash: proposed.hash, sequence: 1, triadCount: 0 });
+  });
+
+  test('should reject tampered checkpoints and ignore signatures of unknown validators', async () => {
+    const outsider = new Wallet();
+    outsider.generateKeyPair();
+    matrix.addValidator(wallet.getAddress());
+    matrix.addValidator(outsider.getAddress());
+    const proposed = await matrix.proposeCheckpoint(wallet);
+
+    await expect(matrix.submitCheckpoint({ ...proposed, triadCount: 5 })).rejects.toThrow('does not match its hash');
+    const forged = { ...proposed.signatures[0], validator: outsider.getAddress() };
+    await expect(matrix.submitCheckpoint({ ...proposed, signatures: [forged] })).rejects.toThrow('Public key does not match');
+
+    const stranger = new Wallet();
+    stranger.generateKeyPair();
+    const strangerSignature = {
+      validator: stranger.getAddress(),
+      publicKey: stranger.getPublicKey(),
+      signature: stranger.signData(proposed.hash)
+    };
+    expect(await matrix.submitCheckpoint({ ...proposed, signatures: [strangerSignature] })).toBeNull();
+    expect(matrix.getLatestCheckpoint()).toBeNull();
+  });
+
+  test('should restore a snapshot into another matrix with votes, validators and connections', async () => {
+    const snapshotPath = path.join(__dirname, '../../data/test-matrix.snapshot');
+    const restoredDbPath = path.join(__dirname, '../../data/test-triad-restored.db');
+    fs.rmSync(restoredDbPath, { force: true, recursive: true });
+    matrix.addValidator(wallet.getAddress());
+    const first = await matrix.createTriad({ message: 'Snapshot one' }, wallet);
+    const second = await matrix.createTriad({ message: 'Snapshot two' }, wallet);
+    await matrix.validateTriad(first.id, wallet);
+    await matrix.proposeCheckpoint(wallet);
+
+    const created = await matrix.createSnapshot(snapshotPath);
+    expect(created).toMatchObject({ triads: 2, votes: 1, evidence: 0, checkpoints: 1 });
+
+    const restored = await TriadMatrix.open(restoredDbPath);
+    try {
+            const summary = await restored.restoreSnapshot(snapshotPath);
+      expect(summary).toMatchObject({ triads: 2, votes: 1, rejectedCount: 0, checksum: created.checksum });
+
+      const state = restored.getMatrixState();
+      expect(state.validators).toEqual([wallet.getAddress()]);
+      expect(state.validatedTriadsCount).toBe(1);
+      expect(restored.getLatestCheckpoint()).toEqual(matrix.getLatestCheckpoint());
+      expect(restored.getTips()).toEqual(matrix.getTips());
+      expect(await restored.getVotes(first.id)).toEqual(await matrix.getVotes(first.id));
+      expect(await restored.getTriadById(second.id)).toEqual(await matrix.getTriadById(second.id));
+      expect((await restored.queryTriads({ validated: true })).triads.map(t => t.id)).toEqual([first.id]);
+    } finally {
+      await restored.close();
+      fs.rmSync(restoredDbPath, { force: true, recursive: true });
+      fs.rmSync(snapshotPath, { force: true });
+    }
+  });
+
+  test('should reject a tampered snapshot without changing the matrix', async () => {
+    const snapshotPath = path.join(__dirname, '../../data/test-tampered.snapshot');
+    const triad = await matrix.createTriad({ message: 'Keep me' }, wallet);
+    await matrix.createSnapshot(snapshotPath);
+    await matrix.createTriad({ message: 'Created after the snapshot' }, wallet);
+
+    try {
+      const contents = fs.readFileSync(snapshotPath, 'utf8');
+      fs.writeFileSync(snapshotPath, contents.replace('Keep me', 'Changed'));
+      await expect(matrix.restoreSnapshot(snapshotPath)).rejects.toThrow('checksum does not match');
+      expect(matrix.isInitialized).toBe(true);
+      expect(matrix.getMatrixState().triadsCount).toBe(2);
+
+      // The unmodified snapshot rolls the matrix back to the moment it was taken
+      fs.writeFileSync(snapshotPath, contents);
+      await matrix.restoreSnapshot(snapshotPath);
+      expect(matrix.getMatrixState().triadsCount).toBe(1);
+      expect(matrix.getTips()).toEqual([triad.id]);
+    } finally {
+      fs.rmSync(snapshotPath, { force: true });
+    }
+  });
+
+  test('should prune old payloads to a compressed archive and keep them verifiable', async () => {
+    const archiveDir = path.join(__dirname, '../../data/test-archive');
+    fs.rmSync(archiveDir, { force: true, recursive: true });
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, {
+      storage,
+      mode: 'pruned',
+      retention: { days: 1, keepUncheckpointed: false },
+      archiveDir
+    });
+
+    try {
+      const triads = await matrix.createTriads([{ message: 'Old one' }, { message: 'Old two' }], wallet);
+      expect(await matrix.pruneTriads()).toMatchObject({ prunedCount: 0, archivePath: null });
+
+      const now = Date.now() + 2 * 24 * 60 * 60 * 1000;
+      const summary = await matrix.pruneTriads(now);
+      expect(summary).toMatchObject({ prunedCount: 2, prunedUntil: now - 24 * 60 * 60 * 1000 });
+
+      const archived = zlib.gunzipSync(fs.readFileSync(summary.archivePath)).toString().trim().split('\n').map(line => JSON.parse(line));
+      expect(archived.map(triad => [triad.id, triad.data])).toEqual(triads.map(triad => [triad.id, triad.data]));
+
+      const pruned = await matrix.getTriadById(triads[0].id);
+      expect(pruned).toMatchObject({ id: triads[0].id, pruned: true, signature: triads[0].signature });
+      expect(pruned.data).toBeUndefined();
+      expect(verifyTriadProof({ ...(await matrix.getTriadProof(triads[0].id)), triad: pruned }, matrix.getMatrixState().triadsRoot)).toBe(true);
+      expect(await matrix.pruneTriads(now)).toMatchObject({ prunedCount: 0 });
+
+      // Rebuilding the indexes keeps pruned triads, and a pruned database stays a pruned node
+      const legacyState = await matrix.db.get('matrix:state_metadata');
+      delete legacyState.indexVersion;
+      await matrix.db.put('matrix:state_metadata', legacyState);
+      await matrix.close();
+      matrix = await TriadMatrix.open(testDbPath, { storage });
+      expect(matrix.getMatrixState()).toMatchObject({ mode: 'pruned', prunedUntil: summary.prunedUntil, triadsCount: 2 });
+      expect((await matrix.getTriadById(triads[1].id)).pruned).toBe(true);
+    } finally {
+      fs.rmSync(archiveDir, { force: true, recursive: true });
+    }
+  });
+
+  test('should keep payloads above the latest checkpoint and on archive nodes', async () => {
+    await expect(matrix.pruneTriads()).rejects.toThrow('Archive nodes keep every triad payload');
+    expect(matrix.getMatrixState().mode).toBe('archive');
+
+    await matrix.close();
+    matrix = await TriadMatrix.open(testDbPath, { storage, mode: 'pruned', retention: { days: 0 } });
+    matrix.addValidator(wallet.getAddress());
+    const covered = await matrix.createTriad({ message: 'Covered' }, wallet);
+    await matrix.validateTriad(covered.id, wallet);
+    const later = Date.now() + 1000;
+    expect(await matrix.pruneTriads(later)).toMatchObject({ prunedCount: 0 });
+
+    await matrix.proposeCheckpoint(wallet, { until: covered.timestamp });
+    const open = await matrix.createTriad({ message: 'Not covered' }, wallet);
+    expect(await matrix.pruneTriads(later)).toMatchObject({ prunedCount: 1, prunedUntil: covered.timestamp + 1 });
+    expect((await matrix.getTriadById(covered.id)).pruned).toBe(true);
+    expect((await matrix.getTriadById(open.id)).data).toEqual({ message: 'Not covered' });
+  });
 });
@@ -0,0 +1,94 @@
+const MemoryStorage = require('../../src/core/MemoryStorage');
+const TriadStore = require('../../src/core/TriadStore');
+
+describe('TriadStore', () => {
+  let db;
+  let store;
+
+  beforeEach(async () => {
+    db = new MemoryStorage();
+    store = new TriadStore(db, {
+      cacheSize: 1,
+      verify: (triad, triadId) => {
+        if (triad.id !== triadId) throw new Error('failed integrity check');
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should cache triads only after their batch is committed', async () => {
+    const triad = { id: 'a', connections: [] };
+    jest.spyOn(db, 'batch').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(store.write([{ type: 'put', key: 'triad:a', value: triad }], { triads: [triad] }))
+      .rejects.toThrow('disk full');
+    expect(store.cacheSize).toBe(0);
+    expect(await store.get('a')).toBeNull();
+
+    await store.write([{ type: 'put', key: 'triad:a', value: triad }], { triads: [triad] });
+    expect(store.cacheSize).toBe(1);
+    expect(await store.get('a')).toEqual(triad);
+  });
+
+  test('should return copies of cached triads', async () => {
+    const triad = { id: 'a', validated: false, connections: [] };
+    await store.write([{ type: 'put', key: 'triad:a', value: triad }], { triads: [triad] });
+
+    const copy = await store.get('a');
+    copy.validated = true;
+    triad.validated = true;
+
+    expect((await store.get('a')).validated).toBe(false);
+  });
+
+  test('should read evicted triads with their stored connections', async () => {
+    await store.write([
+      { type: 'put', key: 'triad:a', value: { id: 'a', connections: [] } },
+      { type: 'put', key: 'triad:b', value: { id: 'b', connections: ['a'] } },
+      { type: 'put', key: 'connection:a:b', value: { triads: ['a', 'b'], distance: 1 } },
+      { type: 'put', key: 'connection:b:a', value: { triads: ['a', 'b'], distance: 1 } }
+    ], { triads: [{ id: 'b', connections: ['a'] }], connections: [['b', 'a']] });
+
+    expect((await store.get('a')).connections).toEqual(['b']);
+    expect(await store.has('b')).toBe(true);
+
+    await db.put('triad:c', { id: 'forged' });
+    await expect(store.get('c')).rejects.toThrow('failed integrity check');
+  });
+
+  test('should serve staged records and write them in one batch on commit', async () => {
+    const batch = jest.spyOn(db, 'batch');
+    store.stage([
+      { type: 'put', key: 'triad:a', value: { id: 'a', connections: [] } },
+      { type: 'put', key: 'slot:0:0:0/0', value: ['a'] }
+    ], { triads: [{ id: 'a', connections: [] }] });
+    store.stage([
+      { type: 'put', key: 'slot:0:0:0/0', value: ['a', 'b'] },
+      { type: 'put', key: 'connection:a:b', value: { triads: ['a', 'b'], distance: 1 } }
+    ]);
+
+    expect(store.pendingCount).toBe(3);
+    expect(await store.getMany(['slot:0:0:0/0', 'slot:0:0:1/0'])).toEqual([['a', 'b'], undefined]);
+    expect(await store.get('a')).toEqual({ id: 'a', connections: ['b'] });
+    expect(store.cacheSize).toBe(0);
+    expect(await db.getMany(['triad:a'])).toEqual([undefined]);
+
+    await store.commit();
+    expect(batch).toHaveBeenCalledTimes(1);
+    expect(store.pendingCount).toBe(0);
+    expect(store.cacheSize).toBe(1);
+    expect(await db.get('slot:0:0:0/0')).toEqual(['a', 'b']);
+  });
+
+  test('should drop staged records when their commit fails', async () => {
+    jest.spyOn(db, 'batch').mockRejectedValueOnce(new Error('disk full'));
+    store.stage([{ type: 'put', key: 'triad:a', value: { id: 'a', connections: [] } }], { triads: [{ id: 'a', connections: [] }] });
+
+    await expect(store.commit()).rejects.toThrow('disk full');
+    expect(store.pendingCount).toBe(0);
+    expect(await store.has('a')).toBe(false);
+  });
+});
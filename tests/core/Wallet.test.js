@@ -57,6 +57,12 @@ describe('Wallet', () => {
     expect(newWallet.getPrivateKey()).toBe(generatedKey);
   });
 
+  test('should derive the wallet address from a public key', () => {
+    const { publicKey, address } = wallet.generateKeyPair();
+
+    expect(Wallet.addressFromPublicKey(publicKey)).toBe(address);
+  });
+
   test('should reject invalid private key', () => {
     expect(() => {
       wallet.importFromPrivateKey('invalid_key');
@@ -0,0 +1,25 @@
+const { DISTANCE_METRICS, getDistanceMetric } = require('../../src/core/distanceMetrics');
+
+describe('distanceMetrics', () => {
+  const a = [0, 1, 5];
+  const b = [3, 5, 5];
+
+  test('should measure distance with each metric', () => {
+    expect(DISTANCE_METRICS.euclidean.distance(a, b)).toBe(5);
+    expect(DISTANCE_METRICS.manhattan.distance(a, b)).toBe(7);
+    expect(DISTANCE_METRICS.chebyshev.distance(a, b)).toBe(4);
+  });
+
+  test('should wrap around the matrix edges with the toroidal metric', () => {
+    const metric = getDistanceMetric('toroidal');
+
+    expect(metric.wraps).toBe(true);
+    expect(metric.distance([0, 0], [5, 0], { sideLength: 6 })).toBe(1);
+    expect(metric.distance([0, 0], [3, 4], { sideLength: 8 })).toBe(5);
+  });
+
+  test('should reject unknown metrics', () => {
+    expect(() => getDistanceMetric('hamming')).toThrow('Unknown distance metric "hamming"');
+    expect(() => getDistanceMetric('toString')).toThrow('Unknown distance metric');
+  });
+});
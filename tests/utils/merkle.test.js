@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const {
+  EMPTY_ROOT,
+  MerkleAccumulator,
+  SparseMerkleTree,
+  computeMerkleRoot,
+  hashLeaf,
+  hashNode,
+  verifySparseProof
+} = require('../../src/utils/merkle');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Reference RFC 6962 tree: split at the largest power of two below the leaf count
+ */
+function referenceRoot(values) {
+  if (values.length === 1) {
+    return hashLeaf(values[0]);
+  }
+  let split = 1;
+  while (split * 2 < values.length) {
+    split *= 2;
+  }
+  return hashNode(referenceRoot(values.slice(0, split)), referenceRoot(values.slice(split)));
+}
+
+describe('merkle', () => {
+  test('should match the reference tree for every leaf count', () => {
+    const values = Array.from({ length: 33 }, (_, i) => `leaf-${i}`);
+    for (let count = 1; count <= values.length; count++) {
+      expect(computeMerkleRoot(values.slice(0, count))).toBe(referenceRoot(values.slice(0, count)));
+    }
+    expect(computeMerkleRoot([])).toBe(EMPTY_ROOT);
+  });
+
+  test('should separate leaves from inner nodes and depend on leaf order', () => {
+    expect(hashLeaf('a')).not.toBe(crypto.createHash('sha256').update('a').digest('hex'));
+    expect(computeMerkleRoot(['a', 'b'])).not.toBe(computeMerkleRoot(['b', 'a']));
+    // An odd leaf is promoted, not duplicated
+    expect(computeMerkleRoot(['a', 'b', 'c'])).not.toBe(computeMerkleRoot(['a', 'b', 'c', 'c']));
+  });
+
+  test('should update the root as leaves are appended', () => {
+    const accumulator = new MerkleAccumulator();
+    const values = [];
+    for (let i = 0; i < 10; i++) {
+      values.push(`leaf-${i}`);
+      accumulator.append(values[i]);
+      expect(accumulator.size).toBe(i + 1);
+      expect(accumulator.root).toBe(computeMerkleRoot(values));
+    }
+  });
+
+  test('should give the same sparse root for the same records in any order', () => {
+    const keys = Array.from({ length: 50 }, (_, i) => sha256(`key-${i}`));
+    const forward = new SparseMerkleTree();
+    const backward = new SparseMerkleTree();
+    keys.forEach(key => forward.set(key, `value-${key}`));
+    [...keys].reverse().forEach(key => backward.set(key, `value-${key}`));
+
+    expect(forward.size).toBe(50);
+    expect(forward.root).toBe(backward.root);
+    expect(new SparseMerkleTree().root).toBe(EMPTY_ROOT);
+
+    const single = new SparseMerkleTree();
+    single.set(keys[0], 'v');
+    expect(single.root).toBe(hashLeaf(`${keys[0]}v`));
+  });
+
+  test('should update and delete sparse records back to earlier roots', () => {
+    const tree = new SparseMerkleTree();
+    const [a, b, c] = ['a', 'b', 'c'].map(sha256);
+    tree.set(a, '1');
+    tree.set(b, '1');
+    const rootAB = tree.root;
+
+    tree.set(c, '1');
+    tree.set(a, '2');
+    expect(tree.size).toBe(3);
+    tree.set(a, '1');
+    expect(tree.delete(c)).toBe(true);
+    expect(tree.delete(c)).toBe(false);
+    expect(tree.root).toBe(rootAB);
+    expect(tree.has(c)).toBe(false);
+    expect(tree.size).toBe(2);
+  });
+
+  test('should verify sparse inclusion proofs and reject altered ones', () => {
+    const tree = new SparseMerkleTree();
+    const keys = Array.from({ length: 20 }, (_, i) => sha256(`key-${i}`));
+    keys.forEach(key => tree.set(key, 'value'));
+
+    keys.forEach(key => {
+      expect(verifySparseProof(tree.root, key, 'value', tree.getProof(key))).toBe(true);
+    });
+
+    const proof = tree.getProof(keys[0]);
+    expect(verifySparseProof(tree.root, keys[0], 'other', proof)).toBe(false);
+    expect(verifySparseProof(tree.root, keys[1], 'value', { ...proof, key: keys[1] })).toBe(false);
+    expect(verifySparseProof(tree.root, keys[0], 'value', { ...proof, siblings: proof.siblings.slice(1) })).toBe(false);
+    expect(tree.getProof(sha256('missing'))).toBeNull();
+    expect(() => tree.set('not-hex', 'value')).toThrow('64 lowercase hex characters');
+  });
+});
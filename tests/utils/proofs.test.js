@@ -0,0 +1,62 @@
+const { SparseMerkleTree } = require('../../src/utils/merkle');
+const {
+  computeTriadId,
+  getBalanceKey,
+  getBalanceLeaf,
+  verifyBalanceProof,
+  verifyTriadProof
+} = require('../../src/utils/proofs');
+
+/**
+ * Build a stored triad record; only the fields the ID commits to matter here
+ */
+function buildTriad(message) {
+  const triad = {
+    version: 2,
+    data: { message },
+    timestamp: 1700000000000,
+    position: [0, 1, 2],
+    slot: 0,
+    parents: [],
+    validator: 'seir-validator',
+    publicKey: '04abcd',
+    validated: true
+  };
+  triad.id = computeTriadId(triad);
+  return triad;
+}
+
+describe('proofs', () => {
+  test('should verify a triad against a trusted root and reject altered records', () => {
+    const tree = new SparseMerkleTree();
+    const triads = ['one', 'two', 'three'].map(buildTriad);
+    triads.forEach(triad => tree.set(triad.id, triad.id));
+    const response = { triad: triads[0], root: tree.root, proof: tree.getProof(triads[0].id) };
+
+    expect(verifyTriadProof(response, tree.root)).toBe(true);
+    // Local fields outside the ID do not affect the proof
+    expect(verifyTriadProof({ ...response, triad: { ...triads[0], validated: false } }, tree.root)).toBe(true);
+    expect(verifyTriadProof({ ...response, triad: { ...triads[0], data: { message: 'forged' } } }, tree.root)).toBe(false);
+    const withoutId = { ...triads[0], id: undefined };
+    expect(verifyTriadProof({ ...response, triad: { ...withoutId, data: { message: 'forged' } } }, tree.root)).toBe(false);
+    expect(verifyTriadProof({ ...response, triad: withoutId }, tree.root)).toBe(true);
+
+    // The root in the response is never trusted
+    expect(verifyTriadProof(response, new SparseMerkleTree().root)).toBe(false);
+    expect(verifyTriadProof(null, tree.root)).toBe(false);
+  });
+
+  test('should verify an account balance against a trusted root', () => {
+    const tree = new SparseMerkleTree();
+    const balances = { 'seir-alice': 75, 'seir-bob': 25 };
+    Object.entries(balances).forEach(([address, balance]) => {
+      tree.set(getBalanceKey(address), getBalanceLeaf(address, balance));
+    });
+    const response = { address: 'seir-alice', balance: 75, proof: tree.getProof(getBalanceKey('seir-alice')) };
+
+    expect(verifyBalanceProof(response, tree.root)).toBe(true);
+    expect(verifyBalanceProof({ ...response, balance: 100 }, tree.root)).toBe(false);
+    expect(verifyBalanceProof({ ...response, address: 'seir-bob' }, tree.root)).toBe(false);
+    expect(verifyBalanceProof({ ...response, balance: 'lots' }, tree.root)).toBe(false);
+  });
+});